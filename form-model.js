@@ -0,0 +1,378 @@
+/**
+ * FormModel - Reads the form schema for navigation, completion tracking and validation
+ * Keeps the rules about pages and fields in one place so the sheet only has to render them
+ */
+class FormModel {
+  /**
+   * Initialize the form model
+   * @param {Object} options - Configuration options
+   */
+  constructor(options = {}) {
+    // Sections, pages and fields (see form-schema.js)
+    this.schema = options.schema || this.getDefaultSchema();
+
+    // Clock for date rules such as notInFuture
+    this.now = options.now || (() => new Date());
+  }
+
+  /**
+   * Resolve the bundled form schema
+   * @returns {Object} Form schema
+   */
+  getDefaultSchema() {
+    if (typeof FORM_SCHEMA !== 'undefined') {
+      return FORM_SCHEMA;
+    }
+    return require('./form-schema.js');
+  }
+
+  /**
+   * List every section in display order
+   * @returns {Array} Section definitions
+   */
+  getSections() {
+    return this.schema.sections;
+  }
+
+  /**
+   * Look up a section by id
+   * @param {string} sectionId - Section id
+   * @returns {Object|null} Section definition
+   */
+  getSection(sectionId) {
+    return this.schema.sections.find(section => section.id === sectionId) || null;
+  }
+
+  /**
+   * Look up a page of a section
+   * @param {string} sectionId - Section id
+   * @param {number} pageNumber - 1-based page number
+   * @returns {Object|null} Page definition
+   */
+  getPage(sectionId, pageNumber) {
+    const section = this.getSection(sectionId);
+    return section ? section.pages[pageNumber - 1] || null : null;
+  }
+
+  /**
+   * List the page numbers of a section that apply to the current answers
+   * Page numbers stay the same whether or not earlier pages are hidden
+   * @param {string} sectionId - Section id
+   * @param {Object} data - Mortgage data
+   * @returns {Array} 1-based page numbers
+   */
+  getVisiblePages(sectionId, data) {
+    const section = this.getSection(sectionId);
+    if (!section) return [];
+
+    return section.pages.reduce((pageNumbers, page, index) => (
+      this.isVisible(page, data) ? pageNumbers.concat(index + 1) : pageNumbers
+    ), []);
+  }
+
+  /**
+   * List every visible page across all sections in the order they are filled in
+   * @param {Object} data - Mortgage data
+   * @returns {Array} Steps with sectionId and 1-based pageNumber
+   */
+  getPageSequence(data) {
+    return this.schema.sections.reduce((steps, section) => steps.concat(
+      this.getVisiblePages(section.id, data).map(pageNumber => ({ sectionId: section.id, pageNumber }))
+    ), []);
+  }
+
+  /**
+   * Find where a page falls in the overall sequence
+   * @param {string} sectionId - Section id
+   * @param {number} pageNumber - 1-based page number
+   * @param {Object} data - Mortgage data
+   * @returns {number} 0-based position, -1 when the page doesn't exist or is hidden
+   */
+  getStepIndex(sectionId, pageNumber, data) {
+    return this.getPageSequence(data).findIndex(step => (
+      step.sectionId === sectionId && step.pageNumber === pageNumber
+    ));
+  }
+
+  /**
+   * Get the visible page after the given one, moving into the next section when needed
+   * @param {string} sectionId - Section id
+   * @param {number} pageNumber - 1-based page number
+   * @param {Object} data - Mortgage data
+   * @returns {Object|null} Next step, null on the last page
+   */
+  getNextStep(sectionId, pageNumber, data) {
+    const sequence = this.getPageSequence(data);
+    const index = this.getStepIndex(sectionId, pageNumber, data);
+    return index >= 0 && index < sequence.length - 1 ? sequence[index + 1] : null;
+  }
+
+  /**
+   * Get the visible page before the given one, moving into the previous section when needed
+   * @param {string} sectionId - Section id
+   * @param {number} pageNumber - 1-based page number
+   * @param {Object} data - Mortgage data
+   * @returns {Object|null} Previous step, null on the first page
+   */
+  getPreviousStep(sectionId, pageNumber, data) {
+    const sequence = this.getPageSequence(data);
+    const index = this.getStepIndex(sectionId, pageNumber, data);
+    return index > 0 ? sequence[index - 1] : null;
+  }
+
+  /**
+   * List the fields of a page that apply to the current answers
+   * @param {Object} page - Page definition
+   * @param {Object} data - Mortgage data
+   * @returns {Array} Field definitions
+   */
+  getVisibleFields(page, data) {
+    return page.fields.filter(field => this.isVisible(field, data));
+  }
+
+  /**
+   * Check a page's or field's showWhen condition
+   * @param {Object} item - Page or field definition
+   * @param {Object} data - Mortgage data
+   * @returns {boolean} True when the item should be shown
+   */
+  isVisible(item, data) {
+    const condition = item.showWhen;
+    if (!condition) return true;
+
+    const value = data[condition.field];
+    if (condition.includes !== undefined) {
+      return Array.isArray(value) && value.includes(condition.includes);
+    }
+    if (condition.includesAny !== undefined) {
+      return Array.isArray(value) && condition.includesAny.some(option => value.includes(option));
+    }
+    return value === condition.equals;
+  }
+
+  /**
+   * Check whether changing a field can show or hide other pages or fields
+   * @param {string} name - Field name
+   * @returns {boolean} True when a showWhen condition depends on the field
+   */
+  affectsVisibility(name) {
+    return this.schema.sections.some(section => section.pages.some(page => (
+      (page.showWhen && page.showWhen.field === name) ||
+      page.fields.some(field => field.showWhen && field.showWhen.field === name)
+    )));
+  }
+
+  /**
+   * Look up an input field by the data field it edits
+   * @param {string} name - Field name
+   * @returns {Object|null} Field definition
+   */
+  getField(name) {
+    for (const section of this.schema.sections) {
+      for (const page of section.pages) {
+        const field = page.fields.find(candidate => candidate.name === name);
+        if (field) return field;
+      }
+    }
+    return null;
+  }
+
+  /**
+   * Work out which visible pages of each section have all their required answers
+   * Hidden pages are left out so they don't count toward the completion percentage
+   * @param {Object} data - Mortgage data
+   * @returns {Object} Page completion flags keyed by section id
+   */
+  getCompletionStatus(data) {
+    const status = {};
+
+    this.schema.sections.forEach(section => {
+      status[section.id] = this.getVisiblePages(section.id, data)
+        .map(pageNumber => this.isPageComplete(section.pages[pageNumber - 1], data));
+    });
+
+    return status;
+  }
+
+  /**
+   * Check that every visible required field on a page has an answer
+   * @param {Object} page - Page definition
+   * @param {Object} data - Mortgage data
+   * @returns {boolean} True when the page is complete
+   */
+  isPageComplete(page, data) {
+    return this.getVisibleFields(page, data).every(field => !field.required || this.hasValue(field, data));
+  }
+
+  /**
+   * Check whether a field has been answered
+   * @param {Object} field - Field definition
+   * @param {Object} data - Mortgage data
+   * @returns {boolean} True when the field has a value
+   */
+  hasValue(field, data) {
+    const value = data[field.name];
+
+    // An empty debt list counts once the user confirms they have no debts
+    if (field.type === 'debtList') {
+      return (Array.isArray(value) && value.length > 0) || data[field.emptyField] === true;
+    }
+    if (Array.isArray(value)) {
+      return value.length > 0;
+    }
+    return value !== null && value !== undefined && value !== '';
+  }
+
+  /**
+   * Check whether a field holds a number
+   * @param {Object} field - Field definition
+   * @returns {boolean} True for currency and number fields
+   */
+  isNumeric(field) {
+    return field.type === 'currency' || field.type === 'number';
+  }
+
+  /**
+   * Check whether a value counts as unanswered
+   * @param {*} value - Stored value
+   * @returns {boolean} True for null, empty strings and empty lists
+   */
+  isEmpty(value) {
+    return value === null || value === undefined || value === '' ||
+      (Array.isArray(value) && value.length === 0);
+  }
+
+  /**
+   * List the fields whose rules compare against the given field, so they
+   * can be checked again when it changes
+   * @param {string} name - Field name
+   * @returns {Array} Field definitions
+   */
+  getDependentFields(name) {
+    return this.schema.sections.reduce((fields, section) => fields.concat(
+      ...section.pages.map(page => page.fields.filter(field => (
+        field.validation && field.validation.maxField === name
+      )))
+    ), []);
+  }
+
+  /**
+   * Validate a single value against its field definition
+   * @param {Object} field - Field definition
+   * @param {*} value - Typed value, with numbers already parsed and empty values null
+   * @param {Object} [data] - Mortgage data, for rules that compare against other fields
+   * @returns {string|null} Error message, null when the value is valid
+   */
+  validate(field, value, data = {}) {
+    const rules = field.validation || {};
+    const messages = rules.messages || {};
+    const label = field.label || 'This field';
+
+    if (this.isEmpty(value)) {
+      return field.required || field.requiredToCalculate
+        ? messages.required || `${label} is required`
+        : null;
+    }
+
+    if (this.isNumeric(field)) {
+      const limit = amount => (field.type === 'currency' ? `$${amount.toLocaleString('en-US')}` : amount);
+
+      if (typeof value !== 'number' || !isFinite(value)) {
+        return messages.number || `${label} must be a number`;
+      }
+      if (rules.integer && !Number.isInteger(value)) {
+        return messages.integer || `${label} must be a whole number`;
+      }
+      if (typeof rules.min === 'number' && value < rules.min) {
+        return messages.min || (rules.min === 0
+          ? `${label} can't be negative`
+          : `${label} can't be less than ${limit(rules.min)}`);
+      }
+      if (typeof rules.greaterThan === 'number' && value <= rules.greaterThan) {
+        return messages.greaterThan || `${label} must be more than ${limit(rules.greaterThan)}`;
+      }
+      if (typeof rules.max === 'number' && value > rules.max) {
+        return messages.max || `${label} can't be more than ${limit(rules.max)}`;
+      }
+
+      // Cross-field limit, only checked once the other field has a value
+      const other = rules.maxField ? data[rules.maxField] : null;
+      if (typeof other === 'number' && value > other) {
+        const otherField = this.getField(rules.maxField);
+        return messages.maxField || `${label} can't be more than the ${otherField ? otherField.label : rules.maxField}`;
+      }
+    }
+
+    if (field.type === 'date') {
+      const date = new Date(`${value}T00:00:00`);
+      if (isNaN(date.getTime())) {
+        return messages.date || `${label} must be a valid date`;
+      }
+
+      const today = this.now();
+      today.setHours(0, 0, 0, 0);
+      if (rules.notInFuture && date > today) {
+        return messages.notInFuture || `${label} can't be in the future`;
+      }
+    }
+
+    return null;
+  }
+
+  /**
+   * Validate every visible field, including the fields of list items
+   * Invalid values are blocking; unanswered questions only block when the
+   * field is requiredToCalculate
+   * @param {Object} data - Mortgage data
+   * @returns {Array} Issues with sectionId, pageNumber, field, message and blocking,
+   *   plus itemIndex and itemField for list items
+   */
+  getIssues(data) {
+    const issues = [];
+
+    this.getPageSequence(data).forEach(({ sectionId, pageNumber }) => {
+      const page = this.getPage(sectionId, pageNumber);
+
+      this.getVisibleFields(page, data).forEach(field => {
+        if (!field.name) return;
+        const location = { sectionId, pageNumber, field: field.name };
+
+        if (field.type === 'debtList') {
+          const items = Array.isArray(data[field.name]) ? data[field.name] : [];
+          if (field.required && !this.hasValue(field, data)) {
+            issues.push({ ...location, message: this.validate(field, null, data), blocking: false });
+          }
+
+          // Item fields are labelled with the item's position
+          const itemLabel = field.itemLabel || 'Item';
+          items.forEach((item, itemIndex) => {
+            Object.keys(field.itemFields || {}).forEach(itemField => {
+              const definition = { ...field.itemFields[itemField], label: `${itemLabel} ${itemIndex + 1} ${field.itemFields[itemField].label.toLowerCase()}` };
+              const message = this.validate(definition, item[itemField], data);
+              if (message) {
+                issues.push({ ...location, itemIndex, itemField, message, blocking: true });
+              }
+            });
+          });
+          return;
+        }
+
+        const value = data[field.name];
+        const message = this.validate(field, value, data);
+        if (message) {
+          issues.push({
+            ...location,
+            message,
+            blocking: !this.isEmpty(value) || field.requiredToCalculate === true
+          });
+        }
+      });
+    });
+
+    return issues;
+  }
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = FormModel;
+}
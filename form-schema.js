@@ -0,0 +1,553 @@
+/**
+ * Form schema for the mortgage data collection sheet
+ * Sections hold pages, pages hold fields; rendering, completion tracking,
+ * validation and navigation are all driven from here, so adding a question
+ * is a one-place change (plus its type in mortgage-data-schema.js)
+ *
+ * Field types: currency, number, text, date, radio, checkboxes, yesNo, checkbox,
+ * debtList (an itemized debt editor; itemLabel names its entries in issues) and tip (static guidance, no input)
+ * Text may reference engine settings with {placeholders}, e.g. {minMonthsRemaining}
+ *
+ * Validation rules: min, max, greaterThan, integer, maxField (can't exceed another
+ * field's value) and notInFuture (dates); messages overrides the text for any rule
+ * Invalid values block calculation; blank required fields don't, unless the field
+ * is requiredToCalculate
+ *
+ * Pages and fields with showWhen only appear when another answer matches,
+ * e.g. { field: 'bankruptcy', equals: true }, { field: 'incomeSources', includes: 'Self-employed' }
+ * or { field: 'incomeSources', includesAny: ['Salary', 'Hourly'] };
+ * hidden pages are skipped by navigation and left out of completion
+ */
+const FORM_SCHEMA = {
+  sections: [
+    {
+      id: 'goals-income',
+      name: 'Goals & Income',
+      icon: 'target',
+      pages: [
+        {
+          title: 'Home Purchase Goals',
+          fields: [
+            {
+              name: 'targetHomePrice',
+              type: 'currency',
+              label: 'Target Home Price',
+              placeholder: 'Enter amount',
+              help: "What's the estimated purchase price of your home?",
+              required: true,
+              validation: { greaterThan: 0 }
+            },
+            {
+              name: 'downPayment',
+              type: 'currency',
+              label: 'Down Payment',
+              placeholder: 'Enter amount',
+              help: 'How much do you plan to pay upfront?',
+              tip: 'Typical down payments range from 0–30%. Higher payments may lead to better loan terms.',
+              percentField: 'downPaymentPercent',
+              required: true,
+              validation: {
+                min: 0,
+                maxField: 'targetHomePrice',
+                messages: { maxField: "Down payment can't be more than the target home price" }
+              }
+            },
+            {
+              name: 'loanProgram',
+              type: 'radio',
+              label: 'Loan Program',
+              optionsSource: 'loanPrograms',
+              help: 'Which type of loan are you considering? Results compare all programs.'
+            },
+            {
+              name: 'hasCoBorrower',
+              type: 'yesNo',
+              label: 'Co-Borrower',
+              help: 'Is anyone applying for the loan with you, such as a spouse or partner?',
+              tip: 'A co-borrower adds their income and debts to yours, and lenders use the lower of your credit scores.'
+            }
+          ]
+        },
+        {
+          title: 'Income Snapshot',
+          fields: [
+            {
+              name: 'monthlyIncome',
+              type: 'currency',
+              label: 'Monthly Income',
+              placeholder: 'Enter monthly income',
+              help: 'What is your total monthly income before taxes?',
+              tip: 'The income worksheet on the next pages works out the income a lender will count; until you fill it in, this amount is used.',
+              required: true,
+              requiredToCalculate: true,
+              validation: {
+                greaterThan: 0,
+                messages: {
+                  required: 'Enter your monthly income to calculate your DTI',
+                  greaterThan: 'Monthly income must be more than $0 to calculate your DTI'
+                }
+              }
+            },
+            {
+              name: 'incomeSources',
+              type: 'checkboxes',
+              label: 'Income Sources',
+              options: ['Salary', 'Hourly', 'Overtime', 'Bonus', 'Commission', 'Tips', 'Self-employed'],
+              help: 'Which sources contribute to your income?',
+              required: true
+            },
+            {
+              name: 'incomeTrend',
+              type: 'radio',
+              label: 'Income Trend',
+              options: ['Increased', 'Stable', 'Decreased'],
+              help: 'How has your income changed over the last 12 months?',
+              required: true
+            }
+          ]
+        },
+        {
+          title: 'Wages',
+          showWhen: { field: 'incomeSources', includesAny: ['Salary', 'Hourly'] },
+          fields: [
+            {
+              name: 'annualSalary',
+              type: 'currency',
+              label: 'Annual Salary',
+              placeholder: 'Enter annual amount',
+              help: 'What is your base salary before taxes?',
+              showWhen: { field: 'incomeSources', includes: 'Salary' },
+              required: true,
+              validation: { greaterThan: 0 }
+            },
+            {
+              name: 'hourlyRate',
+              type: 'currency',
+              label: 'Hourly Rate',
+              placeholder: 'Enter hourly rate',
+              help: 'What is your base hourly pay?',
+              showWhen: { field: 'incomeSources', includes: 'Hourly' },
+              required: true,
+              validation: { greaterThan: 0 }
+            },
+            {
+              name: 'hoursPerWeek',
+              type: 'number',
+              label: 'Hours per Week',
+              placeholder: 'e.g. 40',
+              help: 'How many regular hours do you work in a typical week?',
+              showWhen: { field: 'incomeSources', includes: 'Hourly' },
+              required: true,
+              validation: { greaterThan: 0, max: 80 }
+            }
+          ]
+        },
+        {
+          title: 'Variable Income',
+          showWhen: { field: 'incomeSources', includesAny: ['Overtime', 'Bonus', 'Commission', 'Tips'] },
+          fields: [
+            {
+              name: 'overtimeIncomeRecentYear',
+              type: 'currency',
+              label: 'Overtime (Most Recent Year)',
+              placeholder: 'Enter annual amount',
+              showWhen: { field: 'incomeSources', includes: 'Overtime' },
+              required: true,
+              validation: { min: 0 }
+            },
+            {
+              name: 'overtimeIncomePriorYear',
+              type: 'currency',
+              label: 'Overtime (Prior Year)',
+              placeholder: 'Enter annual amount',
+              showWhen: { field: 'incomeSources', includes: 'Overtime' },
+              required: true,
+              validation: { min: 0 }
+            },
+            {
+              name: 'bonusIncomeRecentYear',
+              type: 'currency',
+              label: 'Bonus (Most Recent Year)',
+              placeholder: 'Enter annual amount',
+              showWhen: { field: 'incomeSources', includes: 'Bonus' },
+              required: true,
+              validation: { min: 0 }
+            },
+            {
+              name: 'bonusIncomePriorYear',
+              type: 'currency',
+              label: 'Bonus (Prior Year)',
+              placeholder: 'Enter annual amount',
+              showWhen: { field: 'incomeSources', includes: 'Bonus' },
+              required: true,
+              validation: { min: 0 }
+            },
+            {
+              name: 'commissionIncomeRecentYear',
+              type: 'currency',
+              label: 'Commission (Most Recent Year)',
+              placeholder: 'Enter annual amount',
+              showWhen: { field: 'incomeSources', includes: 'Commission' },
+              required: true,
+              validation: { min: 0 }
+            },
+            {
+              name: 'commissionIncomePriorYear',
+              type: 'currency',
+              label: 'Commission (Prior Year)',
+              placeholder: 'Enter annual amount',
+              showWhen: { field: 'incomeSources', includes: 'Commission' },
+              required: true,
+              validation: { min: 0 }
+            },
+            {
+              name: 'tipIncomeRecentYear',
+              type: 'currency',
+              label: 'Tips (Most Recent Year)',
+              placeholder: 'Enter annual amount',
+              showWhen: { field: 'incomeSources', includes: 'Tips' },
+              required: true,
+              validation: { min: 0 }
+            },
+            {
+              name: 'tipIncomePriorYear',
+              type: 'currency',
+              label: 'Tips (Prior Year)',
+              placeholder: 'Enter annual amount',
+              showWhen: { field: 'incomeSources', includes: 'Tips' },
+              required: true,
+              validation: { min: 0 }
+            },
+            {
+              type: 'tip',
+              text: 'Lenders average two years of variable pay. If it went down, only the most recent year is counted.'
+            }
+          ]
+        },
+        {
+          title: 'Self-Employment Income',
+          showWhen: { field: 'incomeSources', includes: 'Self-employed' },
+          fields: [
+            {
+              name: 'businessIncomeRecentYear',
+              type: 'currency',
+              label: 'Net Business Income (Most Recent Year)',
+              placeholder: 'Enter annual amount',
+              help: 'What net profit did your business report on your most recent tax return?',
+              required: true
+            },
+            {
+              name: 'businessIncomePriorYear',
+              type: 'currency',
+              label: 'Net Business Income (Prior Year)',
+              placeholder: 'Enter annual amount',
+              help: 'What net profit did your business report the year before?',
+              tip: "Lenders average two years of self-employment income. If it went down, only the most recent year is counted, and a drop of more than 20% usually isn't counted at all.",
+              required: true
+            }
+          ]
+        },
+        {
+          title: 'Co-Borrower Income',
+          showWhen: { field: 'hasCoBorrower', equals: true },
+          fields: [
+            {
+              name: 'coBorrowerMonthlyIncome',
+              type: 'currency',
+              label: 'Co-Borrower Monthly Income',
+              placeholder: 'Enter monthly income',
+              help: "What is your co-borrower's total monthly income before taxes?",
+              required: true,
+              validation: { min: 0 }
+            },
+            {
+              name: 'coBorrowerIncomeSources',
+              type: 'checkboxes',
+              label: 'Co-Borrower Income Sources',
+              options: ['Salary', 'Hourly', 'Overtime', 'Bonus', 'Commission', 'Tips'],
+              help: "Which sources contribute to your co-borrower's income?",
+              required: true
+            }
+          ]
+        }
+      ]
+    },
+    {
+      id: 'debt-housing',
+      name: 'Debt & Housing',
+      icon: 'home',
+      pages: [
+        {
+          title: 'Debt Obligations',
+          fields: [
+            {
+              name: 'debts',
+              type: 'debtList',
+              emptyField: 'hasNoDebts',
+              emptyLabel: "I don't have any monthly debts",
+              itemLabel: 'Debt',
+              required: true,
+              validation: { messages: { required: "Add your debts or confirm you don't have any" } },
+              itemFields: {
+                balance: { label: 'Balance', type: 'currency', validation: { min: 0 } },
+                monthlyPayment: { label: 'Monthly Payment', type: 'currency', validation: { min: 0 } },
+                monthsRemaining: { label: 'Months Remaining', type: 'number', validation: { min: 0, integer: true } }
+              }
+            },
+            {
+              type: 'tip',
+              text: "Loans with fewer than {minMonthsRemaining} payments left and debts paid off before closing usually don't count toward your DTI."
+            }
+          ]
+        },
+        {
+          title: 'Co-Borrower Debts',
+          showWhen: { field: 'hasCoBorrower', equals: true },
+          fields: [
+            {
+              name: 'coBorrowerDebts',
+              type: 'debtList',
+              emptyField: 'coBorrowerHasNoDebts',
+              emptyLabel: "My co-borrower doesn't have any monthly debts",
+              itemLabel: 'Co-borrower debt',
+              required: true,
+              validation: { messages: { required: "Add your co-borrower's debts or confirm they don't have any" } },
+              itemFields: {
+                balance: { label: 'Balance', type: 'currency', validation: { min: 0 } },
+                monthlyPayment: { label: 'Monthly Payment', type: 'currency', validation: { min: 0 } },
+                monthsRemaining: { label: 'Months Remaining', type: 'number', validation: { min: 0, integer: true } }
+              }
+            },
+            {
+              type: 'tip',
+              text: "Only list debts in your co-borrower's name. Joint debts belong on your own list so they are counted once."
+            }
+          ]
+        },
+        {
+          title: 'Housing Costs',
+          fields: [
+            {
+              name: 'currentHousingExpense',
+              type: 'currency',
+              label: 'Current Housing Expense',
+              placeholder: 'Enter monthly amount',
+              help: 'How much do you currently pay for housing (rent or mortgage) each month?',
+              required: true,
+              validation: { min: 0 }
+            },
+            {
+              name: 'residencyDuration',
+              type: 'text',
+              label: 'Residency Duration',
+              placeholder: 'e.g., 2 years, 6 months',
+              help: 'How long have you lived at your current address?',
+              tip: 'Longer residency at the same address typically demonstrates stability to lenders.'
+            },
+            {
+              name: 'hoaDues',
+              type: 'currency',
+              label: 'HOA Dues (optional)',
+              placeholder: 'Enter monthly dues',
+              help: 'Monthly homeowners association dues for the home you plan to buy, if any.',
+              validation: { min: 0 }
+            }
+          ]
+        }
+      ]
+    },
+    {
+      id: 'credit-assets',
+      name: 'Credit & Assets',
+      icon: 'credit-card',
+      pages: [
+        {
+          title: 'Credit Health',
+          fields: [
+            {
+              name: 'creditScoreRange',
+              type: 'radio',
+              label: 'Credit Score Range',
+              options: ['Below 580', '580-600', '600-620', 'Above 620'],
+              help: 'What is your estimated credit score range?',
+              tip: 'Higher credit scores typically qualify for better interest rates and higher DTI allowances.',
+              required: true
+            }
+          ]
+        },
+        {
+          title: 'Co-Borrower Credit',
+          showWhen: { field: 'hasCoBorrower', equals: true },
+          fields: [
+            {
+              name: 'coBorrowerCreditScoreRange',
+              type: 'radio',
+              label: 'Co-Borrower Credit Score Range',
+              options: ['Below 580', '580-600', '600-620', 'Above 620'],
+              help: "What is your co-borrower's estimated credit score range?",
+              tip: "Lenders qualify joint applications on the lower of the borrowers' middle credit scores.",
+              required: true
+            }
+          ]
+        },
+        {
+          title: 'Financial Reserves',
+          fields: [
+            {
+              name: 'liquidCash',
+              type: 'currency',
+              label: 'Liquid Cash',
+              placeholder: 'Enter amount',
+              help: 'How much cash do you have readily available (checking, savings)?',
+              required: true,
+              validation: { min: 0 }
+            },
+            {
+              name: 'retirementInvestments',
+              type: 'currency',
+              label: 'Retirement & Investments',
+              placeholder: 'Enter total amount',
+              help: 'What is the total amount in your retirement or investment accounts?',
+              validation: { min: 0 }
+            },
+            {
+              name: 'otherLiquidAssets',
+              type: 'currency',
+              label: 'Other Liquid Assets',
+              placeholder: 'Enter amount',
+              help: 'Do you have additional liquid assets (e.g., CDs, bonds)?',
+              validation: { min: 0 }
+            },
+            {
+              type: 'tip',
+              text: "Liquid assets pay your down payment and closing costs. What's left, plus about {retirementAssetRate}% of retirement balances, counts as reserves."
+            }
+          ]
+        },
+        {
+          title: 'Co-Borrower Reserves',
+          showWhen: { field: 'hasCoBorrower', equals: true },
+          fields: [
+            {
+              name: 'coBorrowerLiquidCash',
+              type: 'currency',
+              label: 'Co-Borrower Liquid Cash',
+              placeholder: 'Enter amount',
+              help: 'How much cash does your co-borrower have in their own checking and savings accounts?',
+              required: true,
+              validation: { min: 0 }
+            },
+            {
+              name: 'coBorrowerRetirementInvestments',
+              type: 'currency',
+              label: 'Co-Borrower Retirement & Investments',
+              placeholder: 'Enter total amount',
+              help: "What is the total in your co-borrower's retirement or investment accounts?",
+              validation: { min: 0 }
+            },
+            {
+              name: 'coBorrowerOtherLiquidAssets',
+              type: 'currency',
+              label: 'Co-Borrower Other Liquid Assets',
+              placeholder: 'Enter amount',
+              help: 'Does your co-borrower have additional liquid assets (e.g., CDs, bonds)?',
+              validation: { min: 0 }
+            }
+          ]
+        }
+      ]
+    },
+    {
+      id: 'payment-medical',
+      name: 'Payment History',
+      icon: 'clock',
+      pages: [
+        {
+          title: 'Payment History',
+          fields: [
+            {
+              name: 'latePayments',
+              type: 'yesNo',
+              label: 'Late Payments',
+              help: 'Have you had any payments over 30 days late in the last 24 months?',
+              required: true
+            },
+            {
+              name: 'bankruptcy',
+              type: 'yesNo',
+              label: 'Recent Bankruptcies',
+              help: 'Have you filed for bankruptcy in the past 2 years?',
+              required: true
+            }
+          ]
+        },
+        {
+          title: 'Late Payment Details',
+          showWhen: { field: 'latePayments', equals: true },
+          fields: [
+            {
+              name: 'latePaymentCount',
+              type: 'number',
+              label: 'Number of Late Payments',
+              placeholder: 'e.g., 2',
+              help: 'How many payments were over 30 days late in the last 24 months?',
+              required: true,
+              validation: { min: 1, max: 24, integer: true }
+            },
+            {
+              name: 'latePaymentRecency',
+              type: 'radio',
+              label: 'Most Recent Late Payment',
+              options: ['Last 6 months', '6-12 months', '12-24 months'],
+              help: 'When was your most recent late payment?',
+              required: true
+            }
+          ]
+        },
+        {
+          title: 'Bankruptcy Details',
+          showWhen: { field: 'bankruptcy', equals: true },
+          fields: [
+            {
+              name: 'bankruptcyChapter',
+              type: 'radio',
+              label: 'Bankruptcy Chapter',
+              options: ['Chapter 7', 'Chapter 13'],
+              help: 'Which chapter did you file under?',
+              required: true
+            },
+            {
+              name: 'bankruptcyDischargeDate',
+              type: 'date',
+              label: 'Discharge Date',
+              help: "When was the bankruptcy discharged? Leave blank if it hasn't been discharged yet.",
+              validation: { notInFuture: true },
+              tip: 'Most programs require a waiting period after a Chapter 7 discharge, typically 2 years for FHA and VA and 4 years for conventional loans.'
+            }
+          ]
+        },
+        {
+          title: 'Medical & Collections Debt',
+          fields: [
+            {
+              type: 'tip',
+              text: "Add medical bills you're paying off to your debt list under Debt & Housing."
+            },
+            {
+              name: 'collectionsPayments',
+              type: 'currency',
+              label: 'Collections Payments',
+              placeholder: 'Enter monthly total',
+              help: 'Are you currently making payments on any collections accounts?',
+              validation: { min: 0 }
+            }
+          ]
+        }
+      ]
+    }
+  ]
+};
+
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = FORM_SCHEMA;
+}
@@ -0,0 +1,213 @@
+/**
+ * IncomeCalculator - Qualifying monthly income from the per-source income worksheet
+ * Applies the usual lender rules: wages are annualized, variable pay is averaged
+ * over two years and self-employment income is discounted when it is declining
+ */
+class IncomeCalculator {
+  /**
+   * Initialize the income calculator
+   * @param {Object} options - Configuration options
+   */
+  constructor(options = {}) {
+    // Paid weeks in a year for hourly wages
+    this.weeksPerYear = options.weeksPerYear || 52;
+
+    // Self-employment income that fell by more than this share (%) isn't counted
+    this.maxSelfEmployedDecline = options.maxSelfEmployedDecline || 20;
+
+    // Worksheet rules keyed by the incomeSources answer
+    // method: salary, hourly, average (two-year average) or selfEmployed
+    this.sources = options.sources || {
+      'Salary': { label: 'Salary', method: 'salary', annualField: 'annualSalary' },
+      'Hourly': { label: 'Hourly wages', method: 'hourly', rateField: 'hourlyRate', hoursField: 'hoursPerWeek' },
+      'Overtime': {
+        label: 'Overtime',
+        method: 'average',
+        recentYearField: 'overtimeIncomeRecentYear',
+        priorYearField: 'overtimeIncomePriorYear'
+      },
+      'Bonus': {
+        label: 'Bonus',
+        method: 'average',
+        recentYearField: 'bonusIncomeRecentYear',
+        priorYearField: 'bonusIncomePriorYear'
+      },
+      'Commission': {
+        label: 'Commission',
+        method: 'average',
+        recentYearField: 'commissionIncomeRecentYear',
+        priorYearField: 'commissionIncomePriorYear'
+      },
+      'Tips': {
+        label: 'Tips',
+        method: 'average',
+        recentYearField: 'tipIncomeRecentYear',
+        priorYearField: 'tipIncomePriorYear'
+      },
+      'Self-employed': {
+        label: 'Self-employment',
+        method: 'selfEmployed',
+        recentYearField: 'businessIncomeRecentYear',
+        priorYearField: 'businessIncomePriorYear'
+      }
+    };
+  }
+
+  /**
+   * Work out the qualifying monthly income from the worksheet answers
+   * Falls back to the stated monthly income until a worksheet amount is entered
+   * @param {Object} data - Mortgage data
+   * @returns {Object} Qualifying monthly income, stated income, whether the
+   *   worksheet was used and a line per selected source
+   */
+  calculate(data) {
+    const statedIncome = this.parseAmount(data.monthlyIncome);
+    const selected = Array.isArray(data.incomeSources) ? data.incomeSources : [];
+
+    const items = selected
+      .filter(source => this.sources[source])
+      .map(source => this.calculateSource(source, this.sources[source], data));
+
+    const fromWorksheet = items.some(item => item.entered);
+    const monthlyIncome = fromWorksheet
+      ? items.reduce((sum, item) => sum + item.monthlyIncome, 0)
+      : statedIncome;
+
+    return { monthlyIncome, statedIncome, fromWorksheet, items };
+  }
+
+  /**
+   * Calculate one income source
+   * @param {string} source - incomeSources answer, e.g. Hourly
+   * @param {Object} rule - Worksheet rule for the source
+   * @param {Object} data - Mortgage data
+   * @returns {Object} Source line with monthly income, calculation and note
+   */
+  calculateSource(source, rule, data) {
+    const line = { source, label: rule.label, monthlyIncome: 0, entered: false, calculation: null, note: null };
+
+    if (rule.method === 'salary') {
+      const annual = this.readAmount(data[rule.annualField]);
+      if (annual === null) return { ...line, note: 'Not entered' };
+
+      return {
+        ...line,
+        entered: true,
+        monthlyIncome: annual / 12,
+        calculation: `${this.formatCurrency(annual)}/yr ÷ 12`
+      };
+    }
+
+    if (rule.method === 'hourly') {
+      const rate = this.readAmount(data[rule.rateField]);
+      const hours = this.readAmount(data[rule.hoursField]);
+      if (rate === null || hours === null) return { ...line, note: 'Not entered' };
+
+      return {
+        ...line,
+        entered: true,
+        monthlyIncome: (rate * hours * this.weeksPerYear) / 12,
+        calculation: `${this.formatCurrency(rate, 2)}/hr × ${hours} hrs/wk × ${this.weeksPerYear} wks ÷ 12`
+      };
+    }
+
+    return this.calculateAveragedSource(line, rule, data);
+  }
+
+  /**
+   * Average two years of variable or self-employment income
+   * Declining income is counted at the most recent year, and self-employment
+   * income that fell too far or lacks a second year isn't counted at all
+   * @param {Object} line - Source line to fill in
+   * @param {Object} rule - Worksheet rule with recentYearField and priorYearField
+   * @param {Object} data - Mortgage data
+   * @returns {Object} Source line with monthly income, calculation and note
+   */
+  calculateAveragedSource(line, rule, data) {
+    const recentYear = this.readAmount(data[rule.recentYearField]);
+    const priorYear = this.readAmount(data[rule.priorYearField]);
+    const selfEmployed = rule.method === 'selfEmployed';
+
+    if (recentYear === null) return { ...line, note: 'Not entered' };
+
+    if (priorYear === null) {
+      // Lenders need two years of tax returns for self-employment income
+      return selfEmployed
+        ? { ...line, entered: true, note: 'Two years of business income are needed' }
+        : {
+          ...line,
+          entered: true,
+          monthlyIncome: Math.max(0, recentYear) / 12,
+          calculation: `${this.formatCurrency(recentYear)} ÷ 12`,
+          note: 'Only one year entered'
+        };
+    }
+
+    if (recentYear >= priorYear) {
+      return {
+        ...line,
+        entered: true,
+        monthlyIncome: Math.max(0, (recentYear + priorYear) / 2) / 12,
+        calculation: `(${this.formatCurrency(recentYear)} + ${this.formatCurrency(priorYear)}) ÷ 24`
+      };
+    }
+
+    const decline = priorYear > 0 ? ((priorYear - recentYear) / priorYear) * 100 : 100;
+    if (selfEmployed && decline > this.maxSelfEmployedDecline) {
+      return {
+        ...line,
+        entered: true,
+        note: `Declined ${Math.round(decline)}%; lenders usually won't count it until it stabilizes`
+      };
+    }
+
+    return {
+      ...line,
+      entered: true,
+      monthlyIncome: Math.max(0, recentYear) / 12,
+      calculation: `${this.formatCurrency(recentYear)} ÷ 12`,
+      note: 'Declining, so only the most recent year is used'
+    };
+  }
+
+  /**
+   * Read an optional worksheet amount
+   * @param {string|number} value - Stored value
+   * @returns {number|null} Parsed number, null when unanswered or invalid
+   */
+  readAmount(value) {
+    if (value === null || value === undefined || value === '') return null;
+
+    const amount = typeof value === 'number' ? value : parseFloat(String(value).replace(/[$,]/g, ''));
+    return isNaN(amount) ? null : amount;
+  }
+
+  /**
+   * Parse a stored form value as a number
+   * @param {string|number} value - Raw value from the data model
+   * @returns {number} Parsed number, 0 when empty or invalid
+   */
+  parseAmount(value) {
+    const amount = this.readAmount(value);
+    return amount === null ? 0 : amount;
+  }
+
+  /**
+   * Format a dollar amount for a calculation line
+   * @param {number} value - Amount
+   * @param {number} [decimals] - Fraction digits to show
+   * @returns {string} Formatted currency
+   */
+  formatCurrency(value, decimals = 0) {
+    return new Intl.NumberFormat('en-US', {
+      style: 'currency',
+      currency: 'USD',
+      minimumFractionDigits: decimals,
+      maximumFractionDigits: decimals
+    }).format(value);
+  }
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = IncomeCalculator;
+}
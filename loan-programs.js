@@ -0,0 +1,104 @@
+/**
+ * Loan program rule sets used by the UnderwritingEngine
+ * Each program defines its own DTI caps, credit and down payment minimums,
+ * loan amount limits and mortgage insurance rules
+ * Percentages are stored as whole numbers (43 = 43%) to match the DTI values
+ */
+const LOAN_PROGRAMS = {
+  conventional: {
+    id: 'conventional',
+    name: 'Conventional',
+    description: 'Conforming loan backed by Fannie Mae or Freddie Mac',
+    maxFrontEndDti: 36,
+    maxBackEndDti: 43,    // Baseline before compensating factors
+    dtiCeiling: 50,       // Highest DTI allowed with strong compensating factors
+    minCreditScore: 620,
+    minDownPaymentPercent: 3,
+    studentLoanPaymentRate: 1,
+    maxLoanAmount: 766550, // Conforming loan limit for most counties
+    mortgageInsurance: {
+      type: 'PMI',
+      upfrontRate: 0,
+      annualRate: 0.5,      // Used when the credit score range is unknown
+      requiredAboveLtv: 80,
+      cancelAtLtv: 78,
+      // Annual PMI rate by LTV band and credit score range
+      rateTable: [
+        { maxLtv: 85, rates: { 'Above 620': 0.3, '600-620': 0.45, '580-600': 0.6, 'Below 580': 0.75 } },
+        { maxLtv: 90, rates: { 'Above 620': 0.45, '600-620': 0.65, '580-600': 0.85, 'Below 580': 1.05 } },
+        { maxLtv: 95, rates: { 'Above 620': 0.6, '600-620': 0.9, '580-600': 1.15, 'Below 580': 1.4 } },
+        { maxLtv: 100, rates: { 'Above 620': 0.8, '600-620': 1.15, '580-600': 1.45, 'Below 580': 1.75 } }
+      ]
+    }
+  },
+  fha: {
+    id: 'fha',
+    name: 'FHA',
+    description: 'Government-insured loan with flexible credit requirements',
+    maxFrontEndDti: 31,
+    maxBackEndDti: 43,
+    dtiCeiling: 50,
+    minCreditScore: 580,
+    minDownPaymentPercent: 3.5,
+    studentLoanPaymentRate: 0.5,
+    mortgageInsurance: {
+      type: 'MIP',
+      upfrontRate: 1.75,
+      annualRate: 0.55,
+      requiredAboveLtv: 0,  // MIP applies regardless of down payment
+      cancelAtLtv: null     // Stays for the life of the loan with under 10% down
+    }
+  },
+  va: {
+    id: 'va',
+    name: 'VA',
+    description: 'For eligible veterans and service members, no down payment required',
+    maxFrontEndDti: null, // VA has no housing ratio cap
+    maxBackEndDti: 41,
+    dtiCeiling: 50,
+    minCreditScore: 620,
+    minDownPaymentPercent: 0,
+    studentLoanPaymentRate: 0.42,  // 5% of the balance per year
+    mortgageInsurance: {
+      type: 'Funding fee',
+      upfrontRate: 2.15,
+      annualRate: 0,
+      requiredAboveLtv: 0,
+      cancelAtLtv: null
+    }
+  },
+  usda: {
+    id: 'usda',
+    name: 'USDA',
+    description: 'Zero down payment loan for eligible rural areas',
+    maxFrontEndDti: 29,
+    maxBackEndDti: 41,
+    dtiCeiling: 44,
+    minCreditScore: 640,
+    minDownPaymentPercent: 0,
+    studentLoanPaymentRate: 0.5,
+    mortgageInsurance: {
+      type: 'Guarantee fee',
+      upfrontRate: 1,
+      annualRate: 0.35,
+      requiredAboveLtv: 0,
+      cancelAtLtv: null
+    }
+  },
+  jumbo: {
+    id: 'jumbo',
+    name: 'Jumbo',
+    description: 'For loan amounts above the conforming limit',
+    maxFrontEndDti: 36,
+    maxBackEndDti: 43,
+    dtiCeiling: 45,
+    minCreditScore: 700,
+    minDownPaymentPercent: 10,
+    minLoanAmount: 766551,
+    mortgageInsurance: null
+  }
+};
+
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = LOAN_PROGRAMS;
+}
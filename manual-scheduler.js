@@ -0,0 +1,135 @@
+/**
+ * ManualScheduler - A clock, frame and timer scheduler that only moves when told to
+ * Stands in for performance.now(), requestAnimationFrame and setTimeout so sheet
+ * animations can be stepped frame by frame in tests, gesture replays and other headless runs
+ */
+class ManualScheduler {
+  /**
+   * Initialize the manual scheduler
+   * @param {number} [startTime] - Initial clock time in milliseconds
+   */
+  constructor(startTime = 0) {
+    this.time = startTime;
+
+    // Frame callbacks waiting for the next step, keyed by id
+    this.pendingFrames = new Map();
+    this.nextFrameId = 1;
+
+    // Timer callbacks and the clock time they are due, keyed by id
+    this.pendingTimers = new Map();
+    this.nextTimerId = 1;
+  }
+
+  /**
+   * Get the current clock time
+   * @returns {number} Time in milliseconds
+   */
+  now() {
+    return this.time;
+  }
+
+  /**
+   * Queue a callback for the next frame, like requestAnimationFrame
+   * @param {Function} callback - Called with the frame time
+   * @returns {number} Frame id for cancelFrame()
+   */
+  requestFrame(callback) {
+    const id = this.nextFrameId++;
+    this.pendingFrames.set(id, callback);
+    return id;
+  }
+
+  /**
+   * Drop a queued frame callback, like cancelAnimationFrame
+   * @param {number} id - Frame id from requestFrame()
+   */
+  cancelFrame(id) {
+    this.pendingFrames.delete(id);
+  }
+
+  /**
+   * Queue a callback to run once the clock reaches a delay, like setTimeout
+   * @param {Function} callback - Called when the timer is due
+   * @param {number} [delay] - Milliseconds from now
+   * @returns {number} Timer id for clearTimer()
+   */
+  setTimer(callback, delay = 0) {
+    const id = this.nextTimerId++;
+    this.pendingTimers.set(id, { time: this.time + delay, callback });
+    return id;
+  }
+
+  /**
+   * Drop a queued timer, like clearTimeout
+   * @param {number} id - Timer id from setTimer()
+   */
+  clearTimer(id) {
+    this.pendingTimers.delete(id);
+  }
+
+  /**
+   * Move the clock without running any frames or timers
+   * @param {number} time - New clock time in milliseconds
+   */
+  setTime(time) {
+    this.time = time;
+  }
+
+  /**
+   * Advance the clock, run the timers that came due and then the frame callbacks that were queued
+   * Callbacks queued while running wait for the next step, as in a browser
+   * @param {number} [frameInterval] - Milliseconds to advance, defaults to one 60Hz frame
+   * @returns {number} Number of callbacks run
+   */
+  step(frameInterval = 1000 / 60) {
+    this.time += frameInterval;
+
+    // Due timers run in the order they fell due, then in the order they were set
+    const timers = [...this.pendingTimers.entries()]
+      .filter(([, timer]) => timer.time <= this.time)
+      .sort(([idA, a], [idB, b]) => a.time - b.time || idA - idB);
+    timers.forEach(([id]) => this.pendingTimers.delete(id));
+    timers.forEach(([, timer]) => timer.callback());
+
+    const frames = [...this.pendingFrames.values()];
+    this.pendingFrames.clear();
+    frames.forEach(callback => callback(this.time));
+
+    return timers.length + frames.length;
+  }
+
+  /**
+   * Step frames until no frames or timers are queued
+   * @param {number} [frameInterval] - Milliseconds per frame
+   * @param {number} [maxFrames] - Give up after this many frames
+   * @returns {number} Number of frames stepped
+   */
+  runUntilIdle(frameInterval = 1000 / 60, maxFrames = 10000) {
+    let frames = 0;
+    while ((this.pendingFrames.size > 0 || this.pendingTimers.size > 0) && frames < maxFrames) {
+      this.step(frameInterval);
+      frames++;
+    }
+    return frames;
+  }
+
+  /**
+   * Check whether any frame callbacks are queued
+   * @returns {boolean} True if a frame is pending
+   */
+  hasPendingFrames() {
+    return this.pendingFrames.size > 0;
+  }
+
+  /**
+   * Check whether any timers are queued
+   * @returns {boolean} True if a timer is pending
+   */
+  hasPendingTimers() {
+    return this.pendingTimers.size > 0;
+  }
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = ManualScheduler;
+}
@@ -0,0 +1,358 @@
+/**
+ * MortgageCalculator - Loan payment, loan amount and amortization math
+ * Shared by the affordability views so every screen uses the same formulas
+ */
+class MortgageCalculator {
+  /**
+   * Initialize the mortgage calculator
+   * @param {Object} options - Configuration options
+   */
+  constructor(options = {}) {
+    // Defaults used when the profile doesn't specify loan terms
+    this.defaultInterestRate = options.defaultInterestRate || 6.5;
+    this.defaultTermYears = options.defaultTermYears || 30;
+
+    // Each discount point costs 1% of the loan and buys down the rate
+    this.pointRateReduction = options.pointRateReduction || 0.25;
+
+    // Terms offered in the affordability view
+    this.availableTerms = options.availableTerms || [10, 15, 20, 30];
+
+    // Rates (%) and terms compared in the rate sensitivity grid
+    this.sensitivityRates = options.sensitivityRates || { min: 5, max: 8, step: 0.25 };
+    this.sensitivityTerms = options.sensitivityTerms || [15, 30];
+
+    // Housing cost defaults when the profile leaves them blank
+    this.defaultPropertyTaxRate = options.defaultPropertyTaxRate || 1.1;       // % of price per year
+    this.defaultInsuranceRate = options.defaultInsuranceRate || 0.35;          // % of price per year
+  }
+
+  /**
+   * Read loan terms from the data model, applying defaults
+   * @param {Object} data - Mortgage data
+   * @returns {Object} Interest rate, effective rate, term and points
+   */
+  getLoanTerms(data) {
+    const interestRate = parseFloat(data.interestRate);
+    const termYears = parseInt(data.loanTermYears, 10);
+    const points = Math.max(0, parseFloat(data.discountPoints) || 0);
+
+    const rate = !isNaN(interestRate) && interestRate >= 0 ? interestRate : this.defaultInterestRate;
+    const term = this.availableTerms.includes(termYears) ? termYears : this.defaultTermYears;
+
+    return {
+      interestRate: rate,
+      effectiveRate: this.getEffectiveRate(rate, points),
+      termYears: term,
+      points
+    };
+  }
+
+  /**
+   * Apply discount points to a note rate
+   * @param {number} interestRate - Annual rate as a percentage
+   * @param {number} points - Discount points purchased
+   * @returns {number} Effective annual rate, never below zero
+   */
+  getEffectiveRate(interestRate, points = 0) {
+    return Math.max(0, interestRate - (points * this.pointRateReduction));
+  }
+
+  /**
+   * Upfront cost of discount points
+   * @param {number} loanAmount - Loan amount
+   * @param {number} points - Discount points purchased
+   * @returns {number} Cost in dollars
+   */
+  calculatePointsCost(loanAmount, points) {
+    return loanAmount * (points / 100);
+  }
+
+  /**
+   * Monthly principal and interest payment
+   * Uses P = L[c(1 + c)^n]/[(1 + c)^n - 1]
+   * @param {number} loanAmount - Loan amount
+   * @param {number} annualRate - Annual rate as a percentage
+   * @param {number} termYears - Loan term in years
+   * @returns {number} Monthly payment
+   */
+  calculateMonthlyPayment(loanAmount, annualRate, termYears) {
+    if (loanAmount <= 0) return 0;
+
+    const monthlyRate = annualRate / 100 / 12;
+    const payments = termYears * 12;
+
+    if (monthlyRate === 0) {
+      return loanAmount / payments;
+    }
+
+    const growth = Math.pow(1 + monthlyRate, payments);
+    return loanAmount * (monthlyRate * growth) / (growth - 1);
+  }
+
+  /**
+   * Largest loan a monthly principal and interest payment can support
+   * Solves the payment formula for L: L = P[((1 + c)^n - 1)]/[c(1 + c)^n]
+   * @param {number} monthlyPayment - Principal and interest budget
+   * @param {number} annualRate - Annual rate as a percentage
+   * @param {number} termYears - Loan term in years
+   * @returns {number} Loan amount
+   */
+  calculateLoanAmount(monthlyPayment, annualRate, termYears) {
+    if (monthlyPayment <= 0) return 0;
+
+    const monthlyRate = annualRate / 100 / 12;
+    const payments = termYears * 12;
+
+    if (monthlyRate === 0) {
+      return monthlyPayment * payments;
+    }
+
+    const numerator = Math.pow(1 + monthlyRate, payments) - 1;
+    const denominator = monthlyRate * Math.pow(1 + monthlyRate, payments);
+    return monthlyPayment * (numerator / denominator);
+  }
+
+  /**
+   * Build a full month-by-month amortization schedule
+   * @param {number} loanAmount - Loan amount
+   * @param {number} annualRate - Annual rate as a percentage
+   * @param {number} termYears - Loan term in years
+   * @param {Date} [startDate] - Date of the first payment (defaults to next month)
+   * @returns {Object} Schedule rows and loan totals
+   */
+  buildAmortizationSchedule(loanAmount, annualRate, termYears, startDate = null) {
+    const monthlyPayment = this.calculateMonthlyPayment(loanAmount, annualRate, termYears);
+    const monthlyRate = annualRate / 100 / 12;
+    const totalPayments = termYears * 12;
+
+    // First payment is due on the first of the month after closing
+    const firstPayment = startDate ? new Date(startDate) : new Date();
+    if (!startDate) {
+      firstPayment.setMonth(firstPayment.getMonth() + 1, 1);
+    }
+
+    const payments = [];
+    let balance = loanAmount;
+    let cumulativeInterest = 0;
+
+    for (let month = 1; month <= totalPayments && balance > 0; month++) {
+      const interest = balance * monthlyRate;
+
+      // The final payment clears whatever rounding left behind
+      const principal = month === totalPayments ? balance : Math.min(balance, monthlyPayment - interest);
+      balance = Math.max(0, balance - principal);
+      cumulativeInterest += interest;
+
+      const date = new Date(firstPayment.getFullYear(), firstPayment.getMonth() + month - 1, 1);
+
+      payments.push({
+        month,
+        date,
+        payment: principal + interest,
+        principal,
+        interest,
+        balance,
+        cumulativeInterest
+      });
+    }
+
+    const lastPayment = payments[payments.length - 1];
+
+    return {
+      loanAmount,
+      annualRate,
+      termYears,
+      monthlyPayment,
+      totalInterest: cumulativeInterest,
+      totalPaid: loanAmount + cumulativeInterest,
+      payoffDate: lastPayment ? lastPayment.date : null,
+      payments
+    };
+  }
+
+  /**
+   * Read housing cost inputs from the data model, applying defaults
+   * @param {Object} data - Mortgage data
+   * @returns {Object} Property tax rate, insurance premium and HOA dues
+   */
+  getHousingCosts(data) {
+    const propertyTaxRate = parseFloat(data.propertyTaxRate);
+    const homeInsuranceAnnual = parseFloat(data.homeInsuranceAnnual);
+
+    return {
+      propertyTaxRate: !isNaN(propertyTaxRate) && propertyTaxRate >= 0 ? propertyTaxRate : this.defaultPropertyTaxRate,
+      // A blank premium is estimated from the home price
+      homeInsuranceAnnual: !isNaN(homeInsuranceAnnual) && homeInsuranceAnnual >= 0 ? homeInsuranceAnnual : null,
+      hoaDues: Math.max(0, parseFloat(data.hoaDues) || 0)
+    };
+  }
+
+  /**
+   * Look up the annual mortgage insurance rate for a loan
+   * @param {Object|null} insurance - Program mortgage insurance rules
+   * @param {number} ltv - Loan-to-value as a percentage
+   * @param {string} creditScoreRange - Credit score range answer
+   * @returns {number} Annual rate as a percentage, 0 when none applies
+   */
+  getMortgageInsuranceRate(insurance, ltv, creditScoreRange) {
+    if (!insurance || ltv <= insurance.requiredAboveLtv) return 0;
+
+    if (insurance.rateTable) {
+      const band = insurance.rateTable.find(row => ltv <= row.maxLtv) ||
+        insurance.rateTable[insurance.rateTable.length - 1];
+      const rate = band.rates[creditScoreRange];
+      return rate !== undefined ? rate : insurance.annualRate;
+    }
+
+    return insurance.annualRate;
+  }
+
+  /**
+   * Full PITI breakdown for a home price
+   * @param {number} homePrice - Purchase price
+   * @param {number} downPayment - Down payment in dollars
+   * @param {Object} options - Rate, term, housing costs, credit range and insurance rules
+   * @returns {Object} Monthly line items and their total
+   */
+  calculateHousingPayment(homePrice, downPayment, options) {
+    const loanAmount = Math.max(0, homePrice - downPayment);
+    const ltv = homePrice > 0 ? (loanAmount / homePrice) * 100 : 0;
+
+    const insuranceAnnual = options.homeInsuranceAnnual !== null && options.homeInsuranceAnnual !== undefined
+      ? options.homeInsuranceAnnual
+      : homePrice * (this.defaultInsuranceRate / 100);
+    const mortgageInsuranceRate = this.getMortgageInsuranceRate(
+      options.mortgageInsurance, ltv, options.creditScoreRange
+    );
+
+    const breakdown = {
+      homePrice,
+      loanAmount,
+      ltv,
+      principalAndInterest: this.calculateMonthlyPayment(loanAmount, options.annualRate, options.termYears),
+      propertyTax: (homePrice * (options.propertyTaxRate / 100)) / 12,
+      homeInsurance: insuranceAnnual / 12,
+      mortgageInsurance: (loanAmount * (mortgageInsuranceRate / 100)) / 12,
+      mortgageInsuranceRate,
+      hoaDues: options.hoaDues || 0
+    };
+
+    breakdown.total = breakdown.principalAndInterest + breakdown.propertyTax +
+      breakdown.homeInsurance + breakdown.mortgageInsurance + breakdown.hoaDues;
+
+    return breakdown;
+  }
+
+  /**
+   * Find the highest home price whose full PITI payment fits a budget
+   * Taxes, insurance and mortgage insurance all scale with the price, so the
+   * price is solved by bisection against calculateHousingPayment()
+   * @param {number} maxPayment - Maximum monthly housing payment
+   * @param {number} downPayment - Down payment in dollars
+   * @param {Object} options - Same options as calculateHousingPayment()
+   * @returns {Object} PITI breakdown at the maximum price
+   */
+  solveMaxHomePrice(maxPayment, downPayment, options) {
+    // Fixed costs alone may exceed the budget
+    if (maxPayment <= 0 || this.calculateHousingPayment(downPayment, downPayment, options).total > maxPayment) {
+      return this.calculateHousingPayment(0, 0, { ...options, hoaDues: 0 });
+    }
+
+    let low = downPayment;
+    let high = Math.max(downPayment * 2, 100000);
+
+    // Grow the upper bound until it is unaffordable
+    while (this.calculateHousingPayment(high, downPayment, options).total <= maxPayment && high < 1e9) {
+      high *= 2;
+    }
+
+    for (let i = 0; i < 60 && high - low > 1; i++) {
+      const mid = (low + high) / 2;
+      if (this.calculateHousingPayment(mid, downPayment, options).total <= maxPayment) {
+        low = mid;
+      } else {
+        high = mid;
+      }
+    }
+
+    return this.calculateHousingPayment(Math.floor(low), downPayment, options);
+  }
+
+  /**
+   * Maximum home price and payment across a grid of rates and terms
+   * Each cell solves the same full PITI budget as solveMaxHomePrice(), so the
+   * row for the current rate matches the affordability estimate
+   * @param {number} maxPayment - Maximum monthly housing payment
+   * @param {number} downPayment - Down payment in dollars
+   * @param {number} homePrice - Price whose monthly payment is shown at each rate
+   * @param {Object} options - Same options as calculateHousingPayment(); rate and term are replaced per cell
+   * @param {Array} [terms] - Loan terms in years
+   * @returns {Object} Rates, terms and one row per rate with a cell per term
+   */
+  calculateRateSensitivity(maxPayment, downPayment, homePrice, options, terms = this.sensitivityTerms) {
+    const { min, max, step } = this.sensitivityRates;
+    const rates = [];
+    // Count steps instead of adding them so floating point error doesn't drop the last rate
+    for (let i = 0; min + i * step <= max + 1e-9; i++) {
+      rates.push(Math.round((min + i * step) * 1000) / 1000);
+    }
+
+    const rows = rates.map(rate => ({
+      rate,
+      cells: terms.map(termYears => {
+        const cellOptions = { ...options, annualRate: rate, termYears };
+        return {
+          termYears,
+          maxHomePrice: this.solveMaxHomePrice(maxPayment, downPayment, cellOptions).homePrice,
+          payment: homePrice > 0 ? this.calculateHousingPayment(homePrice, downPayment, cellOptions).total : 0
+        };
+      })
+    }));
+
+    return { rates, terms, homePrice, rows };
+  }
+
+  /**
+   * Find when mortgage insurance can be removed from a loan
+   * @param {Object} schedule - Result from buildAmortizationSchedule()
+   * @param {number} homePrice - Original purchase price
+   * @param {number|null} cancelAtLtv - LTV at which insurance drops, null if it never does
+   * @returns {Object|null} Month number and date, null if it never drops
+   */
+  findMortgageInsuranceDropOff(schedule, homePrice, cancelAtLtv) {
+    if (cancelAtLtv === null || cancelAtLtv === undefined || homePrice <= 0) return null;
+
+    const row = schedule.payments.find(payment => (payment.balance / homePrice) * 100 <= cancelAtLtv);
+    return row ? { month: row.month, date: row.date } : null;
+  }
+
+  /**
+   * Roll a monthly schedule up into yearly totals
+   * @param {Array} payments - Rows from buildAmortizationSchedule()
+   * @returns {Array} One row per loan year
+   */
+  summarizeByYear(payments) {
+    const years = [];
+
+    payments.forEach(row => {
+      const yearIndex = Math.floor((row.month - 1) / 12);
+      if (!years[yearIndex]) {
+        years[yearIndex] = { year: yearIndex + 1, principal: 0, interest: 0, balance: 0, cumulativeInterest: 0, payments: [] };
+      }
+
+      const year = years[yearIndex];
+      year.principal += row.principal;
+      year.interest += row.interest;
+      year.balance = row.balance;
+      year.cumulativeInterest = row.cumulativeInterest;
+      year.payments.push(row);
+    });
+
+    return years;
+  }
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = MortgageCalculator;
+}
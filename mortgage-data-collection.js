@@ -27,67 +27,63 @@ class MortgageDataCollection {
       allowOvershoot: true
     });
 
+    // Detents for views that differ from the sheet's defaults
+    // Settling on 'half' renders the detailed form, so loading and results views leave it out;
+    // results keep 'docked' as the way back to the summary
+    this.viewSnapPoints = {
+      loading: { closed: 0, full: 0.95 },
+      results: { closed: 0, docked: 0.15, full: 0.95 }
+    };
+
     // Force the sheet to be visible after a longer delay to ensure DOM is ready
     setTimeout(() => {
       console.log("Setting initial position. Viewport Height:", this.sheetController.viewportHeight); // Added log
       this.sheetController.setPosition('half', false);
     }, 500); // Increased timeout to 500ms
 
-    // Create data model
-    this.data = {
-      // Home Purchase Goals
-      targetHomePrice: '',
-      downPayment: '',
-      downPaymentPercent: '',
-
-      // Income
-      monthlyIncome: '',
-      incomeSources: [],
-      incomeTrend: '',
-
-      // Debt
-      carPayment: '',
-      creditCardMinimums: '',
-      otherDebts: '',
-
-      // Housing
-      currentHousingExpense: '',
-      residencyDuration: '',
-
-      // Credit
-      creditScoreRange: '',
-
-      // Assets
-      liquidCash: '',
-      retirementInvestments: '',
-      otherLiquidAssets: '',
-
-      // Payment History
-      latePayments: false,
-      bankruptcy: false,
-
-      // Medical & Collections
-      medicalDebt: '',
-      collectionsPayments: ''
-    };
+    // Pure calculation engine for DTI and max DTI
+    this.underwritingEngine = new UnderwritingEngine();
+
+    // Loan payment and amortization math
+    this.mortgageCalculator = new MortgageCalculator();
+
+    // Works out what would need to change to afford the target home
+    this.targetSolver = new TargetSolver({ engine: this.underwritingEngine });
+
+    // Compares keeping the current rent with buying the target home
+    this.rentVsBuyCalculator = new RentVsBuyCalculator({ engine: this.underwritingEngine });
+
+    // Versioned, schema-validated storage (see mortgage-data-schema.js)
+    this.persistence = new MortgagePersistence();
+
+    // Named profiles saved side by side
+    this.scenarioStore = new ScenarioStore({ persistence: this.persistence });
+
+    // JSON and CSV export and import of the profile
+    this.profileExporter = new ProfileExporter({ persistence: this.persistence });
+
+    // Sections, pages and fields of the form (see form-schema.js)
+    this.formModel = new FormModel();
+
+    // Printable pre-qualification report
+    this.reportBuilder = new ReportBuilder({ engine: this.underwritingEngine, formModel: this.formModel });
+
+    // Budget tier shown in the affordability view
+    this.selectedAffordabilityTier = 'moderate';
+
+    // Scenarios shown in the comparison table
+    this.comparisonIds = [];
+    this.maxComparedScenarios = 4;
+
+    // Create data model from the schema defaults
+    this.defaultData = this.persistence.createDefaults();
+    this.data = this.persistence.createDefaults();
 
     // Track current section and page
     this.currentSection = 'goals-income';
     this.currentPage = 1;
-    this.totalPages = 4;
 
     // Store form completion status
-    this.completionStatus = {
-      'goals-income': [false, false],
-      'debt-housing': [false, false],
-      'credit-assets': [false, false],
-      'payment-medical': [false, false]
-    };
-
-    // Load saved data if available
-    this.loadData();
-
-    // Update completion status
     this.updateCompletionStatus();
 
     // Set up event listeners
@@ -95,6 +91,12 @@ class MortgageDataCollection {
 
     // Initialize content
     this.renderCurrentSection();
+
+    // Load saved data if available, then redraw with it
+    this.loadData().then(() => {
+      this.updateCompletionStatus();
+      this.renderCurrentSection();
+    });
   }
 
   /**
@@ -122,10 +124,50 @@ class MortgageDataCollection {
       } else if (e.target.matches('.edit-info-button')) {
         this.sheetController.setPosition('full');
         this.renderFullForm();
+      } else if (e.target.matches('.view-amortization-button')) {
+        this.showAmortizationSchedule();
+      } else if (e.target.matches('.update-affordability-button')) {
+        this.showAffordability(this.calculatedMaxDti);
+      } else if (e.target.matches('.affordability-tier-button')) {
+        this.selectAffordabilityTier(e.target.dataset.tier);
+      } else if (e.target.matches('.target-solver-button')) {
+        this.showTargetSolver();
+      } else if (e.target.matches('.rent-vs-buy-button')) {
+        this.showRentVsBuy();
+      } else if (e.target.matches('.apply-scenario-button')) {
+        this.applySolverScenario(e.target.dataset.scenario);
+      } else if (e.target.matches('.close-sheet-button')) {
+        this.sheetController.pop();
+      } else if (e.target.matches('.back-to-results-button')) {
+        this.showResults(this.calculatedDti, this.calculatedMaxDti, this.dtiFactors);
+      } else if (e.target.matches('.scenario-action-button')) {
+        this.handleScenarioAction(e.target.dataset.action);
+      } else if (e.target.matches('.export-profile-button')) {
+        this.exportProfile(e.target.dataset.format);
+      } else if (e.target.matches('.download-report-button')) {
+        this.downloadReport();
+      } else if (e.target.matches('.import-profile-button')) {
+        const fileInput = document.querySelector('.import-file-input');
+        if (fileInput) fileInput.click();
+      } else if (e.target.matches('.back-to-summary-button')) {
+        this.sheetController.setPosition('docked');
+        this.renderSummaryView();
+      } else if (e.target.matches('.add-debt-button')) {
+        this.addDebt(e.target.dataset.debtList);
+      } else if (e.target.matches('.remove-debt-button')) {
+        this.removeDebt(e.target.dataset.debtList, parseInt(e.target.dataset.debtIndex, 10));
       } else if (e.target.matches('.back-button')) {
+        this.requestCalculation();
+      } else if (e.target.matches('.show-issues-button')) {
+        this.showIssueSummary(this.formModel.getIssues(this.data));
+      } else if (e.target.matches('.issue-link')) {
+        this.goToIssue(e.target.dataset);
+      } else if (e.target.matches('.calculate-anyway-button')) {
         this.calculateResults();
+      } else if (e.target.matches('.back-to-form-button')) {
+        this.renderCurrentSection();
       } else if (e.target.matches('.calculate-button') || e.target.matches('.submit-button')) {
-        this.calculateResults();
+        this.requestCalculation();
       }
     });
 
@@ -145,7 +187,16 @@ class MortgageDataCollection {
 
     // Add immediate update for checkbox changes
     document.addEventListener('change', e => {
-      if (e.target.type === 'checkbox' || e.target.type === 'radio') {
+      // Scenario controls aren't part of the data model
+      if (e.target.matches('.scenario-select')) {
+        this.switchScenario(e.target.value);
+      } else if (e.target.matches('.scenario-name-input')) {
+        this.renameScenario(e.target.value);
+      } else if (e.target.matches('.compare-scenario-checkbox')) {
+        this.toggleComparisonScenario(e.target.value, e.target.checked);
+      } else if (e.target.matches('.import-file-input')) {
+        if (e.target.files.length > 0) this.importProfile(e.target.files[0]);
+      } else if (e.target.type === 'checkbox' || e.target.type === 'radio') {
         this.handleInputChange(e.target);
       }
     });
@@ -160,6 +211,12 @@ class MortgageDataCollection {
       // Remove visual cues when dragging ends
       document.body.classList.remove('sheet-dragging');
     });
+
+    // Don't let a swipe close the sheet on a form that's showing errors
+    this.sheetController.setSnapPolicy(({ to }) => {
+      const hasErrors = this.sheetController.getContentElement().querySelector('.form-group.has-error') !== null;
+      return !(to === 'closed' && hasErrors);
+    });
   }
 
   /**
@@ -194,21 +251,22 @@ class MortgageDataCollection {
     const name = input.name;
     let value = input.value;
 
-    // Convert checkbox and radio values
+    // Itemized debt fields update an entry in the debt list
+    if (input.dataset.debtIndex !== undefined) {
+      this.handleDebtChange(input);
+      return;
+    }
+
+    // Convert checkbox values; radio values are typed by updateData
     if (input.type === 'checkbox') {
-      if (name === 'incomeSources') {
+      const field = this.formModel.getField(name);
+      if (field && field.type === 'checkboxes') {
         // Handle array checkbox values specially
         this.handleCheckboxChange(input);
         return;
       } else {
         value = input.checked;
       }
-    } else if (input.type === 'radio') {
-      if (name === 'latePayments' || name === 'bankruptcy') {
-        value = input.value === 'true';
-      } else {
-        value = input.value;
-      }
     }
 
     // Update data model
@@ -217,40 +275,151 @@ class MortgageDataCollection {
     // Apply validation styles if needed
     this.validateField(input);
 
+    // Re-check fields whose rules compare against this one
+    this.formModel.getDependentFields(name).forEach(field => {
+      const dependent = document.getElementById(field.name);
+      if (dependent) this.validateField(dependent);
+    });
+
     // Update completion status
     this.updateCompletionStatus();
+    this.updateCalculateState();
+
+    // Show or hide the pages and questions that depend on this answer
+    if (this.formModel.affectsVisibility(name)) {
+      this.renderCurrentSection();
+    }
   }
 
   /**
-   * Validate a form field
+   * Validate a form field and show its error message inline
    * @param {HTMLElement} input - The input element to validate
+   * @returns {boolean} True when the field is valid
    */
   validateField(input) {
     // Get form group
     const formGroup = input.closest('.form-group');
-    if (!formGroup) return;
+    if (!formGroup) return true;
 
-    // Check if input is empty for required fields
-    if (input.required && input.value.trim() === '') {
-      formGroup.classList.add('has-error');
-      return false;
-    }
+    const message = this.getInputError(input);
+    let error = formGroup.querySelector('.field-error');
 
-    // Check for numeric validation
-    if (input.type === 'number' && input.value !== '') {
-      const value = parseFloat(input.value);
-      if (isNaN(value) || value < 0) {
-        formGroup.classList.add('has-error');
-        return false;
+    if (message) {
+      if (!error) {
+        error = document.createElement('p');
+        error.className = 'field-error';
+        error.setAttribute('role', 'alert');
+        formGroup.insertBefore(error, formGroup.querySelector('.help-text'));
       }
+      error.textContent = message;
+
+      formGroup.classList.remove('is-valid');
+      formGroup.classList.add('has-error');
+      input.setAttribute('aria-invalid', 'true');
+      return false;
     }
 
     // Field is valid
+    if (error) error.remove();
     formGroup.classList.remove('has-error');
     formGroup.classList.add('is-valid');
+    input.removeAttribute('aria-invalid');
     return true;
   }
 
+  /**
+   * Check an input's stored value against its rules in the form schema
+   * @param {HTMLElement} input - Input element
+   * @returns {string|null} Error message, null when valid
+   */
+  getInputError(input) {
+    if (input.dataset.debtIndex !== undefined) {
+      return this.getDebtFieldError(input.dataset.debtList, parseInt(input.dataset.debtIndex, 10), input.dataset.debtField);
+    }
+
+    const field = this.formModel.getField(input.name);
+    return field ? this.formModel.validate(field, this.data[field.name], this.data) : null;
+  }
+
+  /**
+   * Check one field of an itemized debt against the debt list's item rules
+   * @param {string} listName - Debt list field, e.g. debts
+   * @param {number} index - Index of the debt
+   * @param {string} itemField - Debt field, e.g. balance
+   * @returns {string|null} Error message, null when valid
+   */
+  getDebtFieldError(listName, index, itemField) {
+    const list = this.formModel.getField(listName);
+    const definition = list && list.itemFields ? list.itemFields[itemField] : null;
+    const debt = Array.isArray(this.data[listName]) ? this.data[listName][index] : null;
+
+    return definition && debt ? this.formModel.validate(definition, debt[itemField], this.data) : null;
+  }
+
+  /**
+   * Handle changes to a field of an itemized debt
+   * @param {HTMLElement} input - The debt input element that changed
+   */
+  handleDebtChange(input) {
+    const listName = input.dataset.debtList;
+    const index = parseInt(input.dataset.debtIndex, 10);
+    const field = input.dataset.debtField;
+    const debt = Array.isArray(this.data[listName]) ? this.data[listName][index] : null;
+    if (!debt || !field) return;
+
+    debt[field] = this.persistence.coerceItemField(listName, field, input.type === 'checkbox' ? input.checked : input.value);
+
+    // Save data
+    this.saveData();
+
+    // Apply validation styles if needed
+    this.validateField(input);
+
+    // Update completion status
+    this.updateCompletionStatus();
+    this.updateCalculateState();
+  }
+
+  /**
+   * Add an empty entry to an itemized debt list
+   * @param {string} listName - Debt list field, e.g. debts
+   */
+  addDebt(listName) {
+    const list = this.formModel.getField(listName);
+    if (!list || !Array.isArray(this.data[listName])) return;
+
+    this.data[listName].push({
+      id: `debt-${Date.now().toString(36)}`,
+      type: 'auto',
+      balance: null,
+      monthlyPayment: null,
+      monthsRemaining: null,
+      payingOff: false,
+      description: ''
+    });
+    this.data[list.emptyField] = false;
+
+    this.saveData();
+    this.updateCompletionStatus();
+    this.renderCurrentSection();
+  }
+
+  /**
+   * Remove an entry from an itemized debt list
+   * @param {string} listName - Debt list field, e.g. debts
+   * @param {number} index - Index of the debt to remove
+   */
+  removeDebt(listName, index) {
+    const debts = this.data[listName];
+    if (isNaN(index) || !Array.isArray(debts) || !debts[index]) return;
+
+    debts.splice(index, 1);
+
+    this.saveData();
+    this.updateCompletionStatus();
+    this.renderCurrentSection();
+  }
+
   /**
    * Handle checkbox changes for array values
    * @param {HTMLElement} checkbox - The checkbox element that changed
@@ -261,7 +430,8 @@ class MortgageDataCollection {
     const checked = checkbox.checked;
 
     // Handle array values (checkboxes)
-    if (name === 'incomeSources') {
+    const field = this.formModel.getField(name);
+    if (field && field.type === 'checkboxes') {
       if (!Array.isArray(this.data[name])) {
         this.data[name] = [];
       }
@@ -281,6 +451,12 @@ class MortgageDataCollection {
 
       // Update completion status
       this.updateCompletionStatus();
+      this.updateCalculateState();
+
+      // Show or hide the pages and questions that depend on this answer
+      if (this.formModel.affectsVisibility(name)) {
+        this.renderCurrentSection();
+      }
     }
   }
 
@@ -288,53 +464,8 @@ class MortgageDataCollection {
    * Update completion status for sections and pages
    */
   updateCompletionStatus() {
-    // Reset completion status
-    this.completionStatus = {
-      'goals-income': [false, false],
-      'debt-housing': [false, false],
-      'credit-assets': [false, false],
-      'payment-medical': [false, false]
-    };
-
-    // Check completion status for each section/page
-
-    // Home Purchase Goals
-    if (this.data.targetHomePrice && this.data.downPayment) {
-      this.completionStatus['goals-income'][0] = true;
-    }
-
-    // Income Snapshot
-    if (this.data.monthlyIncome && this.data.incomeSources.length > 0 && this.data.incomeTrend) {
-      this.completionStatus['goals-income'][1] = true;
-    }
-
-    // Debt Obligations
-    if ((this.data.carPayment !== '' || this.data.creditCardMinimums !== '')) {
-      this.completionStatus['debt-housing'][0] = true;
-    }
-
-    // Housing Costs
-    if (this.data.currentHousingExpense !== '') {
-      this.completionStatus['debt-housing'][1] = true;
-    }
-
-    // Credit Health
-    if (this.data.creditScoreRange) {
-      this.completionStatus['credit-assets'][0] = true;
-    }
-
-    // Financial Reserves
-    if (this.data.liquidCash !== '') {
-      this.completionStatus['credit-assets'][1] = true;
-    }
-
-    // Payment History
-    if (this.data.latePayments !== undefined && this.data.bankruptcy !== undefined) {
-      this.completionStatus['payment-medical'][0] = true;
-    }
-
-    // Medical & Collections Debt
-    this.completionStatus['payment-medical'][1] = true; // Optional section
+    // Each page is complete once its required fields are answered
+    this.completionStatus = this.formModel.getCompletionStatus(this.data);
   }
 
   /**
@@ -343,6 +474,8 @@ class MortgageDataCollection {
    * @param {any} value - Field value
    */
   updateData(field, value) {
+    // Store typed values (numbers as numbers) as described by the schema
+    value = this.persistence.coerceField(field, value);
     this.data[field] = value;
 
     // Handle special cases with improved calculations
@@ -352,10 +485,10 @@ class MortgageDataCollection {
 
       if (!isNaN(targetPrice) && !isNaN(downPayment) && targetPrice > 0) {
         const percent = (downPayment / targetPrice) * 100;
-        this.data.downPaymentPercent = percent.toFixed(1);
+        this.data.downPaymentPercent = parseFloat(percent.toFixed(1));
 
         // Update display if needed
-        const percentElement = document.getElementById('down-payment-percent');
+        const percentElement = document.getElementById('downPayment-percent');
         if (percentElement) {
           percentElement.textContent = `${this.data.downPaymentPercent}%`;
 
@@ -372,10 +505,10 @@ class MortgageDataCollection {
 
       if (!isNaN(targetPrice) && !isNaN(downPayment) && targetPrice > 0) {
         const percent = (downPayment / targetPrice) * 100;
-        this.data.downPaymentPercent = percent.toFixed(1);
+        this.data.downPaymentPercent = parseFloat(percent.toFixed(1));
 
         // Update display if needed
-        const percentElement = document.getElementById('down-payment-percent');
+        const percentElement = document.getElementById('downPayment-percent');
         if (percentElement) {
           percentElement.textContent = `${this.data.downPaymentPercent}%`;
 
@@ -388,24 +521,6 @@ class MortgageDataCollection {
       }
     }
 
-    // Format currency values for display
-    if (field.includes('Price') || field.includes('Payment') || field.includes('Income') ||
-        field.includes('Debt') || field.includes('Cash') || field.includes('Investments')) {
-
-      // Format as currency if it's a number
-      const numValue = parseFloat(value);
-      if (!isNaN(numValue)) {
-        const formattedValue = this.formatCurrency(numValue);
-
-        // Update display value if an input element exists
-        const inputElement = document.getElementById(field);
-        if (inputElement && inputElement.type === 'number') {
-          // Don't change the input value, as it needs to remain a number
-          // But we could update a display element if needed
-        }
-      }
-    }
-
     // Save data to localStorage for persistence
     this.saveData();
   }
@@ -425,35 +540,110 @@ class MortgageDataCollection {
   }
 
   /**
-   * Save data to localStorage with error handling
+   * Show a stored value in an input, leaving empty fields blank
+   * @param {*} value - Stored value
+   * @returns {string} Input value
+   */
+  formatInputValue(value) {
+    return value === null || value === undefined ? '' : this.escapeHtml(value);
+  }
+
+  /**
+   * Save data to the active scenario with error handling
    */
   saveData() {
     try {
-      localStorage.setItem('mortgageData', JSON.stringify(this.data));
+      this.scenarioStore.updateData(this.scenarioStore.activeId, this.data);
     } catch (e) {
       console.error('Error saving data:', e);
     }
   }
 
   /**
-   * Load data from localStorage with error handling
+   * Load the active scenario with error handling
+   * @returns {Promise<void>} Resolves once saved data is in place
    */
   loadData() {
-    try {
-      const savedData = localStorage.getItem('mortgageData');
-      if (savedData) {
-        this.data = JSON.parse(savedData);
+    return this.scenarioStore.load().then(scenario => {
+      if (scenario) {
+        this.data = this.scenarioStore.cloneData(scenario.data);
+      } else {
+        this.scenarioStore.create(this.scenarioStore.defaultName, this.data);
       }
-    } catch (e) {
+    }).catch(e => {
       console.error('Error loading saved data:', e);
+    });
+  }
+
+  /**
+   * Run a scenario button from the summary view
+   * @param {string} action - new, duplicate, delete or compare
+   */
+  handleScenarioAction(action) {
+    const store = this.scenarioStore;
+
+    if (action === 'new') {
+      store.create('New Scenario', this.defaultData);
+    } else if (action === 'duplicate') {
+      store.duplicate(store.activeId);
+    } else if (action === 'delete') {
+      const scenario = store.getActive();
+      if (!scenario || !window.confirm(`Delete "${scenario.name}"?`)) return;
+      store.remove(scenario.id);
+    } else if (action === 'compare') {
+      this.showScenarioComparison();
+      return;
+    }
+
+    this.loadActiveScenario();
+  }
+
+  /**
+   * Switch editing to another scenario
+   * @param {string} scenarioId - Scenario id
+   */
+  switchScenario(scenarioId) {
+    if (scenarioId === this.scenarioStore.activeId) return;
+
+    this.saveData();
+    if (this.scenarioStore.setActive(scenarioId)) {
+      this.loadActiveScenario();
     }
   }
 
   /**
-   * Go to next page with enhanced animations
+   * Rename the active scenario
+   * @param {string} name - New name
+   */
+  renameScenario(name) {
+    this.scenarioStore.rename(this.scenarioStore.activeId, name);
+    this.renderSummaryView();
+  }
+
+  /**
+   * Replace the form data with the active scenario and reset earlier results
+   */
+  loadActiveScenario() {
+    const scenario = this.scenarioStore.getActive();
+    this.data = this.scenarioStore.cloneData(scenario ? scenario.data : this.defaultData);
+
+    // Results belong to the scenario they were calculated for
+    this.calculationResults = null;
+    this.affordabilityResults = null;
+    this.targetSolution = null;
+
+    this.currentSection = 'goals-income';
+    this.currentPage = 1;
+    this.updateCompletionStatus();
+    this.renderCurrentSection();
+  }
+
+  /**
+   * Go to next page with enhanced animations, continuing into the next section
    */
   nextPage() {
-    if (this.currentPage < this.totalPages) {
+    const next = this.formModel.getNextStep(this.currentSection, this.currentPage, this.data);
+    if (next) {
       // Apply transition animation
       // Apply fade-out transition (optional, can be handled by CSS if preferred)
       const content = this.sheetController.getContentElement();
@@ -462,7 +652,8 @@ class MortgageDataCollection {
 
       // Change page after fade-out
       setTimeout(() => {
-        this.currentPage++;
+        this.currentSection = next.sectionId;
+        this.currentPage = next.pageNumber;
         this.renderCurrentSection(); // Renders new content
 
         // Fade in new content (handled by setContent or CSS)
@@ -479,10 +670,11 @@ class MortgageDataCollection {
   }
 
   /**
-   * Go to previous page with enhanced animations
+   * Go to previous page with enhanced animations, returning to the previous section
    */
   previousPage() {
-    if (this.currentPage > 1) {
+    const previous = this.formModel.getPreviousStep(this.currentSection, this.currentPage, this.data);
+    if (previous) {
       // Apply transition animation
       // Apply fade-out transition (optional, can be handled by CSS if preferred)
       const content = this.sheetController.getContentElement();
@@ -491,7 +683,8 @@ class MortgageDataCollection {
 
       // Change page after fade-out
       setTimeout(() => {
-        this.currentPage--;
+        this.currentSection = previous.sectionId;
+        this.currentPage = previous.pageNumber;
         this.renderCurrentSection(); // Renders new content
 
         // Fade in new content (handled by setContent or CSS)
@@ -517,7 +710,7 @@ class MortgageDataCollection {
     }
 
     // Calculate whether we're moving forward or backward
-    const sections = ['goals-income', 'debt-housing', 'credit-assets', 'payment-medical'];
+    const sections = this.formModel.getSections().map(item => item.id);
     const currentIndex = sections.indexOf(this.currentSection);
     const newIndex = sections.indexOf(section);
     const isForward = newIndex > currentIndex;
@@ -531,7 +724,7 @@ class MortgageDataCollection {
     // Change section after fade-out
     setTimeout(() => {
       this.currentSection = section;
-      this.currentPage = 1;
+      this.currentPage = this.formModel.getVisiblePages(section, this.data)[0] || 1;
       this.renderCurrentSection(); // Renders new content
 
       // Fade in new content (handled by setContent or CSS)
@@ -574,24 +767,22 @@ class MortgageDataCollection {
     title.textContent = 'Mortgage DTI Calculator';
     content.appendChild(title);
 
+    // Add the scenario switcher
+    content.appendChild(this.renderScenarioSwitcher());
+
     // Check if we have any data and show a progress summary
-    let hasData = false;
-    for (const key in this.data) {
-      if (this.data[key] && (
-          (Array.isArray(this.data[key]) && this.data[key].length > 0) ||
-          (!Array.isArray(this.data[key]) && this.data[key] !== '')
-        )) {
-        hasData = true;
-        break;
-      }
-    }
+    // Defaults such as the loan program and term aren't answers the user gave
+    const hasData = Object.keys(this.data).some(key => {
+      const value = this.data[key];
+      return !this.formModel.isEmpty(value) && JSON.stringify(value) !== JSON.stringify(this.defaultData[key]);
+    });
 
     if (hasData) {
       // Show a summary of completion status
       const summary = document.createElement('div');
       summary.className = 'completion-summary';
 
-      // Count completed sections
+      // Count completed pages; pages hidden by earlier answers aren't tracked
       let completedSections = 0;
       let totalSections = 0;
 
@@ -639,6 +830,55 @@ class MortgageDataCollection {
     this.sheetController.setContent(content);
   }
 
+  /**
+   * Render the scenario picker and scenario actions for the summary view
+   * @returns {HTMLElement} Scenario switcher element
+   */
+  renderScenarioSwitcher() {
+    const scenarios = this.scenarioStore.list();
+    const active = this.scenarioStore.getActive();
+
+    const switcher = document.createElement('div');
+    switcher.className = 'scenario-switcher';
+    switcher.innerHTML = `
+      <div class="scenario-fields">
+        <label>
+          <span>Scenario</span>
+          <select class="scenario-select">
+            ${scenarios.map(scenario => `
+              <option value="${scenario.id}" ${scenario.id === this.scenarioStore.activeId ? 'selected' : ''}>${this.escapeHtml(scenario.name)}</option>
+            `).join('')}
+          </select>
+        </label>
+        <label>
+          <span>Name</span>
+          <input type="text" class="scenario-name-input" value="${active ? this.escapeHtml(active.name) : ''}">
+        </label>
+      </div>
+      <div class="scenario-actions">
+        <button type="button" class="scenario-action-button" data-action="new">New</button>
+        <button type="button" class="scenario-action-button" data-action="duplicate">Duplicate</button>
+        <button type="button" class="scenario-action-button" data-action="delete" ${scenarios.length <= 1 ? 'disabled' : ''}>Delete</button>
+        <button type="button" class="scenario-action-button" data-action="compare" ${scenarios.length < 2 ? 'disabled' : ''}>Compare</button>
+      </div>
+    `;
+
+    return switcher;
+  }
+
+  /**
+   * Escape user-entered text for use in markup
+   * @param {string} text - Raw text
+   * @returns {string} Escaped text
+   */
+  escapeHtml(text) {
+    return String(text)
+      .replace(/&/g, '&amp;')
+      .replace(/</g, '&lt;')
+      .replace(/>/g, '&gt;')
+      .replace(/"/g, '&quot;');
+  }
+
   /**
    * Render detailed form for half position with improved design
    */
@@ -652,20 +892,17 @@ class MortgageDataCollection {
     progress.className = 'progress-indicator';
 
     // Add current section name for context
-    const sectionName = {
-      'goals-income': 'Goals & Income',
-      'debt-housing': 'Debt & Housing',
-      'credit-assets': 'Credit & Assets',
-      'payment-medical': 'Payment History'
-    }[this.currentSection];
+    const section = this.formModel.getSection(this.currentSection);
+    const totalSteps = this.formModel.getPageSequence(this.data).length;
+    const step = this.formModel.getStepIndex(this.currentSection, this.currentPage, this.data) + 1;
 
     progress.innerHTML = `
       <div class="progress-bar">
-        <div class="progress-fill" style="width: ${(this.currentPage / this.totalPages) * 100}%"></div>
+        <div class="progress-fill" style="width: ${(step / totalSteps) * 100}%"></div>
       </div>
       <div class="progress-text">
-        <span>${sectionName} - Step ${this.currentPage} of ${this.totalPages}</span>
-        <span>${Math.round((this.currentPage / this.totalPages) * 100)}%</span>
+        <span>${section.name} - Step ${step} of ${totalSteps}</span>
+        <span>${Math.round((step / totalSteps) * 100)}%</span>
       </div>
     `;
     content.appendChild(progress);
@@ -678,7 +915,7 @@ class MortgageDataCollection {
     const navigation = document.createElement('div');
     navigation.className = 'form-navigation';
 
-    if (this.currentPage > 1) {
+    if (this.formModel.getPreviousStep(this.currentSection, this.currentPage, this.data)) {
       const prevButton = document.createElement('button');
       prevButton.innerHTML = `
         <svg xmlns="http://www.w3.org/2000/svg" width="20" height="20" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2" stroke-linecap="round" stroke-linejoin="round">
@@ -690,7 +927,7 @@ class MortgageDataCollection {
       navigation.appendChild(prevButton);
     }
 
-    if (this.currentPage < this.totalPages) {
+    if (this.formModel.getNextStep(this.currentSection, this.currentPage, this.data)) {
       const nextButton = document.createElement('button');
       nextButton.innerHTML = `
         <span>Next</span>
@@ -715,6 +952,12 @@ class MortgageDataCollection {
 
     content.appendChild(navigation);
 
+    // Explain why Calculate is disabled, if it is
+    if (navigation.querySelector('.submit-button')) {
+      content.appendChild(this.createIssuesButton());
+    }
+    this.updateCalculateState(content);
+
     this.sheetController.setContent(content);
   }
 
@@ -736,14 +979,7 @@ class MortgageDataCollection {
     const sections = document.createElement('div');
     sections.className = 'section-navigation';
 
-    const sectionsList = [
-      { id: 'goals-income', name: 'Goals & Income', icon: 'target' },
-      { id: 'debt-housing', name: 'Debt & Housing', icon: 'home' },
-      { id: 'credit-assets', name: 'Credit & Assets', icon: 'credit-card' },
-      { id: 'payment-medical', name: 'Payment History', icon: 'clock' }
-    ];
-
-    sectionsList.forEach(section => {
+    this.formModel.getSections().forEach(section => {
       const button = document.createElement('button');
 
       // Get completion status for this section
@@ -782,573 +1018,520 @@ class MortgageDataCollection {
     calculateButton.className = 'calculate-button button-with-icon';
     content.appendChild(calculateButton);
 
+    // Explain why Calculate is disabled, if it is
+    content.appendChild(this.createIssuesButton());
+    this.updateCalculateState(content);
+
     this.sheetController.setContent(content);
   }
 
   /**
-   * Get form content based on current section and page with enhanced design
-   * @returns {HTMLElement} Form element
+   * Create the link to the issue summary shown under a disabled Calculate button
+   * @returns {HTMLElement} Issues button, hidden until there are blocking issues
    */
-  getFormContent() {
-    // Generate form content based on current section and page
-    const form = document.createElement('form');
-    form.className = 'mortgage-form';
-    form.setAttribute('novalidate', 'true'); // We'll handle validation ourselves
+  createIssuesButton() {
+    const button = document.createElement('button');
+    button.type = 'button';
+    button.className = 'show-issues-button';
+    button.hidden = true;
+    return button;
+  }
 
-    if (this.currentSection === 'goals-income') {
-      if (this.currentPage === 1) {
-        // Home Purchase Goals
-        form.innerHTML = `
-          <div class="form-section">
-            <h3>Home Purchase Goals</h3>
-
-            <div class="form-group">
-              <label for="targetHomePrice">Target Home Price</label>
-              <div class="input-with-prefix">
-                <span class="prefix">$</span>
-                <input
-                  type="number"
-                  id="targetHomePrice"
-                  name="targetHomePrice"
-                  value="${this.data.targetHomePrice}"
-                  placeholder="Enter amount"
-                  required
-                />
-              </div>
-              <p class="help-text">What's the estimated purchase price of your home?</p>
-            </div>
+  /**
+   * Disable the Calculate buttons while any answer has a blocking error
+   * @param {HTMLElement} [root] - Element to update, defaults to the whole document
+   */
+  updateCalculateState(root = document) {
+    const blockingCount = this.formModel.getIssues(this.data).filter(issue => issue.blocking).length;
 
-            <div class="form-group">
-              <label for="downPayment">Down Payment</label>
-              <div class="input-with-prefix">
-                <span class="prefix">$</span>
-                <input
-                  type="number"
-                  id="downPayment"
-                  name="downPayment"
-                  value="${this.data.downPayment}"
-                  placeholder="Enter amount"
-                  required
-                />
-              </div>
-              <div class="percentage-display" id="down-payment-percent">
-                ${this.data.downPaymentPercent ? `${this.data.downPaymentPercent}%` : ''}
-              </div>
-              <p class="help-text">How much do you plan to pay upfront?</p>
-              <div class="tip-text">
-                <svg xmlns="http://www.w3.org/2000/svg" width="16" height="16" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2" stroke-linecap="round" stroke-linejoin="round">
-                  <circle cx="12" cy="12" r="10"></circle>
-                  <line x1="12" y1="16" x2="12" y2="12"></line>
-                  <line x1="12" y1="8" x2="12.01" y2="8"></line>
-                </svg>
-                <span>Typical down payments range from 0–30%. Higher payments may lead to better loan terms.</span>
-              </div>
-            </div>
-          </div>
-        `;
-      } else if (this.currentPage === 2) {
-        // Income Snapshot
-        form.innerHTML = `
-          <div class="form-section">
-            <h3>Income Snapshot</h3>
-
-            <div class="form-group">
-              <label for="monthlyIncome">Monthly Income</label>
-              <div class="input-with-prefix">
-                <span class="prefix">$</span>
-                <input
-                  type="number"
-                  id="monthlyIncome"
-                  name="monthlyIncome"
-                  value="${this.data.monthlyIncome}"
-                  placeholder="Enter monthly income"
-                  required
-                />
-              </div>
-              <p class="help-text">What is your total monthly income before taxes?</p>
-            </div>
+    root.querySelectorAll('.calculate-button, .submit-button').forEach(button => {
+      button.disabled = blockingCount > 0;
+    });
 
-            <div class="form-group">
-              <label>Income Sources</label>
-              <div class="checkbox-group">
-                <label class="checkbox-label">
-                  <input
-                    type="checkbox"
-                    name="incomeSources"
-                    value="Salary"
-                    ${this.data.incomeSources?.includes('Salary') ? 'checked' : ''}
-                  />
-                  <span>Salary</span>
-                </label>
-                <label class="checkbox-label">
-                  <input
-                    type="checkbox"
-                    name="incomeSources"
-                    value="Hourly"
-                    ${this.data.incomeSources?.includes('Hourly') ? 'checked' : ''}
-                  />
-                  <span>Hourly</span>
-                </label>
-                <label class="checkbox-label">
-                  <input
-                    type="checkbox"
-                    name="incomeSources"
-                    value="Overtime"
-                    ${this.data.incomeSources?.includes('Overtime') ? 'checked' : ''}
-                  />
-                  <span>Overtime</span>
-                </label>
-                <label class="checkbox-label">
-                  <input
-                    type="checkbox"
-                    name="incomeSources"
-                    value="Tips"
-                    ${this.data.incomeSources?.includes('Tips') ? 'checked' : ''}
-                  />
-                  <span>Tips</span>
-                </label>
-              </div>
-              <p class="help-text">Which sources contribute to your income?</p>
-            </div>
+    root.querySelectorAll('.show-issues-button').forEach(button => {
+      button.hidden = blockingCount === 0;
+      button.textContent = `Fix ${blockingCount} ${blockingCount === 1 ? 'answer' : 'answers'} to calculate`;
+    });
+  }
 
-            <div class="form-group">
-              <label>Income Trend</label>
-              <div class="radio-group">
-                <label class="radio-label">
-                  <input
-                    type="radio"
-                    name="incomeTrend"
-                    value="Increased"
-                    ${this.data.incomeTrend === 'Increased' ? 'checked' : ''}
-                  />
-                  <span>Increased</span>
-                </label>
-                <label class="radio-label">
-                  <input
-                    type="radio"
-                    name="incomeTrend"
-                    value="Stable"
-                    ${this.data.incomeTrend === 'Stable' ? 'checked' : ''}
-                  />
-                  <span>Stable</span>
-                </label>
-                <label class="radio-label">
-                  <input
-                    type="radio"
-                    name="incomeTrend"
-                    value="Decreased"
-                    ${this.data.incomeTrend === 'Decreased' ? 'checked' : ''}
-                  />
-                  <span>Decreased</span>
-                </label>
-              </div>
-              <p class="help-text">How has your income changed over the last 12 months?</p>
-            </div>
-          </div>
-        `;
-      }
-    } else if (this.currentSection === 'debt-housing') {
-      if (this.currentPage === 1) {
-        // Debt Obligations
-        form.innerHTML = `
-          <div class="form-section">
-            <h3>Debt Obligations</h3>
-
-            <div class="form-group">
-              <label for="carPayment">Car Payment</label>
-              <div class="input-with-prefix">
-                <span class="prefix">$</span>
-                <input
-                  type="number"
-                  id="carPayment"
-                  name="carPayment"
-                  value="${this.data.carPayment}"
-                  placeholder="Enter monthly payment"
-                />
-              </div>
-              <p class="help-text">What is your monthly car payment? Enter 0 if none.</p>
-            </div>
+  /**
+   * Check the answers before calculating, showing a summary when anything needs attention
+   */
+  requestCalculation() {
+    const issues = this.formModel.getIssues(this.data);
 
-            <div class="form-group">
-              <label for="creditCardMinimums">Credit Card Minimums</label>
-              <div class="input-with-prefix">
-                <span class="prefix">$</span>
-                <input
-                  type="number"
-                  id="creditCardMinimums"
-                  name="creditCardMinimums"
-                  value="${this.data.creditCardMinimums}"
-                  placeholder="Enter monthly minimum"
-                />
-              </div>
-              <p class="help-text">What is the total minimum monthly payment on your credit cards?</p>
-            </div>
+    if (issues.length === 0) {
+      this.calculateResults();
+    } else {
+      this.showIssueSummary(issues);
+    }
+  }
 
-            <div class="form-group">
-              <label for="otherDebts">Other Debts</label>
-              <textarea
-                id="otherDebts"
-                name="otherDebts"
-                placeholder="List any additional monthly debts (e.g., student loans, alimony, child support, leases) and their amounts."
-              >${this.data.otherDebts}</textarea>
-              <p class="help-text">Include any other recurring monthly obligations.</p>
-            </div>
-          </div>
-        `;
-      } else if (this.currentPage === 2) {
-        // Housing Costs
-        form.innerHTML = `
-          <div class="form-section">
-            <h3>Housing Costs</h3>
-
-            <div class="form-group">
-              <label for="currentHousingExpense">Current Housing Expense</label>
-              <div class="input-with-prefix">
-                <span class="prefix">$</span>
-                <input
-                  type="number"
-                  id="currentHousingExpense"
-                  name="currentHousingExpense"
-                  value="${this.data.currentHousingExpense}"
-                  placeholder="Enter monthly amount"
-                  required
-                />
-              </div>
-              <p class="help-text">How much do you currently pay for housing (rent or mortgage) each month?</p>
-            </div>
+  /**
+   * Show the answers that need fixing and the questions left blank
+   * Calculating is only offered when nothing blocks it
+   * @param {Array} issues - Issues from FormModel.getIssues()
+   */
+  showIssueSummary(issues) {
+    const blocking = issues.filter(issue => issue.blocking);
+    const unanswered = issues.filter(issue => !issue.blocking);
 
-            <div class="form-group">
-              <label for="residencyDuration">Residency Duration</label>
-              <input
-                type="text"
-                id="residencyDuration"
-                name="residencyDuration"
-                value="${this.data.residencyDuration}"
-                placeholder="e.g., 2 years, 6 months"
-              />
-              <p class="help-text">How long have you lived at your current address?</p>
-              <div class="tip-text">
-                <svg xmlns="http://www.w3.org/2000/svg" width="16" height="16" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2" stroke-linecap="round" stroke-linejoin="round">
-                  <circle cx="12" cy="12" r="10"></circle>
-                  <line x1="12" y1="16" x2="12" y2="12"></line>
-                  <line x1="12" y1="8" x2="12.01" y2="8"></line>
-                </svg>
-                <span>Longer residency at the same address typically demonstrates stability to lenders.</span>
-              </div>
-            </div>
-          </div>
-        `;
-      }
-    } else if (this.currentSection === 'credit-assets') {
-      if (this.currentPage === 1) {
-        // Credit Health
-        form.innerHTML = `
-          <div class="form-section">
-            <h3>Credit Health</h3>
-
-            <div class="form-group">
-              <label>Credit Score Range</label>
-              <div class="radio-group">
-                <label class="radio-label">
-                  <input
-                    type="radio"
-                    name="creditScoreRange"
-                    value="Below 580"
-                    ${this.data.creditScoreRange === 'Below 580' ? 'checked' : ''}
-                  />
-                  <span>Below 580</span>
-                </label>
-                <label class="radio-label">
-                  <input
-                    type="radio"
-                    name="creditScoreRange"
-                    value="580-600"
-                    ${this.data.creditScoreRange === '580-600' ? 'checked' : ''}
-                  />
-                  <span>580-600</span>
-                </label>
-                <label class="radio-label">
-                  <input
-                    type="radio"
-                    name="creditScoreRange"
-                    value="600-620"
-                    ${this.data.creditScoreRange === '600-620' ? 'checked' : ''}
-                  />
-                  <span>600-620</span>
-                </label>
-                <label class="radio-label">
-                  <input
-                    type="radio"
-                    name="creditScoreRange"
-                    value="Above 620"
-                    ${this.data.creditScoreRange === 'Above 620' ? 'checked' : ''}
-                  />
-                  <span>Above 620</span>
-                </label>
-              </div>
-              <p class="help-text">What is your estimated credit score range?</p>
-              <div class="tip-text">
-                <svg xmlns="http://www.w3.org/2000/svg" width="16" height="16" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2" stroke-linecap="round" stroke-linejoin="round">
-                  <circle cx="12" cy="12" r="10"></circle>
-                  <line x1="12" y1="16" x2="12" y2="12"></line>
-                  <line x1="12" y1="8" x2="12.01" y2="8"></line>
-                </svg>
-                <span>Higher credit scores typically qualify for better interest rates and higher DTI allowances.</span>
-              </div>
-            </div>
-          </div>
-        `;
-      } else if (this.currentPage === 2) {
-        // Financial Reserves
-        form.innerHTML = `
-          <div class="form-section">
-            <h3>Financial Reserves</h3>
-
-            <div class="form-group">
-              <label for="liquidCash">Liquid Cash</label>
-              <div class="input-with-prefix">
-                <span class="prefix">$</span>
-                <input
-                  type="number"
-                  id="liquidCash"
-                  name="liquidCash"
-                  value="${this.data.liquidCash}"
-                  placeholder="Enter amount"
-                  required
-                />
-              </div>
-              <p class="help-text">How much cash do you have readily available (checking, savings)?</p>
-            </div>
+    const content = document.createElement('div');
+    content.className = 'issue-summary-view';
+    content.innerHTML = `
+      <h2>${blocking.length > 0 ? 'Check Your Answers' : 'Almost Ready'}</h2>
+      <p class="issue-summary-intro">
+        ${blocking.length > 0
+          ? 'Fix these answers before calculating. Tap one to go to the question.'
+          : 'A few questions are unanswered. Answer them for a more accurate result, or calculate with what you have.'}
+      </p>
+      ${blocking.length > 0 ? this.renderIssueList('Needs Fixing', blocking, 'blocking') : ''}
+      ${unanswered.length > 0 ? this.renderIssueList('Unanswered', unanswered, 'unanswered') : ''}
+      ${blocking.length === 0 ? `
+        <button type="button" class="calculate-anyway-button">Calculate Anyway</button>
+      ` : ''}
+      <button type="button" class="back-to-form-button">Back to Form</button>
+    `;
 
-            <div class="form-group">
-              <label for="retirementInvestments">Retirement & Investments</label>
-              <div class="input-with-prefix">
-                <span class="prefix">$</span>
-                <input
-                  type="number"
-                  id="retirementInvestments"
-                  name="retirementInvestments"
-                  value="${this.data.retirementInvestments}"
-                  placeholder="Enter total amount"
-                />
-              </div>
-              <p class="help-text">What is the total amount in your retirement or investment accounts?</p>
-            </div>
+    this.sheetController.setContent(content);
+  }
 
-            <div class="form-group">
-              <label for="otherLiquidAssets">Other Liquid Assets</label>
-              <div class="input-with-prefix">
-                <span class="prefix">$</span>
-                <input
-                  type="number"
-                  id="otherLiquidAssets"
-                  name="otherLiquidAssets"
-                  value="${this.data.otherLiquidAssets}"
-                  placeholder="Enter amount"
-                />
-              </div>
-              <p class="help-text">Do you have additional liquid assets (e.g., CDs, bonds)?</p>
-            </div>
-          </div>
-        `;
-      }
-    } else if (this.currentSection === 'payment-medical') {
-      if (this.currentPage === 1) {
-        // Payment History
-        form.innerHTML = `
-          <div class="form-section">
-            <h3>Payment History</h3>
-
-            <div class="form-group">
-              <label>Late Payments</label>
-              <div class="radio-group">
-                <label class="radio-label">
-                  <input
-                    type="radio"
-                    name="latePayments"
-                    value="true"
-                    ${this.data.latePayments === true ? 'checked' : ''}
-                  />
-                  <span>Yes</span>
-                </label>
-                <label class="radio-label">
-                  <input
-                    type="radio"
-                    name="latePayments"
-                    value="false"
-                    ${this.data.latePayments === false ? 'checked' : ''}
-                  />
-                  <span>No</span>
-                </label>
-              </div>
-              <p class="help-text">Have you had any payments over 30 days late in the last 24 months?</p>
-            </div>
+  /**
+   * Render a list of issues that link back to their questions
+   * @param {string} title - List heading
+   * @param {Array} issues - Issues to list
+   * @param {string} type - blocking or unanswered, used for styling
+   * @returns {string} Issue list markup
+   */
+  renderIssueList(title, issues, type) {
+    return `
+      <div class="issue-list ${type}">
+        <h3>${title}</h3>
+        <ul>
+          ${issues.map(issue => `
+            <li>
+              <button
+                type="button"
+                class="issue-link"
+                data-section="${issue.sectionId}"
+                data-page="${issue.pageNumber}"
+                data-field="${issue.field}"
+                ${issue.itemIndex !== undefined ? `data-item-index="${issue.itemIndex}" data-item-field="${issue.itemField}"` : ''}
+              >
+                <span class="issue-section">${this.formModel.getSection(issue.sectionId).name}</span>
+                <span>${this.escapeHtml(issue.message)}</span>
+              </button>
+            </li>
+          `).join('')}
+        </ul>
+      </div>
+    `;
+  }
 
-            <div class="form-group">
-              <label>Recent Bankruptcies</label>
-              <div class="radio-group">
-                <label class="radio-label">
-                  <input
-                    type="radio"
-                    name="bankruptcy"
-                    value="true"
-                    ${this.data.bankruptcy === true ? 'checked' : ''}
-                  />
-                  <span>Yes</span>
-                </label>
-                <label class="radio-label">
-                  <input
-                    type="radio"
-                    name="bankruptcy"
-                    value="false"
-                    ${this.data.bankruptcy === false ? 'checked' : ''}
-                  />
-                  <span>No</span>
-                </label>
-              </div>
-              <p class="help-text">Have you filed for bankruptcy in the past 2 years?</p>
-            </div>
-          </div>
-        `;
-      } else if (this.currentPage === 2) {
-        // Medical & Collections Debt
-        form.innerHTML = `
-          <div class="form-section">
-            <h3>Medical & Collections Debt</h3>
-
-            <div class="form-group">
-              <label for="medicalDebt">Outstanding Medical Debt</label>
-              <div class="input-with-prefix">
-                <span class="prefix">$</span>
-                <input
-                  type="number"
-                  id="medicalDebt"
-                  name="medicalDebt"
-                  value="${this.data.medicalDebt}"
-                  placeholder="Enter amount"
-                />
-              </div>
-              <p class="help-text">Do you have any outstanding medical debts? Enter 0 if none.</p>
-            </div>
+  /**
+   * Go to the page of an issue and focus its field
+   * @param {Object} target - data attributes of the clicked issue link
+   */
+  goToIssue(target) {
+    this.currentSection = target.section;
+    this.currentPage = parseInt(target.page, 10);
+    this.renderCurrentSection();
 
-            <div class="form-group">
-              <label for="collectionsPayments">Collections Payments</label>
-              <div class="input-with-prefix">
-                <span class="prefix">$</span>
-                <input
-                  type="number"
-                  id="collectionsPayments"
-                  name="collectionsPayments"
-                  value="${this.data.collectionsPayments}"
-                  placeholder="Enter monthly total"
-                />
-              </div>
-              <p class="help-text">Are you currently making payments on any collections accounts?</p>
-            </div>
-          </div>
-        `;
-      }
-    }
+    const selector = target.itemIndex !== undefined
+      ? `[data-debt-list="${target.field}"][data-debt-index="${target.itemIndex}"][data-debt-field="${target.itemField}"]`
+      : `[name="${target.field}"]`;
 
-    return form;
+    // Wait for the sheet to swap in the page before focusing
+    setTimeout(() => {
+      const input = document.querySelector(selector);
+      if (input) {
+        input.focus();
+        this.validateField(input);
+      }
+    }, 200);
   }
 
   /**
-   * Calculate DTI results with improved animation
+   * Get form content for the current section and page from the form schema
+   * @returns {HTMLElement} Form element
    */
-  calculateResults() {
-    // Show loading state with animation
-    this.showLoadingState();
+  getFormContent() {
+    const form = document.createElement('form');
+    form.className = 'mortgage-form';
+    form.setAttribute('novalidate', 'true'); // We'll handle validation ourselves
 
-    // Use setTimeout to give the UI time to update
-    setTimeout(() => {
-      // Calculate DTI
-      const monthlyIncome = parseFloat(this.data.monthlyIncome) || 0;
-      const carPayment = parseFloat(this.data.carPayment) || 0;
-      const creditCardMinimums = parseFloat(this.data.creditCardMinimums) || 0;
-      const currentHousingExpense = parseFloat(this.data.currentHousingExpense) || 0;
-      const collectionsPayments = parseFloat(this.data.collectionsPayments) || 0;
-
-      const totalDebt = carPayment + creditCardMinimums + currentHousingExpense + collectionsPayments;
-      const dti = monthlyIncome > 0 ? (totalDebt / monthlyIncome) * 100 : 0;
-
-      // Determine max DTI based on factors with enhanced algorithm
-      let maxDti = 43; // Standard maximum
-      let dtiFactors = [];
-
-      // Adjust for credit score
-      if (this.data.creditScoreRange === 'Above 620') {
-        maxDti += 2;
-        dtiFactors.push({ factor: 'Excellent credit score', effect: '+2%' });
-      } else if (this.data.creditScoreRange === '600-620') {
-        maxDti += 1;
-        dtiFactors.push({ factor: 'Good credit score', effect: '+1%' });
-      } else if (this.data.creditScoreRange === 'Below 580') {
-        maxDti -= 5;
-        dtiFactors.push({ factor: 'Lower credit score', effect: '-5%' });
-      }
+    const page = this.formModel.getPage(this.currentSection, this.currentPage);
+    if (page) {
+      form.innerHTML = `
+        <div class="form-section">
+          <h3>${page.title}</h3>
+          ${this.formModel.getVisibleFields(page, this.data).map(field => this.renderField(field)).join('')}
+        </div>
+      `;
+    }
 
-      // Adjust for mitigating factors
-      const liquidCash = parseFloat(this.data.liquidCash) || 0;
-      const targetHomePrice = parseFloat(this.data.targetHomePrice) || 0;
-
-      // If liquid cash is more than 20% of home price, allow higher DTI
-      if (targetHomePrice > 0 && (liquidCash / targetHomePrice) > 0.2) {
-        maxDti += 2;
-        dtiFactors.push({ factor: 'Strong cash reserves', effect: '+2%' });
-      } else if (targetHomePrice > 0 && (liquidCash / targetHomePrice) > 0.1) {
-        maxDti += 1;
-        dtiFactors.push({ factor: 'Moderate cash reserves', effect: '+1%' });
-      }
+    return form;
+  }
 
-      // If income is increasing, allow higher DTI
-      if (this.data.incomeTrend === 'Increased') {
-        maxDti += 1;
-        dtiFactors.push({ factor: 'Increasing income', effect: '+1%' });
-      } else if (this.data.incomeTrend === 'Decreased') {
-        maxDti -= 1;
-        dtiFactors.push({ factor: 'Decreasing income', effect: '-1%' });
-      }
+  /**
+   * Render one field of the form schema
+   * @param {Object} field - Field definition
+   * @returns {string} Field markup
+   */
+  renderField(field) {
+    if (field.type === 'tip') {
+      return this.renderTip(field.text);
+    } else if (field.type === 'debtList') {
+      return this.renderDebtList(field);
+    } else if (field.type === 'checkbox') {
+      return `
+        <div class="form-group">
+          ${this.renderCheckbox(field.name, field.label, this.data[field.name] === true)}
+          ${field.help ? `<p class="help-text">${field.help}</p>` : ''}
+        </div>
+      `;
+    }
 
-      // If stable residency, allow higher DTI
-      if (this.data.residencyDuration && this.data.residencyDuration.includes('year')) {
-        const yearsMatch = this.data.residencyDuration.match(/(\d+)\s*year/);
-        if (yearsMatch && parseInt(yearsMatch[1]) >= 2) {
-          maxDti += 1;
-          dtiFactors.push({ factor: 'Stable housing history', effect: '+1%' });
-        }
-      }
+    // Only single inputs can be targeted by the label
+    const hasSingleInput = ['currency', 'number', 'text', 'date'].includes(field.type);
+    const percent = field.percentField ? this.data[field.percentField] : null;
+
+    // Answers already given are checked right away; blank ones wait until they're touched
+    const value = this.data[field.name];
+    const error = this.formModel.isEmpty(value) ? null : this.formModel.validate(field, value, this.data);
+
+    return `
+      <div class="form-group${error ? ' has-error' : ''}">
+        <label${hasSingleInput ? ` for="${field.name}"` : ''}>${field.label}</label>
+        ${this.renderFieldControl(field)}
+        ${field.percentField ? `<div class="percentage-display" id="${field.name}-percent">${percent ? `${percent}%` : ''}</div>` : ''}
+        ${error ? this.renderFieldError(error) : ''}
+        ${field.help ? `<p class="help-text">${field.help}</p>` : ''}
+        ${field.tip ? this.renderTip(field.tip) : ''}
+      </div>
+    `;
+  }
 
-      // If recent bankruptcies, reduce DTI
-      if (this.data.bankruptcy === true) {
-        maxDti -= 3;
-        dtiFactors.push({ factor: 'Recent bankruptcy', effect: '-3%' });
-      }
+  /**
+   * Render the input, radio group or checkbox group for a field
+   * @param {Object} field - Field definition
+   * @returns {string} Control markup
+   */
+  renderFieldControl(field) {
+    const value = this.data[field.name];
+
+    if (field.type === 'radio' || field.type === 'yesNo') {
+      return `
+        <div class="radio-group">
+          ${this.getFieldOptions(field).map(option => `
+            <label class="radio-label">
+              <input
+                type="radio"
+                name="${field.name}"
+                value="${option.value}"
+                ${value === option.value ? 'checked' : ''}
+              />
+              <span>${option.label}</span>
+            </label>
+          `).join('')}
+        </div>
+      `;
+    }
 
-      // If late payments, reduce DTI
-      if (this.data.latePayments === true) {
-        maxDti -= 2;
-        dtiFactors.push({ factor: 'Recent late payments', effect: '-2%' });
-      }
+    if (field.type === 'checkboxes') {
+      const selected = Array.isArray(value) ? value : [];
+      return `
+        <div class="checkbox-group">
+          ${this.getFieldOptions(field).map(option => (
+            this.renderCheckbox(field.name, option.label, selected.includes(option.value), option.value)
+          )).join('')}
+        </div>
+      `;
+    }
+
+    const input = `
+      <input
+        type="${field.type === 'text' || field.type === 'date' ? field.type : 'number'}"
+        id="${field.name}"
+        name="${field.name}"
+        value="${this.formatInputValue(value)}"
+        ${field.placeholder ? `placeholder="${field.placeholder}"` : ''}
+        ${field.required ? 'required' : ''}
+      />
+    `;
+
+    // Currency amounts are shown with a dollar prefix
+    return field.type === 'currency' ? `
+      <div class="input-with-prefix">
+        <span class="prefix">$</span>
+        ${input}
+      </div>
+    ` : input;
+  }
+
+  /**
+   * Render an inline validation message
+   * @param {string} message - Error message
+   * @returns {string} Error markup
+   */
+  renderFieldError(message) {
+    return `<p class="field-error" role="alert">${this.escapeHtml(message)}</p>`;
+  }
+
+  /**
+   * Render a labelled checkbox
+   * @param {string} name - Input name
+   * @param {string} label - Label text
+   * @param {boolean} checked - Whether the box is checked
+   * @param {string} [value] - Value for checkbox groups
+   * @returns {string} Checkbox markup
+   */
+  renderCheckbox(name, label, checked, value) {
+    return `
+      <label class="checkbox-label">
+        <input
+          type="checkbox"
+          name="${name}"
+          ${value !== undefined ? `value="${value}"` : ''}
+          ${checked ? 'checked' : ''}
+        />
+        <span>${label}</span>
+      </label>
+    `;
+  }
+
+  /**
+   * Render the itemized debt editor
+   * @param {Object} field - debtList field definition
+   * @returns {string} Debt list markup
+   */
+  renderDebtList(field) {
+    const debts = this.data[field.name];
+
+    return `
+      <div class="debt-list">
+        ${debts.map((debt, index) => this.getDebtItemContent(debt, index, field.name)).join('')}
+      </div>
+
+      <button type="button" class="add-debt-button button-with-icon" data-debt-list="${field.name}">
+        <svg xmlns="http://www.w3.org/2000/svg" width="20" height="20" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2" stroke-linecap="round" stroke-linejoin="round">
+          <line x1="12" y1="5" x2="12" y2="19"></line>
+          <line x1="5" y1="12" x2="19" y2="12"></line>
+        </svg>
+        <span>Add a Debt</span>
+      </button>
+
+      ${debts.length === 0 ? `
+        <div class="form-group">
+          ${this.renderCheckbox(field.emptyField, field.emptyLabel, this.data[field.emptyField] === true)}
+        </div>
+      ` : ''}
+    `;
+  }
+
+  /**
+   * Render a tip with an info icon
+   * @param {string} text - Tip text from the form schema
+   * @returns {string} Tip markup
+   */
+  renderTip(text) {
+    return `
+      <div class="tip-text">
+        <svg xmlns="http://www.w3.org/2000/svg" width="16" height="16" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2" stroke-linecap="round" stroke-linejoin="round">
+          <circle cx="12" cy="12" r="10"></circle>
+          <line x1="12" y1="16" x2="12" y2="12"></line>
+          <line x1="12" y1="8" x2="12.01" y2="8"></line>
+        </svg>
+        <span>${this.formatSchemaText(text)}</span>
+      </div>
+    `;
+  }
+
+  /**
+   * Fill {placeholders} in schema text with underwriting engine settings
+   * @param {string} text - Text such as "fewer than {minMonthsRemaining} payments"
+   * @returns {string} Text with known placeholders replaced
+   */
+  formatSchemaText(text) {
+    return text.replace(/\{(\w+)\}/g, (match, key) => (
+      this.underwritingEngine[key] !== undefined ? this.underwritingEngine[key] : match
+    ));
+  }
+
+  /**
+   * Get the choices for a radio or checkbox field
+   * @param {Object} field - Field definition
+   * @returns {Array} Options with value and label
+   */
+  getFieldOptions(field) {
+    if (field.optionsSource === 'loanPrograms') {
+      return Object.values(this.underwritingEngine.programs).map(program => ({ value: program.id, label: program.name }));
+    } else if (field.type === 'yesNo') {
+      return [{ value: true, label: 'Yes' }, { value: false, label: 'No' }];
+    }
+
+    return (field.options || []).map(option => (
+      typeof option === 'object' ? option : { value: option, label: option }
+    ));
+  }
+
+  /**
+   * Get the form fields for one entry in the itemized debt list
+   * @param {Object} debt - Debt entry
+   * @param {number} index - Position in the debt list
+   * @param {string} listName - Debt list field, e.g. debts
+   * @returns {string} Debt item markup
+   */
+  getDebtItemContent(debt, index, listName) {
+    const errors = {
+      balance: this.getDebtFieldError(listName, index, 'balance'),
+      monthlyPayment: this.getDebtFieldError(listName, index, 'monthlyPayment'),
+      monthsRemaining: this.getDebtFieldError(listName, index, 'monthsRemaining')
+    };
+    const id = `${listName}-${index}`;
+
+    return `
+      <div class="debt-item">
+        <div class="debt-item-header">
+          <select
+            name="debt-type-${id}"
+            data-debt-list="${listName}"
+            data-debt-index="${index}"
+            data-debt-field="type"
+            aria-label="Debt type"
+          >
+            ${Object.entries(this.underwritingEngine.debtTypes).map(([type, config]) => `
+              <option value="${type}" ${debt.type === type ? 'selected' : ''}>${config.label}</option>
+            `).join('')}
+          </select>
+          <button type="button" class="remove-debt-button" data-debt-list="${listName}" data-debt-index="${index}" aria-label="Remove debt">&times;</button>
+        </div>
+
+        <div class="debt-item-fields">
+          <div class="form-group${errors.balance ? ' has-error' : ''}">
+            <label for="debt-balance-${id}">Balance</label>
+            <div class="input-with-prefix">
+              <span class="prefix">$</span>
+              <input
+                type="number"
+                id="debt-balance-${id}"
+                name="debt-balance-${id}"
+                data-debt-list="${listName}"
+                data-debt-index="${index}"
+                data-debt-field="balance"
+                value="${this.formatInputValue(debt.balance)}"
+                placeholder="Total owed"
+              />
+            </div>
+            ${errors.balance ? this.renderFieldError(errors.balance) : ''}
+          </div>
+
+          <div class="form-group${errors.monthlyPayment ? ' has-error' : ''}">
+            <label for="debt-payment-${id}">Monthly Payment</label>
+            <div class="input-with-prefix">
+              <span class="prefix">$</span>
+              <input
+                type="number"
+                id="debt-payment-${id}"
+                name="debt-payment-${id}"
+                data-debt-list="${listName}"
+                data-debt-index="${index}"
+                data-debt-field="monthlyPayment"
+                value="${this.formatInputValue(debt.monthlyPayment)}"
+                placeholder="Minimum payment"
+              />
+            </div>
+            ${errors.monthlyPayment ? this.renderFieldError(errors.monthlyPayment) : ''}
+          </div>
+
+          <div class="form-group${errors.monthsRemaining ? ' has-error' : ''}">
+            <label for="debt-months-${id}">Months Remaining</label>
+            <input
+              type="number"
+              id="debt-months-${id}"
+              name="debt-months-${id}"
+              data-debt-list="${listName}"
+              data-debt-index="${index}"
+              data-debt-field="monthsRemaining"
+              value="${this.formatInputValue(debt.monthsRemaining)}"
+              placeholder="Leave blank if ongoing"
+            />
+            ${errors.monthsRemaining ? this.renderFieldError(errors.monthsRemaining) : ''}
+          </div>
+        </div>
+
+        ${debt.description ? `<p class="help-text">${this.escapeHtml(debt.description)}</p>` : ''}
+
+        <label class="checkbox-label">
+          <input
+            type="checkbox"
+            name="debt-paying-off-${id}"
+            data-debt-list="${listName}"
+            data-debt-index="${index}"
+            data-debt-field="payingOff"
+            ${debt.payingOff ? 'checked' : ''}
+          />
+          <span>Will be paid off before closing</span>
+        </label>
+      </div>
+    `;
+  }
 
-      // Ensure DTI doesn't go below minimum or above maximum
-      maxDti = Math.max(33, Math.min(50, maxDti));
+  /**
+   * Calculate DTI results with improved animation
+   */
+  calculateResults() {
+    // Show loading state with animation
+    this.showLoadingState();
 
-      // Calculate max monthly payment
-      const nonHousingDebt = carPayment + creditCardMinimums + collectionsPayments;
-      const maxMonthlyPayment = (monthlyIncome * (maxDti / 100)) - nonHousingDebt;
+    // Use setTimeout to give the UI time to update
+    setTimeout(() => {
+      // Run the underwriting calculation on the current data
+      const results = this.underwritingEngine.calculate(this.data);
 
       // Store calculated values and factors
-      this.calculatedDti = dti;
-      this.calculatedMaxDti = maxDti;
-      this.calculatedMaxMonthlyPayment = maxMonthlyPayment;
-      this.dtiFactors = dtiFactors;
+      this.calculationResults = results;
+      this.calculatedFrontEndDti = results.frontEndRatio;
+      this.calculatedDti = results.dti;
+      this.calculatedMaxDti = results.maxDti;
+      this.calculatedMaxMonthlyPayment = results.maxMonthlyPayment;
+      this.dtiFactors = results.factors;
+
+      // Let the visualization know about the new results
+      this.dispatchDataUpdate(results);
 
       // Show results
-      this.showResults(dti, maxDti, dtiFactors);
+      this.showResults(results.dti, results.maxDti, results.factors);
     }, 1200); // Slightly longer calculation time for effect
   }
 
+  /**
+   * Notify listeners (such as MortgageVisualization) that calculated data changed
+   * @param {Object} results - Result from UnderwritingEngine.calculate()
+   */
+  dispatchDataUpdate(results) {
+    const event = new CustomEvent('mortgage-data-updated', {
+      detail: {
+        data: {
+          targetHomePrice: parseFloat(this.data.targetHomePrice) || undefined,
+          downPayment: parseFloat(this.data.downPayment) || undefined,
+          downPaymentPercent: parseFloat(this.data.downPaymentPercent) || undefined,
+          monthlyIncome: results.monthlyIncome || undefined,
+          frontEndDti: results.frontEndRatio,
+          dti: results.dti,
+          maxDti: results.maxDti,
+          maxMonthlyPayment: results.maxMonthlyPayment,
+          // Show the target home again until a budget tier is picked
+          affordabilityTier: null,
+          tierHomePrice: null,
+          tierMonthlyPayment: null
+        },
+        results
+      }
+    });
+    document.dispatchEvent(event);
+  }
+
   /**
    * Show loading state while calculating with improved animation
    */
@@ -1361,7 +1544,7 @@ class MortgageDataCollection {
       <p>Calculating your DTI ratio...</p>
     `;
 
-    this.sheetController.setContent(content);
+    this.sheetController.setContent(content, { snapPoints: this.viewSnapPoints.loading });
   }
 
   /**
@@ -1384,27 +1567,37 @@ class MortgageDataCollection {
     const dtiInfo = document.createElement('div');
     dtiInfo.className = 'dti-info';
 
-    // Create a visual indicator for DTI status
-    const dtiStatus = dti <= maxDti ? 'positive' : 'negative';
-    const statusClass = dtiStatus === 'positive' ? 'status-positive' : 'status-negative';
+    // Housing ratio and total ratio each have their own threshold
+    const results = this.calculationResults || {};
+    const frontEndDti = results.frontEndRatio || 0;
+    const maxFrontEndDti = results.maxFrontEndDti !== undefined ? results.maxFrontEndDti : null;
+    const housingBasis = results.projectedHousing
+      ? `${this.formatCurrency(results.projectedHousing.total)}/mo proposed payment`
+      : 'your current housing expense';
+
+    const frontEndPositive = maxFrontEndDti === null || frontEndDti <= maxFrontEndDti;
+    const frontEndCard = document.createElement('div');
+    frontEndCard.className = `dti-card ${frontEndPositive ? 'status-positive' : 'status-negative'}`;
+    frontEndCard.innerHTML = `
+      <h3>Housing Ratio (Front-End)</h3>
+      <div class="dti-value">${frontEndDti.toFixed(1)}%</div>
+      <p class="status-text">${maxFrontEndDti === null
+        ? 'No housing ratio limit for this program'
+        : `${frontEndPositive ? 'Within' : 'Exceeds'} the ${maxFrontEndDti}% limit`}</p>
+      <p class="help-text">Based on ${housingBasis}</p>
+    `;
+    dtiInfo.appendChild(frontEndCard);
 
-    const currentDti = document.createElement('div');
-    currentDti.className = `dti-card ${statusClass}`;
-    currentDti.innerHTML = `
-      <h3>Current DTI</h3>
+    const dtiStatus = dti <= maxDti ? 'positive' : 'negative';
+    const backEndCard = document.createElement('div');
+    backEndCard.className = `dti-card ${dtiStatus === 'positive' ? 'status-positive' : 'status-negative'}`;
+    backEndCard.innerHTML = `
+      <h3>Total Ratio (Back-End)</h3>
       <div class="dti-value">${dti.toFixed(1)}%</div>
-      <p class="status-text">${dtiStatus === 'positive' ? 'Within acceptable range' : 'Exceeds maximum'}</p>
-    `;
-    dtiInfo.appendChild(currentDti);
-
-    const maxDtiCard = document.createElement('div');
-    maxDtiCard.className = 'dti-card';
-    maxDtiCard.innerHTML = `
-      <h3>Maximum DTI</h3>
-      <div class="dti-value">${maxDti.toFixed(1)}%</div>
-      <p class="status-text">Based on your profile</p>
+      <p class="status-text">${dtiStatus === 'positive' ? 'Within' : 'Exceeds'} your ${maxDti.toFixed(1)}% maximum</p>
+      <p class="help-text">Housing plus ${this.formatCurrency(results.nonHousingDebt || 0)}/mo in other debts. Maximum based on your profile${results.programName ? ` and the ${results.programName} program` : ''}</p>
     `;
-    dtiInfo.appendChild(maxDtiCard);
+    dtiInfo.appendChild(backEndCard);
 
     content.appendChild(dtiInfo);
 
@@ -1427,12 +1620,94 @@ class MortgageDataCollection {
       `;
     }
 
+    // Show how the income worksheet arrived at the qualifying income
+    let incomeHtml = '';
+    const income = this.calculationResults ? this.calculationResults.income : null;
+    if (income && income.fromWorksheet) {
+      incomeHtml = `
+        <p>Qualifying income from your income worksheet (you reported ${this.formatCurrency(income.statedIncome)}/mo):</p>
+        <ul class="factors-list income-breakdown">
+          ${income.items.map(item => `
+            <li class="${item.monthlyIncome > 0 ? '' : 'excluded'}">
+              <span class="factor-name">${item.label}${item.calculation || item.note ? ` <small>(${[item.calculation, item.note].filter(Boolean).join('; ')})</small>` : ''}</span>
+              <span class="factor-effect">${this.formatCurrency(item.monthlyIncome)}/mo</span>
+            </li>
+          `).join('')}
+          <li class="income-total">
+            <span class="factor-name">Qualifying income</span>
+            <span class="factor-effect">${this.formatCurrency(income.monthlyIncome)}/mo</span>
+          </li>
+        </ul>
+      `;
+    }
+
+    // Show what each borrower brings to a joint application
+    let borrowersHtml = '';
+    const borrowers = this.calculationResults ? this.calculationResults.borrowers : [];
+    if (borrowers && borrowers.length > 1) {
+      borrowersHtml = `
+        <p>Combined income and debts by borrower:</p>
+        <ul class="factors-list borrower-breakdown">
+          ${borrowers.map(borrower => `
+            <li>
+              <span class="factor-name">
+                ${borrower.label}
+                <small>(${Math.round(borrower.incomeShare)}% of income, ${this.formatCurrency(borrower.nonHousingDebt)}/mo debts${borrower.creditScoreRange ? `, credit ${borrower.creditScoreRange}` : ''}${borrower.qualifyingCredit ? ' used to qualify' : ''})</small>
+              </span>
+              <span class="factor-effect">${this.formatCurrency(borrower.monthlyIncome)}/mo</span>
+            </li>
+          `).join('')}
+        </ul>
+      `;
+    }
+
+    // List which debts were counted and why others were left out
+    let debtsHtml = '';
+    const debtItems = this.calculationResults ? this.calculationResults.debts : [];
+    if (debtItems && debtItems.length > 0) {
+      debtsHtml = `
+        <p>Debts included in your DTI:</p>
+        <ul class="factors-list debt-breakdown">
+          ${debtItems.map(debt => `
+            <li class="${debt.counted ? '' : 'excluded'}">
+              <span class="factor-name">${debt.label}${debt.owner === 'coBorrower' ? ' (co-borrower)' : ''}${debt.note ? ` <small>(${debt.note})</small>` : ''}</span>
+              <span class="factor-effect">${this.formatCurrency(debt.countedPayment)}/mo</span>
+            </li>
+          `).join('')}
+        </ul>
+      `;
+    }
+
     explanation.innerHTML = `
-      <p>Your debt-to-income ratio (DTI) is the percentage of your monthly income that goes toward paying debts.</p>
+      <p>Your debt-to-income ratio (DTI) is the percentage of your monthly income that goes toward paying debts. Lenders look at your housing payment alone (front-end) and your housing payment plus other debts (back-end).</p>
       ${factorsHtml}
+      ${incomeHtml}
+      ${borrowersHtml}
+      ${debtsHtml}
     `;
     content.appendChild(explanation);
 
+    // Add side-by-side loan program eligibility
+    if (this.calculationResults && this.calculationResults.programComparison) {
+      content.appendChild(this.renderProgramComparison(this.calculationResults.programComparison));
+    }
+
+    // Add export and import actions for loan officers
+    const exportActions = document.createElement('div');
+    exportActions.className = 'export-actions';
+    exportActions.innerHTML = `
+      <h3>Share Your Profile</h3>
+      <div class="export-buttons">
+        <button type="button" class="export-profile-button" data-format="json">Export JSON</button>
+        <button type="button" class="export-profile-button" data-format="csv">Export CSV</button>
+        <button type="button" class="import-profile-button">Import</button>
+        <button type="button" class="download-report-button">Download Report</button>
+        <input type="file" class="import-file-input" accept=".json,.csv,application/json,text/csv" hidden>
+      </div>
+      <p class="import-status help-text" role="status"></p>
+    `;
+    content.appendChild(exportActions);
+
     // Add next steps with improved design
     const nextSteps = document.createElement('div');
     nextSteps.className = 'next-steps';
@@ -1455,51 +1730,586 @@ class MortgageDataCollection {
     `;
     content.appendChild(nextSteps);
 
-    this.sheetController.setContent(content);
+    // Offer the reverse solver when a target home was entered
+    if (this.underwritingEngine.parseAmount(this.data.targetHomePrice) > 0) {
+      const solverButton = document.createElement('button');
+      solverButton.className = 'target-solver-button button-with-icon';
+      solverButton.innerHTML = `
+        <span>What Would It Take to Afford ${this.formatCurrency(this.underwritingEngine.parseAmount(this.data.targetHomePrice))}?</span>
+        <svg xmlns="http://www.w3.org/2000/svg" width="20" height="20" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2" stroke-linecap="round" stroke-linejoin="round">
+          <circle cx="12" cy="12" r="10"></circle>
+          <circle cx="12" cy="12" r="6"></circle>
+          <circle cx="12" cy="12" r="2"></circle>
+        </svg>
+      `;
+      nextSteps.insertBefore(solverButton, nextSteps.querySelector('.edit-info-button'));
+    }
+
+    // Offer the rent vs buy comparison when there's both a target home and a current rent
+    if (this.underwritingEngine.parseAmount(this.data.targetHomePrice) > 0 &&
+      this.underwritingEngine.parseAmount(this.data.currentHousingExpense) > 0) {
+      const rentVsBuyButton = document.createElement('button');
+      rentVsBuyButton.className = 'rent-vs-buy-button button-with-icon';
+      rentVsBuyButton.innerHTML = `
+        <span>Compare Renting vs. Buying</span>
+        <svg xmlns="http://www.w3.org/2000/svg" width="20" height="20" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2" stroke-linecap="round" stroke-linejoin="round">
+          <polyline points="17 1 21 5 17 9"></polyline>
+          <path d="M3 11V9a4 4 0 0 1 4-4h14"></path>
+          <polyline points="7 23 3 19 7 15"></polyline>
+          <path d="M21 13v2a4 4 0 0 1-4 4H3"></path>
+        </svg>
+      `;
+      nextSteps.insertBefore(rentVsBuyButton, nextSteps.querySelector('.edit-info-button'));
+    }
+
+    this.sheetController.setContent(content, { snapPoints: this.viewSnapPoints.results });
+    this.sheetController.setPosition('full');
+  }
+
+  /**
+   * Show the changes that would make the target home fit under the max DTI
+   */
+  showTargetSolver() {
+    const result = this.targetSolver.solve(this.data);
+    if (!result) return;
+
+    // Keep the solutions so a scenario can be applied from the view
+    this.targetSolution = result;
+
+    const content = document.createElement('div');
+    content.className = 'target-solver-view';
+
+    const title = document.createElement('h2');
+    title.textContent = 'Reach Your Target Home';
+    content.appendChild(title);
+
+    // Add the gap between the target payment and the limit
+    const summary = document.createElement('div');
+    summary.className = 'affordability-info';
+    summary.innerHTML = `
+      <div class="affordability-card">
+        <h3>Target Home Payment</h3>
+        <div class="affordability-value">${this.formatCurrency(result.housing.total)}/mo</div>
+        <p class="help-text">Full payment for a ${this.formatCurrency(result.targetHomePrice)} home</p>
+      </div>
+
+      <div class="affordability-card ${result.fits ? 'status-positive' : 'status-negative'}">
+        <h3>Your Payment Limit</h3>
+        <div class="affordability-value">${this.formatCurrency(Math.max(0, result.maxMonthlyPayment))}/mo</div>
+        <p class="help-text">${result.fits
+          ? 'Your target home already fits your DTI limits'
+          : `${this.formatCurrency(result.shortfall)}/mo short of your target`}</p>
+      </div>
+    `;
+    content.appendChild(summary);
+
+    if (result.solutions.length > 0) {
+      const solutions = document.createElement('div');
+      solutions.className = 'solver-solutions';
+      solutions.innerHTML = `
+        <p>Any one of these changes on its own would make your target home fit:</p>
+        ${result.solutions.map(solution => this.getSolutionContent(solution)).join('')}
+      `;
+      content.appendChild(solutions);
+    }
+
+    // Add back button with icon
+    const backButton = document.createElement('button');
+    backButton.innerHTML = `
+      <svg xmlns="http://www.w3.org/2000/svg" width="20" height="20" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2" stroke-linecap="round" stroke-linejoin="round">
+        <polyline points="15 18 9 12 15 6"></polyline>
+      </svg>
+      <span>Back to Results</span>
+    `;
+    backButton.className = 'back-to-results-button button-with-icon';
+    content.appendChild(backButton);
+
+    this.sheetController.setContent(content, { snapPoints: this.viewSnapPoints.results });
+    this.sheetController.setPosition('full');
+  }
+
+  /**
+   * Show how renting compares with buying the target home over time
+   */
+  showRentVsBuy() {
+    const result = this.rentVsBuyCalculator.calculate(this.data);
+    if (!result) return;
+
+    const calculator = this.rentVsBuyCalculator;
+
+    const content = document.createElement('div');
+    content.className = 'rent-vs-buy-view';
+
+    const title = document.createElement('h2');
+    title.textContent = 'Rent vs. Buy';
+    content.appendChild(title);
+
+    // Add the monthly costs side by side and the break-even year
+    const summary = document.createElement('div');
+    summary.className = 'affordability-info';
+    summary.innerHTML = `
+      <div class="affordability-card">
+        <h3>Renting Today</h3>
+        <div class="affordability-value">${this.formatCurrency(result.monthlyRent)}/mo</div>
+        <p class="help-text">Rising ${calculator.rentIncreaseRate}% a year</p>
+      </div>
+
+      <div class="affordability-card">
+        <h3>Buying Your Target Home</h3>
+        <div class="affordability-value">${this.formatCurrency(result.monthlyPayment)}/mo</div>
+        <p class="help-text">${this.formatCurrency(result.homePrice)} home with ${this.formatCurrency(result.upfrontCash)} paid upfront</p>
+      </div>
+
+      <div class="affordability-card ${result.breakEvenYear ? 'status-positive' : 'status-negative'}">
+        <h3>Break-Even</h3>
+        <div class="affordability-value">${result.breakEvenYear
+          ? `Year ${result.breakEvenYear}`
+          : 'Not reached'}</div>
+        <p class="help-text">${result.breakEvenYear
+          ? `Buying costs less than renting if you stay ${result.breakEvenYear} year${result.breakEvenYear === 1 ? '' : 's'} or more`
+          : `Renting stays cheaper for the full ${result.years.length} years`}</p>
+      </div>
+    `;
+    content.appendChild(summary);
+
+    content.appendChild(this.renderRentVsBuyHorizons(result));
+
+    // Spell out the assumptions behind the comparison
+    const assumptions = document.createElement('p');
+    assumptions.className = 'help-text rent-vs-buy-assumptions';
+    assumptions.textContent = `Assumes rent rises ${calculator.rentIncreaseRate}% and the home appreciates ` +
+      `${calculator.appreciationRate}% a year, upkeep of ${calculator.maintenanceRate}% of the home's value a year, ` +
+      `${calculator.sellingCostRate}% selling costs, and that the ${this.formatCurrency(result.upfrontCash)} ` +
+      `down payment and closing costs would otherwise earn ${calculator.investmentReturnRate}% a year invested. ` +
+      `Closing costs and points come to ${this.formatCurrency(result.closingCosts)}.`;
+    content.appendChild(assumptions);
+
+    // Add back button with icon
+    const backButton = document.createElement('button');
+    backButton.innerHTML = `
+      <svg xmlns="http://www.w3.org/2000/svg" width="20" height="20" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2" stroke-linecap="round" stroke-linejoin="round">
+        <polyline points="15 18 9 12 15 6"></polyline>
+      </svg>
+      <span>Back to Results</span>
+    `;
+    backButton.className = 'back-to-results-button button-with-icon';
+    content.appendChild(backButton);
+
+    this.sheetController.setContent(content, { snapPoints: this.viewSnapPoints.results });
+    this.sheetController.setPosition('full');
+  }
+
+  /**
+   * Render the rent and buy totals for each highlighted horizon
+   * @param {Object} result - Result from RentVsBuyCalculator.calculate()
+   * @returns {HTMLElement} Horizon table section
+   */
+  renderRentVsBuyHorizons(result) {
+    const horizons = result.horizons.filter(Boolean);
+
+    const section = document.createElement('div');
+    section.className = 'rent-vs-buy-horizons';
+    section.innerHTML = `
+      <h3>Cost Over Time</h3>
+      <p class="help-text">Buying counts every payment, upkeep and the return the upfront cash could have earned, less what you'd keep after selling</p>
+
+      <div class="sensitivity-table-wrapper">
+        <table class="sensitivity-table">
+          <caption>Total cost of renting and buying after each number of years</caption>
+          <thead>
+            <tr>
+              <th scope="col"></th>
+              ${horizons.map(row => `<th scope="col">${row.year} years</th>`).join('')}
+            </tr>
+          </thead>
+          <tbody>
+            <tr>
+              <th scope="row">Rent paid</th>
+              ${horizons.map(row => `<td>${this.formatCurrency(row.rentCost)}</td>`).join('')}
+            </tr>
+            <tr>
+              <th scope="row">Paid to own</th>
+              ${horizons.map(row => `<td>${this.formatCurrency(row.totalPaid)}</td>`).join('')}
+            </tr>
+            <tr>
+              <th scope="row">Lost investment return</th>
+              ${horizons.map(row => `<td>${this.formatCurrency(row.opportunityCost)}</td>`).join('')}
+            </tr>
+            <tr>
+              <th scope="row">Home value</th>
+              ${horizons.map(row => `<td>${this.formatCurrency(row.homeValue)}</td>`).join('')}
+            </tr>
+            <tr>
+              <th scope="row">Equity</th>
+              ${horizons.map(row => `<td>${this.formatCurrency(row.equity)}</td>`).join('')}
+            </tr>
+            <tr>
+              <th scope="row">Kept after selling</th>
+              ${horizons.map(row => `<td>${this.formatCurrency(row.saleProceeds)}</td>`).join('')}
+            </tr>
+            <tr>
+              <th scope="row">Net cost of buying</th>
+              ${horizons.map(row => `<td>${this.formatCurrency(row.buyCost)}</td>`).join('')}
+            </tr>
+            <tr class="rent-vs-buy-verdict">
+              <th scope="row">Better option</th>
+              ${horizons.map(row => `
+                <td class="${row.advantage >= 0 ? 'buy-ahead' : 'rent-ahead'}">
+                  ${row.advantage >= 0 ? 'Buy' : 'Rent'} by ${this.formatCurrency(Math.abs(row.advantage))}
+                </td>
+              `).join('')}
+            </tr>
+          </tbody>
+        </table>
+      </div>
+    `;
+
+    return section;
+  }
+
+  /**
+   * Build the markup for a single solver solution
+   * @param {Object} solution - Solution from TargetSolver.solve()
+   * @returns {string} HTML content for the solution card
+   */
+  getSolutionContent(solution) {
+    let detail = '';
+
+    if (!solution.achievable) {
+      detail = solution.reason;
+      if (solution.cashShortfall > 0) {
+        detail += ` (${this.formatCurrency(solution.required)} down, ${this.formatCurrency(solution.cashShortfall)} short)`;
+      }
+    } else if (solution.id === 'income') {
+      detail = `Earn ${this.formatCurrency(solution.required)}/mo, ${this.formatCurrency(solution.change)} more than today`;
+    } else if (solution.id === 'debtPaydown') {
+      const names = solution.paidOff.map(debt => debt.label).join(', ');
+      detail = `Pay off ${names} (${this.formatCurrency(solution.change)} total) to free up ${this.formatCurrency(solution.paymentReduction)}/mo`;
+    } else if (solution.id === 'downPayment') {
+      detail = `Put ${this.formatCurrency(solution.required)} down, ${this.formatCurrency(solution.change)} more than planned`;
+    } else if (solution.id === 'rate') {
+      detail = `Get a rate of ${solution.required.toFixed(3)}% or lower, down from ${solution.current}%`;
+    }
+
+    return `
+      <div class="solver-solution ${solution.achievable ? '' : 'unavailable'}">
+        <div class="solver-solution-text">
+          <h4>${solution.title}</h4>
+          <p>${detail}</p>
+        </div>
+        ${solution.achievable && solution.changes ? `
+          <button type="button" class="apply-scenario-button" data-scenario="${solution.id}">Apply</button>
+        ` : ''}
+      </div>
+    `;
+  }
+
+  /**
+   * Merge a solver solution into the data model and recalculate
+   * @param {string} scenarioId - Solution id from TargetSolver.solve()
+   */
+  applySolverScenario(scenarioId) {
+    if (!this.targetSolution) return;
+
+    const solution = this.targetSolution.solutions.find(item => item.id === scenarioId);
+    if (!solution || !solution.changes) return;
+
+    Object.assign(this.data, solution.changes);
+    this.targetSolution = null;
+
+    this.saveData();
+    this.calculateResults();
+  }
+
+  /**
+   * Add or remove a scenario from the comparison table
+   * @param {string} scenarioId - Scenario id
+   * @param {boolean} selected - Whether the scenario should be compared
+   */
+  toggleComparisonScenario(scenarioId, selected) {
+    this.comparisonIds = this.comparisonIds.filter(id => id !== scenarioId);
+    if (selected && this.comparisonIds.length < this.maxComparedScenarios) {
+      this.comparisonIds.push(scenarioId);
+    }
+
+    this.showScenarioComparison();
+  }
+
+  /**
+   * Show DTI, max DTI, max payment and estimated price for several scenarios
+   */
+  showScenarioComparison() {
+    // Save edits so the active scenario is compared as entered
+    this.saveData();
+
+    const scenarios = this.scenarioStore.list();
+
+    // Drop deleted scenarios and default to the first few
+    this.comparisonIds = this.comparisonIds.filter(id => this.scenarioStore.get(id));
+    if (this.comparisonIds.length === 0) {
+      this.comparisonIds = scenarios.slice(0, this.maxComparedScenarios).map(scenario => scenario.id);
+    }
+
+    const compared = this.comparisonIds.map(id => {
+      const scenario = this.scenarioStore.get(id);
+      const data = scenario.data;
+      const results = this.underwritingEngine.calculate(data);
+      const affordability = this.underwritingEngine.calculateAffordability(data, results.maxDti);
+      return { scenario, results, affordability };
+    });
+
+    const content = document.createElement('div');
+    content.className = 'scenario-comparison-view';
+
+    const title = document.createElement('h2');
+    title.textContent = 'Compare Scenarios';
+    content.appendChild(title);
+
+    // Add scenario picker
+    const picker = document.createElement('div');
+    picker.className = 'checkbox-group';
+    picker.innerHTML = scenarios.map(scenario => {
+      const checked = this.comparisonIds.includes(scenario.id);
+      const full = !checked && this.comparisonIds.length >= this.maxComparedScenarios;
+      return `
+        <label class="checkbox-label">
+          <input type="checkbox" class="compare-scenario-checkbox" value="${scenario.id}" ${checked ? 'checked' : ''} ${full ? 'disabled' : ''}>
+          <span>${this.escapeHtml(scenario.name)}</span>
+        </label>
+      `;
+    }).join('');
+    content.appendChild(picker);
+
+    // Add comparison table
+    const table = document.createElement('div');
+    table.className = 'scenario-comparison';
+    if (compared.length < 2) {
+      table.innerHTML = `<p class="help-text">Select two to ${this.maxComparedScenarios} scenarios to compare.</p>`;
+    } else {
+      const rows = [
+        ['DTI', item => `${item.results.dti.toFixed(1)}%`],
+        ['Max DTI', item => `${item.results.maxDti.toFixed(1)}%`],
+        ['Max Payment', item => `${this.formatCurrency(Math.max(0, item.affordability.maxMonthlyPayment))}/mo`],
+        ['Estimated Price', item => this.formatCurrency(item.affordability.estimatedPrice)]
+      ];
+
+      table.innerHTML = `
+        <table>
+          <thead>
+            <tr>
+              <th scope="col"></th>
+              ${compared.map(item => `<th scope="col">${this.escapeHtml(item.scenario.name)}</th>`).join('')}
+            </tr>
+          </thead>
+          <tbody>
+            ${rows.map(([label, format]) => `
+              <tr>
+                <th scope="row">${label}</th>
+                ${compared.map(item => `<td>${format(item)}</td>`).join('')}
+              </tr>
+            `).join('')}
+          </tbody>
+        </table>
+      `;
+    }
+    content.appendChild(table);
+
+    // Add back button with icon
+    const backButton = document.createElement('button');
+    backButton.innerHTML = `
+      <svg xmlns="http://www.w3.org/2000/svg" width="20" height="20" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2" stroke-linecap="round" stroke-linejoin="round">
+        <polyline points="15 18 9 12 15 6"></polyline>
+      </svg>
+      <span>Back to Summary</span>
+    `;
+    backButton.className = 'back-to-summary-button button-with-icon';
+    content.appendChild(backButton);
+
+    this.sheetController.setContent(content, { snapPoints: this.viewSnapPoints.results });
     this.sheetController.setPosition('full');
   }
 
+  /**
+   * Download the profile and its calculated results
+   * @param {string} format - 'json' or 'csv'
+   */
+  exportProfile(format) {
+    const results = this.calculationResults || this.underwritingEngine.calculate(this.data);
+    const affordability = this.underwritingEngine.calculateAffordability(this.data, results.maxDti);
+    const baseName = this.getExportFileName();
+
+    if (format === 'csv') {
+      this.downloadFile(`${baseName}.csv`, 'text/csv', this.profileExporter.toCsv(this.data, results, affordability));
+    } else {
+      this.downloadFile(`${baseName}.json`, 'application/json', this.profileExporter.toJson(this.data, results, affordability));
+    }
+  }
+
+  /**
+   * Download a printable report of the inputs, ratios and affordability
+   */
+  downloadReport() {
+    const scenario = this.scenarioStore.getActive();
+    const html = this.reportBuilder.build(this.data, { scenarioName: scenario ? scenario.name : null });
+    this.downloadFile(`${this.getExportFileName()}-report.html`, 'text/html', html);
+  }
+
+  /**
+   * File name for downloads, based on the active scenario
+   * @returns {string} File name without extension
+   */
+  getExportFileName() {
+    const scenario = this.scenarioStore.getActive();
+    return (scenario ? scenario.name : 'mortgage-profile').replace(/[^a-z0-9]+/gi, '-').toLowerCase();
+  }
+
+  /**
+   * Save text as a file through a temporary download link
+   * @param {string} fileName - Suggested file name
+   * @param {string} mimeType - File type
+   * @param {string} text - File contents
+   */
+  downloadFile(fileName, mimeType, text) {
+    const url = URL.createObjectURL(new Blob([text], { type: mimeType }));
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = fileName;
+    document.body.appendChild(link);
+    link.click();
+    link.remove();
+
+    // Give the browser a moment to start the download before releasing the file
+    setTimeout(() => URL.revokeObjectURL(url), 1000);
+  }
+
+  /**
+   * Load an exported profile into a new scenario and show it in the form
+   * @param {File} file - JSON or CSV file chosen by the user
+   */
+  importProfile(file) {
+    const status = document.querySelector('.import-status');
+
+    file.text().then(text => {
+      const data = this.profileExporter.parse(text);
+
+      // Import into its own scenario so the current profile isn't overwritten
+      this.saveData();
+      this.scenarioStore.create(file.name.replace(/\.(json|csv)$/i, ''), data);
+      this.loadActiveScenario();
+      this.sheetController.setPosition('full');
+    }).catch(e => {
+      console.error('Error importing profile:', e);
+      if (status) {
+        status.textContent = `Couldn't import ${file.name}: ${e.message}`;
+        status.classList.add('error');
+      }
+    });
+  }
+
+  /**
+   * Render the loan program comparison cards for the results view
+   * @param {Array} programs - Program evaluations from UnderwritingEngine.evaluatePrograms()
+   * @returns {HTMLElement} Comparison element
+   */
+  renderProgramComparison(programs) {
+    const comparison = document.createElement('div');
+    comparison.className = 'program-comparison';
+
+    const statusLabels = {
+      eligible: 'Eligible',
+      review: 'Needs review',
+      ineligible: 'Not eligible'
+    };
+
+    comparison.innerHTML = `
+      <h3>Loan Program Comparison</h3>
+      <div class="program-grid">
+        ${programs.map(program => `
+          <div class="program-card program-${program.status} ${program.programId === this.data.loanProgram ? 'selected' : ''}">
+            <div class="program-header">
+              <h4>${program.name}</h4>
+              <span class="program-status">${statusLabels[program.status]}</span>
+            </div>
+            <dl class="program-limits">
+              <dt>Max DTI</dt>
+              <dd>${program.maxFrontEndDti !== null ? `${program.maxFrontEndDti}% / ` : ''}${program.maxDti.toFixed(1)}%</dd>
+              <dt>Max payment</dt>
+              <dd>${this.formatCurrency(Math.max(0, program.maxMonthlyPayment))}</dd>
+              <dt>Min down</dt>
+              <dd>${program.minDownPaymentPercent}%</dd>
+              <dt>Min credit</dt>
+              <dd>${program.minCreditScore}</dd>
+              ${program.mortgageInsurance ? `
+                <dt>${program.mortgageInsurance.type}</dt>
+                <dd>${program.mortgageInsurance.monthlyPremium > 0
+                  ? `${this.formatCurrency(program.mortgageInsurance.monthlyPremium)}/mo`
+                  : `${this.formatCurrency(program.mortgageInsurance.upfrontPremium)} upfront`}</dd>
+              ` : ''}
+            </dl>
+            ${program.reasons.length > 0 ? `
+              <ul class="program-reasons">
+                ${program.reasons.map(reason => `<li>${reason}</li>`).join('')}
+              </ul>
+            ` : ''}
+          </div>
+        `).join('')}
+      </div>
+    `;
+
+    return comparison;
+  }
+
   /**
    * Show affordability calculation with improved design
    * @param {number} maxDti - Maximum DTI
    */
   showAffordability(maxDti) {
-    // Calculate affordability based on DTI with improved algorithm
-    const monthlyIncome = parseFloat(this.data.monthlyIncome) || 0;
-    const carPayment = parseFloat(this.data.carPayment) || 0;
-    const creditCardMinimums = parseFloat(this.data.creditCardMinimums) || 0;
-    const collectionsPayments = parseFloat(this.data.collectionsPayments) || 0;
-
-    const nonHousingDebt = carPayment + creditCardMinimums + collectionsPayments;
-    const maxMonthlyPayment = (monthlyIncome * (maxDti / 100)) - nonHousingDebt;
-
-    // Store the calculated max monthly payment
-    this.calculatedMaxMonthlyPayment = maxMonthlyPayment;
-
-    // Calculate estimated home price range based on payment
-    const interestRate = 6.5; // Estimated current mortgage rate
-    const years = 30; // Standard loan term
-    const monthlyRate = interestRate / 100 / 12;
-    const payments = years * 12;
-
-    // Estimate monthly taxes, insurance, and PMI as percentage of loan
-    const taxesAndInsurance = monthlyIncome * 0.05; // Estimated at 5% of monthly income
-
-    // Calculate loan amount using payment minus taxes/insurance
-    const paymentForPrincipalAndInterest = Math.max(0, maxMonthlyPayment - taxesAndInsurance);
-
-    // Use mortgage formula: P = L[c(1 + c)^n]/[(1 + c)^n - 1]
-    // Solved for L (loan amount): L = P[((1 + c)^n - 1)]/[c(1 + c)^n]
-    let estimatedPrice = 0;
-    if (paymentForPrincipalAndInterest > 0) {
-      const numerator = (Math.pow(1 + monthlyRate, payments) - 1);
-      const denominator = monthlyRate * Math.pow(1 + monthlyRate, payments);
-      const loanAmount = paymentForPrincipalAndInterest * (numerator / denominator);
-
-      // Assuming 20% down payment
-      estimatedPrice = loanAmount / 0.8;
+    // Solve for the price whose full PITI payment fits each budget tier
+    const tiers = this.underwritingEngine.calculateAffordabilityTiers(this.data, maxDti);
+    const affordability = tiers.find(tier => tier.id === this.selectedAffordabilityTier) || tiers[tiers.length - 1];
+    const { program, maxMonthlyPayment, breakdown, loanAmount, estimatedPrice } = affordability;
+
+    // Loan terms entered by the user, with defaults for anything missing
+    const loanTerms = this.mortgageCalculator.getLoanTerms(this.data);
+    const housingCosts = this.mortgageCalculator.getHousingCosts(this.data);
+    const downPayment = parseFloat(this.data.downPayment) || 0;
+    const pointsCost = this.mortgageCalculator.calculatePointsCost(loanAmount, loanTerms.points);
+
+    // Work out when mortgage insurance drops off, if it ever does
+    let mortgageInsuranceDropOff = null;
+    if (breakdown.mortgageInsurance > 0 && program && program.mortgageInsurance) {
+      const schedule = this.mortgageCalculator.buildAmortizationSchedule(loanAmount, loanTerms.effectiveRate, loanTerms.termYears);
+      mortgageInsuranceDropOff = this.mortgageCalculator.findMortgageInsuranceDropOff(
+        schedule, estimatedPrice, program.mortgageInsurance.cancelAtLtv
+      );
     }
 
+    // Keep the affordability figures for the amortization view
+    this.affordabilityResults = {
+      maxDti,
+      tier: affordability.id,
+      maxMonthlyPayment,
+      loanAmount,
+      estimatedPrice,
+      downPayment,
+      breakdown,
+      mortgageInsuranceDropOff,
+      pointsCost,
+      ...loanTerms,
+      ...housingCosts
+    };
+
+    // Let the visualization scale the house to the tier being shown
+    document.dispatchEvent(new CustomEvent('mortgage-data-updated', {
+      detail: {
+        data: {
+          affordabilityTier: affordability.id,
+          tierHomePrice: estimatedPrice,
+          tierMonthlyPayment: maxMonthlyPayment
+        }
+      }
+    }));
+
     // Create affordability view
     const content = document.createElement('div');
     content.className = 'affordability-view';
@@ -1515,29 +2325,73 @@ class MortgageDataCollection {
 
     affordabilityInfo.innerHTML = `
       <div class="affordability-card">
-        <h3>Maximum Monthly Payment</h3>
+        <h3>${affordability.label} Monthly Payment</h3>
         <div class="affordability-value">$${maxMonthlyPayment.toFixed(0)}</div>
-        <p class="help-text">Based on your maximum DTI of ${maxDti.toFixed(1)}%</p>
+        <p class="help-text">Based on a DTI of ${affordability.maxDti.toFixed(1)}%${affordability.maxDti < maxDti ? `, below your maximum of ${maxDti.toFixed(1)}%` : ''}</p>
       </div>
 
       <div class="affordability-card">
         <h3>Estimated Home Price</h3>
-        <div class="affordability-value">$${estimatedPrice.toFixed(0).replace(/\B(?=(\d{3})+(?!\d))/g, ",")}</div>
-        <p class="help-text">Based on current rates and 20% down</p>
+        <div class="affordability-value">${this.formatCurrency(estimatedPrice)}</div>
+        <p class="help-text">Based on ${loanTerms.effectiveRate}% for ${loanTerms.termYears} years with ${this.formatCurrency(downPayment)} down</p>
       </div>
     `;
+    content.appendChild(this.renderAffordabilityTiers(tiers, affordability.id));
     content.appendChild(affordabilityInfo);
 
+    // Add cash to close and reserves for the target home, or for the estimate without one
+    const hasTargetPrice = this.underwritingEngine.parseAmount(this.data.targetHomePrice) > 0;
+    const cashToClose = this.underwritingEngine.calculateCashToClose(this.data, program, hasTargetPrice ? null : estimatedPrice);
+    if (cashToClose) {
+      content.appendChild(this.renderCashToClose(cashToClose, hasTargetPrice));
+    }
+
+    // Add loan term inputs so the estimate can be tuned
+    content.appendChild(this.renderLoanTermsForm(loanTerms));
+
+    // Add how the price and payment move with rates, for the selected tier's budget
+    const terms = [...new Set([...this.mortgageCalculator.sensitivityTerms, loanTerms.termYears])].sort((a, b) => a - b);
+    const sensitivity = this.mortgageCalculator.calculateRateSensitivity(
+      maxMonthlyPayment,
+      downPayment,
+      hasTargetPrice ? this.underwritingEngine.parseAmount(this.data.targetHomePrice) : estimatedPrice,
+      this.underwritingEngine.getHousingPaymentOptions(this.data, program),
+      terms
+    );
+    content.appendChild(this.renderRateSensitivity(sensitivity, loanTerms.effectiveRate, hasTargetPrice));
+
     // Add explanation with improved breakdown
     const explanation = document.createElement('div');
     explanation.className = 'affordability-explanation';
     explanation.innerHTML = `
       <p>Your estimated maximum monthly mortgage payment includes:</p>
       <ul>
-        <li>Principal and Interest: ~$${paymentForPrincipalAndInterest.toFixed(0)}</li>
-        <li>Taxes and Insurance: ~$${taxesAndInsurance.toFixed(0)}</li>
+        <li>Principal and Interest: ~${this.formatCurrency(breakdown.principalAndInterest)}</li>
+        <li>Property Tax: ~${this.formatCurrency(breakdown.propertyTax)} (${housingCosts.propertyTaxRate}% of price per year)</li>
+        <li>Homeowners Insurance: ~${this.formatCurrency(breakdown.homeInsurance)}</li>
+        ${breakdown.mortgageInsurance > 0 ? `
+          <li>${program.mortgageInsurance.type}: ~${this.formatCurrency(breakdown.mortgageInsurance)}
+            (${breakdown.mortgageInsuranceRate}% at ${breakdown.ltv.toFixed(0)}% LTV${mortgageInsuranceDropOff
+              ? `, drops off around ${mortgageInsuranceDropOff.date.toLocaleDateString('en-US', { month: 'short', year: 'numeric' })}`
+              : ', for the life of the loan'})</li>
+        ` : ''}
+        ${breakdown.hoaDues > 0 ? `<li>HOA Dues: ~${this.formatCurrency(breakdown.hoaDues)}</li>` : ''}
       </ul>
-      <p>This is based on a 30-year fixed mortgage at an estimated rate of ${interestRate}%.</p>
+      <p>This is based on a ${loanTerms.termYears}-year fixed mortgage at ${loanTerms.interestRate}%${loanTerms.points > 0
+        ? `, bought down to ${loanTerms.effectiveRate}% with ${loanTerms.points} point${loanTerms.points === 1 ? '' : 's'} (~${this.formatCurrency(pointsCost)} at closing)`
+        : ''}.</p>
+      <button class="view-amortization-button button-with-icon" ${loanAmount > 0 ? '' : 'disabled'}>
+        <span>View Amortization Schedule</span>
+        <svg xmlns="http://www.w3.org/2000/svg" width="20" height="20" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2" stroke-linecap="round" stroke-linejoin="round">
+          <line x1="8" y1="6" x2="21" y2="6"></line>
+          <line x1="8" y1="12" x2="21" y2="12"></line>
+          <line x1="8" y1="18" x2="21" y2="18"></line>
+          <line x1="3" y1="6" x2="3.01" y2="6"></line>
+          <line x1="3" y1="12" x2="3.01" y2="12"></line>
+          <line x1="3" y1="18" x2="3.01" y2="18"></line>
+        </svg>
+      </button>
+      <button type="button" class="download-report-button">Download Report</button>
     `;
     content.appendChild(explanation);
 
@@ -1552,7 +2406,392 @@ class MortgageDataCollection {
     backButton.className = 'back-button button-with-icon';
     content.appendChild(backButton);
 
-    this.sheetController.setContent(content);
+    this.sheetController.setContent(content, { snapPoints: this.viewSnapPoints.results });
+  }
+
+  /**
+   * Render the budget tiers as selectable cards
+   * @param {Array} tiers - Result from UnderwritingEngine.calculateAffordabilityTiers()
+   * @param {string} selectedId - Id of the tier shown in detail
+   * @returns {HTMLElement} Tier selector
+   */
+  renderAffordabilityTiers(tiers, selectedId) {
+    const selector = document.createElement('div');
+    selector.className = 'affordability-tiers';
+    selector.setAttribute('role', 'radiogroup');
+    selector.setAttribute('aria-label', 'Budget');
+
+    selector.innerHTML = tiers.map(tier => `
+      <button
+        type="button"
+        class="affordability-tier-button ${tier.id === selectedId ? 'selected' : ''}"
+        data-tier="${tier.id}"
+        role="radio"
+        aria-checked="${tier.id === selectedId}"
+      >
+        <span class="tier-label">${tier.label}</span>
+        <span class="tier-price">${this.formatCurrency(tier.estimatedPrice)}</span>
+        <span class="tier-detail">${this.formatCurrency(Math.max(0, tier.maxMonthlyPayment))}/mo payment</span>
+        <span class="tier-detail">${this.formatCurrency(tier.remainingBudget)}/mo left after housing and debts</span>
+        <span class="tier-description">${tier.description}</span>
+      </button>
+    `).join('');
+
+    return selector;
+  }
+
+  /**
+   * Switch the affordability view to another budget tier and resize the house to match
+   * @param {string} tierId - Tier id, e.g. conservative
+   */
+  selectAffordabilityTier(tierId) {
+    this.selectedAffordabilityTier = tierId;
+    this.showAffordability(this.calculatedMaxDti);
+  }
+
+  /**
+   * Render the cash to close breakdown with the surplus or shortfall and reserves
+   * @param {Object} cash - Result from UnderwritingEngine.calculateCashToClose()
+   * @param {boolean} forTarget - Whether the figures are for the target home
+   * @returns {HTMLElement} Cash to close section
+   */
+  renderCashToClose(cash, forTarget) {
+    const engine = this.underwritingEngine;
+    const section = document.createElement('div');
+    section.className = 'cash-to-close';
+
+    section.innerHTML = `
+      <h3>Cash to Close</h3>
+      <p class="help-text">For ${forTarget ? 'your target home' : 'the estimated home price'} of ${this.formatCurrency(cash.homePrice)}</p>
+
+      <div class="affordability-info">
+        <div class="affordability-card ${cash.shortfall > 0 ? 'status-negative' : 'status-positive'}">
+          <h3>${cash.shortfall > 0 ? 'Shortfall at Closing' : 'Surplus at Closing'}</h3>
+          <div class="affordability-value">${this.formatCurrency(Math.abs(cash.surplus))}</div>
+          <p class="help-text">${this.formatCurrency(cash.cashToClose)} needed from ${this.formatCurrency(cash.liquidAssets)} in liquid assets</p>
+        </div>
+
+        <div class="affordability-card ${cash.reserveMonths >= cash.minReserveMonths ? 'status-positive' : 'status-negative'}">
+          <h3>Reserves After Closing</h3>
+          <div class="affordability-value">${cash.reserveMonths.toFixed(1)} mo</div>
+          <p class="help-text">${this.formatCurrency(cash.reserves)}${cash.retirementAssets > 0
+            ? `, including ${engine.retirementAssetRate}% of retirement and investments`
+            : ''}. Lenders usually look for ${cash.minReserveMonths}+ months of payments</p>
+        </div>
+      </div>
+
+      <ul class="cash-to-close-breakdown">
+        <li><span>Down payment</span><span>${this.formatCurrency(cash.downPayment)}</span></li>
+        <li><span>Closing costs (~${engine.closingCostRate}% of the loan)</span><span>${this.formatCurrency(cash.closingCosts)}</span></li>
+        ${cash.pointsCost > 0 ? `<li><span>Discount points</span><span>${this.formatCurrency(cash.pointsCost)}</span></li>` : ''}
+        <li><span>Prepaid insurance (${engine.prepaidInsuranceMonths} months)</span><span>${this.formatCurrency(cash.prepaids.homeInsurance)}</span></li>
+        <li><span>Property tax escrow (${engine.escrowTaxMonths} months)</span><span>${this.formatCurrency(cash.prepaids.propertyTax)}</span></li>
+        <li><span>Prepaid interest (${engine.prepaidInterestDays} days)</span><span>${this.formatCurrency(cash.prepaids.interest)}</span></li>
+        <li class="cash-to-close-total"><span>Total cash to close</span><span>${this.formatCurrency(cash.cashToClose)}</span></li>
+      </ul>
+    `;
+
+    return section;
+  }
+
+  /**
+   * Render the rate sensitivity grid as a chart with an accessible table
+   * @param {Object} sensitivity - Result from MortgageCalculator.calculateRateSensitivity()
+   * @param {number} currentRate - Rate used for the affordability estimate
+   * @param {boolean} forTarget - Whether payments are for the target home
+   * @returns {HTMLElement} Rate sensitivity section
+   */
+  renderRateSensitivity(sensitivity, currentRate, forTarget) {
+    const step = this.mortgageCalculator.sensitivityRates.step;
+    const isCurrent = rate => Math.abs(rate - currentRate) < step / 2;
+
+    const section = document.createElement('div');
+    section.className = 'rate-sensitivity';
+    section.innerHTML = `
+      <h3>What If Rates Change?</h3>
+      <p class="help-text">Maximum home price for your budget, and the monthly payment on ${forTarget ? 'your target home' : 'the estimated home price'} of ${this.formatCurrency(sensitivity.homePrice)}, at each rate</p>
+
+      ${this.renderSensitivityChart(sensitivity, currentRate)}
+
+      <div class="sensitivity-table-wrapper">
+        <table class="sensitivity-table">
+          <caption>Maximum home price and monthly payment by interest rate and loan term</caption>
+          <thead>
+            <tr>
+              <th scope="col" rowspan="2">Rate</th>
+              ${sensitivity.terms.map(term => `<th scope="colgroup" colspan="2">${term} years</th>`).join('')}
+            </tr>
+            <tr>
+              ${sensitivity.terms.map(() => '<th scope="col">Max price</th><th scope="col">Payment</th>').join('')}
+            </tr>
+          </thead>
+          <tbody>
+            ${sensitivity.rows.map(row => `
+              <tr class="${isCurrent(row.rate) ? 'current-rate' : ''}">
+                <th scope="row">${row.rate.toFixed(2)}%${isCurrent(row.rate) ? ' <span class="visually-hidden">(current rate)</span>' : ''}</th>
+                ${row.cells.map(cell => `
+                  <td>${this.formatCurrency(cell.maxHomePrice)}</td>
+                  <td>${this.formatCurrency(cell.payment)}</td>
+                `).join('')}
+              </tr>
+            `).join('')}
+          </tbody>
+        </table>
+      </div>
+    `;
+
+    return section;
+  }
+
+  /**
+   * Draw maximum home price against rate as a line per loan term
+   * The chart is decorative for screen readers; the table carries the same figures
+   * @param {Object} sensitivity - Result from MortgageCalculator.calculateRateSensitivity()
+   * @param {number} currentRate - Rate used for the affordability estimate
+   * @returns {string} SVG chart and legend markup
+   */
+  renderSensitivityChart(sensitivity, currentRate) {
+    const width = 320;
+    const height = 180;
+    const pad = { top: 12, right: 12, bottom: 24, left: 48 };
+    const { rates, terms, rows } = sensitivity;
+
+    const minRate = rates[0];
+    const maxRate = rates[rates.length - 1];
+    const maxPrice = Math.max(1, ...rows.map(row => Math.max(...row.cells.map(cell => cell.maxHomePrice))));
+
+    const x = rate => pad.left + ((rate - minRate) / ((maxRate - minRate) || 1)) * (width - pad.left - pad.right);
+    const y = price => pad.top + (1 - price / maxPrice) * (height - pad.top - pad.bottom);
+    const compact = value => new Intl.NumberFormat('en-US', {
+      style: 'currency', currency: 'USD', notation: 'compact', maximumFractionDigits: 0
+    }).format(value);
+
+    const wholeRates = rates.filter(rate => Number.isInteger(rate));
+    const priceTicks = [0, maxPrice / 2, maxPrice];
+
+    return `
+      <svg class="sensitivity-chart" viewBox="0 0 ${width} ${height}" aria-hidden="true" focusable="false">
+        ${priceTicks.map(price => `
+          <line class="sensitivity-grid" x1="${pad.left}" x2="${width - pad.right}" y1="${y(price)}" y2="${y(price)}"></line>
+          <text class="sensitivity-axis" x="${pad.left - 6}" y="${y(price) + 4}" text-anchor="end">${compact(price)}</text>
+        `).join('')}
+        ${wholeRates.map(rate => `
+          <text class="sensitivity-axis" x="${x(rate)}" y="${height - 6}" text-anchor="middle">${rate}%</text>
+        `).join('')}
+        ${currentRate >= minRate && currentRate <= maxRate ? `
+          <line class="sensitivity-current" x1="${x(currentRate)}" x2="${x(currentRate)}" y1="${pad.top}" y2="${height - pad.bottom}"></line>
+        ` : ''}
+        ${terms.map((term, index) => `
+          <polyline
+            class="sensitivity-line sensitivity-line-${index}"
+            points="${rows.map(row => `${x(row.rate).toFixed(1)},${y(row.cells[index].maxHomePrice).toFixed(1)}`).join(' ')}"
+          ></polyline>
+        `).join('')}
+      </svg>
+      <ul class="sensitivity-legend" aria-hidden="true">
+        ${terms.map((term, index) => `<li><span class="sensitivity-swatch sensitivity-line-${index}"></span>${term} years</li>`).join('')}
+        <li><span class="sensitivity-swatch sensitivity-current"></span>Your rate</li>
+      </ul>
+    `;
+  }
+
+  /**
+   * Render the interest rate, term and points inputs for the affordability view
+   * @param {Object} loanTerms - Current terms from MortgageCalculator.getLoanTerms()
+   * @returns {HTMLElement} Loan terms form
+   */
+  renderLoanTermsForm(loanTerms) {
+    const form = document.createElement('form');
+    form.className = 'mortgage-form loan-terms-form';
+    form.setAttribute('novalidate', 'true');
+
+    form.innerHTML = `
+      <div class="form-section">
+        <h3>Loan Terms</h3>
+
+        <div class="form-group">
+          <label for="interestRate">Interest Rate</label>
+          <div class="input-with-prefix">
+            <span class="prefix">%</span>
+            <input
+              type="number"
+              id="interestRate"
+              name="interestRate"
+              value="${this.formatInputValue(this.data.interestRate)}"
+              placeholder="${this.mortgageCalculator.defaultInterestRate}"
+              step="0.125"
+              min="0"
+            />
+          </div>
+          <p class="help-text">Annual interest rate quoted by your lender.</p>
+        </div>
+
+        <div class="form-group">
+          <label>Loan Term</label>
+          <div class="radio-group">
+            ${this.mortgageCalculator.availableTerms.map(term => `
+              <label class="radio-label">
+                <input
+                  type="radio"
+                  name="loanTermYears"
+                  value="${term}"
+                  ${loanTerms.termYears === term ? 'checked' : ''}
+                />
+                <span>${term} years</span>
+              </label>
+            `).join('')}
+          </div>
+        </div>
+
+        <div class="form-group">
+          <label for="discountPoints">Discount Points</label>
+          <input
+            type="number"
+            id="discountPoints"
+            name="discountPoints"
+            value="${this.formatInputValue(this.data.discountPoints)}"
+            placeholder="0"
+            step="0.5"
+            min="0"
+          />
+          <p class="help-text">Each point costs 1% of the loan and lowers the rate by about ${this.mortgageCalculator.pointRateReduction}%.</p>
+        </div>
+
+        <div class="form-group">
+          <label for="propertyTaxRate">Property Tax Rate</label>
+          <div class="input-with-prefix">
+            <span class="prefix">%</span>
+            <input
+              type="number"
+              id="propertyTaxRate"
+              name="propertyTaxRate"
+              value="${this.formatInputValue(this.data.propertyTaxRate)}"
+              placeholder="${this.mortgageCalculator.defaultPropertyTaxRate}"
+              step="0.05"
+              min="0"
+            />
+          </div>
+          <p class="help-text">Annual property tax as a percentage of the home price.</p>
+        </div>
+
+        <div class="form-group">
+          <label for="homeInsuranceAnnual">Homeowners Insurance</label>
+          <div class="input-with-prefix">
+            <span class="prefix">$</span>
+            <input
+              type="number"
+              id="homeInsuranceAnnual"
+              name="homeInsuranceAnnual"
+              value="${this.formatInputValue(this.data.homeInsuranceAnnual)}"
+              placeholder="Estimated from price"
+              min="0"
+            />
+          </div>
+          <p class="help-text">Annual premium. Leave blank to estimate ${this.mortgageCalculator.defaultInsuranceRate}% of the home price.</p>
+        </div>
+
+        <button type="button" class="update-affordability-button button-with-icon">
+          <span>Update Estimate</span>
+          <svg xmlns="http://www.w3.org/2000/svg" width="20" height="20" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2" stroke-linecap="round" stroke-linejoin="round">
+            <polyline points="23 4 23 10 17 10"></polyline>
+            <path d="M20.49 15a9 9 0 1 1-2.12-9.36L23 10"></path>
+          </svg>
+        </button>
+      </div>
+    `;
+
+    return form;
+  }
+
+  /**
+   * Show the month-by-month amortization schedule for the affordability estimate
+   * Pushed as a sheet over the affordability view, which is still there when it closes
+   */
+  showAmortizationSchedule() {
+    if (!this.affordabilityResults || this.affordabilityResults.loanAmount <= 0) return;
+
+    const { loanAmount, effectiveRate, termYears } = this.affordabilityResults;
+    const schedule = this.mortgageCalculator.buildAmortizationSchedule(loanAmount, effectiveRate, termYears);
+    const years = this.mortgageCalculator.summarizeByYear(schedule.payments);
+
+    const formatMonth = date => date.toLocaleDateString('en-US', { month: 'short', year: 'numeric' });
+
+    // Create amortization view
+    const content = document.createElement('div');
+    content.className = 'amortization-view';
+
+    const title = document.createElement('h2');
+    title.textContent = 'Amortization Schedule';
+    content.appendChild(title);
+
+    // Add loan summary
+    const summary = document.createElement('div');
+    summary.className = 'affordability-info';
+    summary.innerHTML = `
+      <div class="affordability-card">
+        <h3>Monthly Principal & Interest</h3>
+        <div class="affordability-value">${this.formatCurrency(schedule.monthlyPayment)}</div>
+        <p class="help-text">${this.formatCurrency(loanAmount)} at ${effectiveRate}% for ${termYears} years</p>
+      </div>
+
+      <div class="affordability-card">
+        <h3>Total Interest</h3>
+        <div class="affordability-value">${this.formatCurrency(schedule.totalInterest)}</div>
+        <p class="help-text">Paid off ${schedule.payoffDate ? formatMonth(schedule.payoffDate) : ''}</p>
+      </div>
+    `;
+    content.appendChild(summary);
+
+    // Add the schedule grouped by loan year
+    const table = document.createElement('div');
+    table.className = 'amortization-schedule';
+    table.innerHTML = years.map(year => `
+      <details class="amortization-year">
+        <summary>
+          <span>Year ${year.year}</span>
+          <span>Principal ${this.formatCurrency(year.principal)}</span>
+          <span>Interest ${this.formatCurrency(year.interest)}</span>
+          <span>Balance ${this.formatCurrency(year.balance)}</span>
+        </summary>
+        <table>
+          <thead>
+            <tr>
+              <th scope="col">Month</th>
+              <th scope="col">Principal</th>
+              <th scope="col">Interest</th>
+              <th scope="col">Total Interest</th>
+              <th scope="col">Balance</th>
+            </tr>
+          </thead>
+          <tbody>
+            ${year.payments.map(row => `
+              <tr>
+                <td>${formatMonth(row.date)}</td>
+                <td>${this.formatCurrency(row.principal)}</td>
+                <td>${this.formatCurrency(row.interest)}</td>
+                <td>${this.formatCurrency(row.cumulativeInterest)}</td>
+                <td>${this.formatCurrency(row.balance)}</td>
+              </tr>
+            `).join('')}
+          </tbody>
+        </table>
+      </details>
+    `).join('');
+    content.appendChild(table);
+
+    // Add back button with icon
+    const backButton = document.createElement('button');
+    backButton.innerHTML = `
+      <svg xmlns="http://www.w3.org/2000/svg" width="20" height="20" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2" stroke-linecap="round" stroke-linejoin="round">
+        <polyline points="15 18 9 12 15 6"></polyline>
+      </svg>
+      <span>Back to Affordability</span>
+    `;
+    backButton.className = 'close-sheet-button button-with-icon';
+    content.appendChild(backButton);
+
+    // Open on top of the affordability view so it's still there when this is closed
+    this.sheetController.push(content);
   }
 }
 <environment_details>
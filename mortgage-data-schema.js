@@ -0,0 +1,105 @@
+/**
+ * Schema for the mortgage data model saved by MortgagePersistence
+ * Each field lists its type and default; saved data is coerced to these types
+ * and merged over the defaults, so new fields appear in older profiles
+ * Bump the version and add a migration to MortgagePersistence when a field changes shape
+ */
+const MORTGAGE_DATA_SCHEMA = {
+  version: 2,
+  fields: {
+    // Home Purchase Goals
+    targetHomePrice: { type: 'number', default: null },
+    downPayment: { type: 'number', default: null },
+    downPaymentPercent: { type: 'number', default: null },
+    loanProgram: { type: 'string', default: 'conventional', values: ['conventional', 'fha', 'va', 'usda', 'jumbo'] },
+
+    // Loan Terms
+    interestRate: { type: 'number', default: null },
+    loanTermYears: { type: 'number', default: 30, values: [10, 15, 20, 30] },
+    discountPoints: { type: 'number', default: null },
+    propertyTaxRate: { type: 'number', default: null },
+    homeInsuranceAnnual: { type: 'number', default: null },
+
+    // Income
+    monthlyIncome: { type: 'number', default: null },
+    incomeSources: { type: 'array', default: [], items: { type: 'string' } },
+    incomeTrend: { type: 'string', default: '', values: ['', 'Increased', 'Stable', 'Decreased'] },
+    annualSalary: { type: 'number', default: null },
+    hourlyRate: { type: 'number', default: null },
+    hoursPerWeek: { type: 'number', default: null },
+    overtimeIncomeRecentYear: { type: 'number', default: null },
+    overtimeIncomePriorYear: { type: 'number', default: null },
+    bonusIncomeRecentYear: { type: 'number', default: null },
+    bonusIncomePriorYear: { type: 'number', default: null },
+    commissionIncomeRecentYear: { type: 'number', default: null },
+    commissionIncomePriorYear: { type: 'number', default: null },
+    tipIncomeRecentYear: { type: 'number', default: null },
+    tipIncomePriorYear: { type: 'number', default: null },
+    businessIncomeRecentYear: { type: 'number', default: null },
+    businessIncomePriorYear: { type: 'number', default: null },
+
+    // Debt
+    debts: {
+      type: 'array',
+      default: [],
+      items: {
+        type: 'object',
+        fields: {
+          id: { type: 'string', default: '' },
+          type: { type: 'string', default: 'other' },
+          balance: { type: 'number', default: null },
+          monthlyPayment: { type: 'number', default: null },
+          monthsRemaining: { type: 'number', default: null },
+          payingOff: { type: 'boolean', default: false },
+          description: { type: 'string', default: '' }
+        }
+      }
+    },
+    hasNoDebts: { type: 'boolean', default: false },
+
+    // Housing
+    currentHousingExpense: { type: 'number', default: null },
+    residencyDuration: { type: 'string', default: '' },
+    hoaDues: { type: 'number', default: null },
+
+    // Credit
+    creditScoreRange: { type: 'string', default: '', values: ['', 'Below 580', '580-600', '600-620', 'Above 620'] },
+
+    // Assets
+    liquidCash: { type: 'number', default: null },
+    retirementInvestments: { type: 'number', default: null },
+    otherLiquidAssets: { type: 'number', default: null },
+
+    // Payment History
+    latePayments: { type: 'boolean', default: false },
+    latePaymentCount: { type: 'number', default: null },
+    latePaymentRecency: { type: 'string', default: '', values: ['', 'Last 6 months', '6-12 months', '12-24 months'] },
+    bankruptcy: { type: 'boolean', default: false },
+    bankruptcyChapter: { type: 'string', default: '', values: ['', 'Chapter 7', 'Chapter 13'] },
+    bankruptcyDischargeDate: { type: 'string', default: '' },
+
+    // Collections
+    collectionsPayments: { type: 'number', default: null },
+
+    // Co-borrower answers, used only when hasCoBorrower is true
+    hasCoBorrower: { type: 'boolean', default: false },
+    coBorrowerMonthlyIncome: { type: 'number', default: null },
+    coBorrowerIncomeSources: { type: 'array', default: [], items: { type: 'string' } },
+    coBorrowerHasNoDebts: { type: 'boolean', default: false },
+    coBorrowerCreditScoreRange: { type: 'string', default: '', values: ['', 'Below 580', '580-600', '600-620', 'Above 620'] },
+    coBorrowerLiquidCash: { type: 'number', default: null },
+    coBorrowerRetirementInvestments: { type: 'number', default: null },
+    coBorrowerOtherLiquidAssets: { type: 'number', default: null }
+  }
+};
+
+// The co-borrower's debts use the same item fields as the borrower's
+MORTGAGE_DATA_SCHEMA.fields.coBorrowerDebts = {
+  type: 'array',
+  default: [],
+  items: MORTGAGE_DATA_SCHEMA.fields.debts.items
+};
+
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = MORTGAGE_DATA_SCHEMA;
+}
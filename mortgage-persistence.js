@@ -0,0 +1,288 @@
+/**
+ * MortgagePersistence - Versioned, schema-validated saving and loading of mortgage data
+ * Saved data is migrated to the current schema version, coerced field by field
+ * and merged over the defaults, so new fields and corrupted values never break rendering
+ * Storage is pluggable: localStorage, IndexedDB or in-memory (see storage-backends.js)
+ */
+class MortgagePersistence {
+  /**
+   * Initialize the persistence layer
+   * @param {Object} options - Configuration options
+   */
+  constructor(options = {}) {
+    // Field types, defaults and the current version
+    this.schema = options.schema || this.getDefaultSchema();
+    this.version = this.schema.version;
+
+    // Promise-based backend with getItem/setItem/removeItem
+    this.storage = options.storage || this.createDefaultStorage();
+
+    // Upgrade steps keyed by the version they upgrade from
+    this.migrations = options.migrations || {
+      1: data => this.migrateLegacyDebts(data)
+    };
+  }
+
+  /**
+   * Resolve the bundled mortgage data schema
+   * @returns {Object} Schema with version and fields
+   */
+  getDefaultSchema() {
+    if (typeof MORTGAGE_DATA_SCHEMA !== 'undefined') {
+      return MORTGAGE_DATA_SCHEMA;
+    }
+    return require('./mortgage-data-schema.js');
+  }
+
+  /**
+   * Use localStorage in the browser and memory everywhere else
+   * @returns {Object} Storage backend
+   */
+  createDefaultStorage() {
+    const backends = typeof LocalStorageBackend !== 'undefined'
+      ? { LocalStorageBackend, MemoryStorageBackend }
+      : require('./storage-backends.js');
+
+    return typeof localStorage !== 'undefined'
+      ? new backends.LocalStorageBackend(localStorage)
+      : new backends.MemoryStorageBackend();
+  }
+
+  /**
+   * Build a fresh data model from the schema defaults
+   * @returns {Object} Default mortgage data
+   */
+  createDefaults() {
+    return this.coerce({});
+  }
+
+  /**
+   * Load and normalize a saved data record
+   * @param {string} key - Storage key
+   * @returns {Promise<Object|null>} Mortgage data, null when nothing is saved
+   */
+  load(key) {
+    return this.readRecord(key).then(record => {
+      if (!record) return null;
+
+      // Records saved before versioning are the raw data object
+      return record.schemaVersion !== undefined && record.data
+        ? this.normalize(record.data, record.schemaVersion)
+        : this.normalize(record, 1);
+    });
+  }
+
+  /**
+   * Save a data record with its schema version
+   * @param {string} key - Storage key
+   * @param {Object} data - Mortgage data
+   * @returns {Promise<void>}
+   */
+  save(key, data) {
+    return this.writeRecord(key, { schemaVersion: this.version, data: this.coerce(data) });
+  }
+
+  /**
+   * Read and parse a JSON record without applying the schema
+   * @param {string} key - Storage key
+   * @returns {Promise<Object|null>} Parsed record, null when missing or unreadable
+   */
+  readRecord(key) {
+    return this.storage.getItem(key).then(saved => {
+      if (!saved) return null;
+
+      try {
+        return JSON.parse(saved);
+      } catch (e) {
+        console.error(`Discarding unreadable saved data for ${key}:`, e);
+        return null;
+      }
+    });
+  }
+
+  /**
+   * Serialize and write a JSON record
+   * @param {string} key - Storage key
+   * @param {Object} record - Record to store
+   * @returns {Promise<void>}
+   */
+  writeRecord(key, record) {
+    return this.storage.setItem(key, JSON.stringify(record));
+  }
+
+  /**
+   * Bring saved data up to the current schema
+   * @param {Object} data - Saved mortgage data
+   * @param {number} [fromVersion] - Schema version the data was saved with
+   * @returns {Object} Migrated, coerced data merged over the defaults
+   */
+  normalize(data, fromVersion = this.version) {
+    return this.coerce(this.migrate(data, fromVersion));
+  }
+
+  /**
+   * Run every migration between the saved version and the current one
+   * @param {Object} data - Saved mortgage data
+   * @param {number} fromVersion - Schema version the data was saved with
+   * @returns {Object} Migrated data
+   */
+  migrate(data, fromVersion) {
+    let migrated = this.isPlainObject(data) ? { ...data } : {};
+
+    for (let version = fromVersion || 1; version < this.version; version++) {
+      if (this.migrations[version]) {
+        migrated = this.migrations[version](migrated);
+      }
+    }
+
+    return migrated;
+  }
+
+  /**
+   * Convert the older car, credit card, medical and free-text debt answers
+   * into entries in the itemized debt list (version 1 to 2)
+   * @param {Object} data - Version 1 mortgage data
+   * @returns {Object} Data with a debts array
+   */
+  migrateLegacyDebts(data) {
+    if (Array.isArray(data.debts)) {
+      return data;
+    }
+
+    const { carPayment, creditCardMinimums, medicalDebt, otherDebts, ...rest } = data;
+    const debts = [];
+    const addLegacy = (type, fields) => {
+      debts.push({ id: `legacy-${type}`, type, payingOff: false, ...fields });
+    };
+
+    if (parseFloat(carPayment) > 0) {
+      addLegacy('auto', { monthlyPayment: carPayment });
+    }
+    if (parseFloat(creditCardMinimums) > 0) {
+      addLegacy('creditCard', { monthlyPayment: creditCardMinimums });
+    }
+    if (parseFloat(medicalDebt) > 0) {
+      addLegacy('medical', { balance: medicalDebt });
+    }
+
+    // Free-text debts are summed from any amounts mentioned in the text
+    if (typeof otherDebts === 'string' && otherDebts.trim() !== '') {
+      const amounts = otherDebts.match(/\d[\d,]*(\.\d+)?/g) || [];
+      const total = amounts.reduce((sum, amount) => sum + (parseFloat(amount.replace(/,/g, '')) || 0), 0);
+      addLegacy('other', { monthlyPayment: total > 0 ? total : null, description: otherDebts.trim() });
+    }
+
+    return { ...rest, debts, hasNoDebts: false };
+  }
+
+  /**
+   * Coerce every schema field and drop anything the schema doesn't know
+   * @param {Object} data - Mortgage data
+   * @param {Object} [fields] - Field definitions, defaults to the top-level schema
+   * @returns {Object} Data with one valid value per field
+   */
+  coerce(data, fields = this.schema.fields) {
+    const source = this.isPlainObject(data) ? data : {};
+    const result = {};
+
+    Object.keys(fields).forEach(name => {
+      result[name] = this.coerceValue(source[name], fields[name]);
+    });
+
+    return result;
+  }
+
+  /**
+   * Coerce a single top-level field, for updates made while editing
+   * @param {string} name - Field name
+   * @param {*} value - Raw value, usually an input's string value
+   * @returns {*} Coerced value, or the raw value for fields outside the schema
+   */
+  coerceField(name, value) {
+    const field = this.schema.fields[name];
+    return field ? this.coerceValue(value, field) : value;
+  }
+
+  /**
+   * Coerce a field of an item in a list field, such as a debt's balance
+   * @param {string} listName - List field name, e.g. 'debts'
+   * @param {string} name - Item field name
+   * @param {*} value - Raw value
+   * @returns {*} Coerced value, or the raw value for fields outside the schema
+   */
+  coerceItemField(listName, name, value) {
+    const list = this.schema.fields[listName];
+    const field = list && list.items && list.items.fields ? list.items.fields[name] : null;
+    return field ? this.coerceValue(value, field) : value;
+  }
+
+  /**
+   * Coerce a value to a field definition, falling back to its default
+   * @param {*} value - Raw value
+   * @param {Object} field - Field definition from the schema
+   * @returns {*} Coerced value
+   */
+  coerceValue(value, field) {
+    let coerced;
+
+    if (field.type === 'number') {
+      coerced = this.toNumber(value);
+    } else if (field.type === 'string') {
+      coerced = typeof value === 'string' || typeof value === 'number' ? String(value) : null;
+    } else if (field.type === 'boolean') {
+      coerced = value === true || value === 'true' ? true : (value === false || value === 'false' ? false : null);
+    } else if (field.type === 'array') {
+      coerced = Array.isArray(value)
+        ? value.map(item => this.coerceValue(item, field.items)).filter(item => item !== null)
+        : null;
+    } else if (field.type === 'object') {
+      coerced = this.isPlainObject(value) ? this.coerce(value, field.fields) : null;
+    }
+
+    // Values outside an allowed list fall back to the default
+    if (coerced !== null && field.values && !field.values.includes(coerced)) {
+      coerced = null;
+    }
+
+    return coerced === null ? this.copyDefault(field.default) : coerced;
+  }
+
+  /**
+   * Parse a stored or entered number
+   * @param {*} value - Raw value such as 450000, "450000" or "$450,000"
+   * @returns {number|null} Finite number, null when empty or invalid
+   */
+  toNumber(value) {
+    if (typeof value === 'number') {
+      return isFinite(value) ? value : null;
+    }
+    if (typeof value !== 'string' || value.trim() === '') {
+      return null;
+    }
+
+    const parsed = parseFloat(value.replace(/[$,\s]/g, ''));
+    return isFinite(parsed) ? parsed : null;
+  }
+
+  /**
+   * Copy a default so array and object defaults are never shared
+   * @param {*} value - Default value
+   * @returns {*} Copy of the default
+   */
+  copyDefault(value) {
+    return value !== null && typeof value === 'object' ? JSON.parse(JSON.stringify(value)) : value;
+  }
+
+  /**
+   * Check for a plain object (not null or an array)
+   * @param {*} value - Value to check
+   * @returns {boolean} True for plain objects
+   */
+  isPlainObject(value) {
+    return value !== null && typeof value === 'object' && !Array.isArray(value);
+  }
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = MortgagePersistence;
+}
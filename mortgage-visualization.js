@@ -25,10 +25,16 @@ class MortgageVisualization {
       downPayment: 50000,
       downPaymentPercent: 20,
       monthlyIncome: 5000,
+      frontEndDti: 28,
       dti: 36,
       maxDti: 43,
       maxMonthlyPayment: 1500,
-      houseSize: 1 // Scale factor for house size (1 = default)
+      houseSize: 1, // Scale factor for house size (1 = default)
+      
+      // Budget tier picked in the affordability view; the house shows its price
+      affordabilityTier: null,
+      tierHomePrice: null,
+      tierMonthlyPayment: null
     };
     
     // Objects for animation
@@ -36,6 +42,7 @@ class MortgageVisualization {
       house: null,
       roof: null,
       ground: null,
+      frontEndDtiBar: null,
       dtiBar: null,
       maxDtiBar: null,
       debtPie: null,
@@ -252,7 +259,21 @@ class MortgageVisualization {
     const barWidth = 0.8;
     const maxHeight = 5;
     
-    // Current DTI bar
+    // Housing (front-end) DTI bar
+    const frontEndDtiBarGeometry = new THREE.BoxGeometry(barWidth, 1, barWidth);
+    const frontEndDtiBarMaterial = new THREE.MeshStandardMaterial({
+      color: 0x2ecc71,
+      roughness: 0.3,
+      metalness: 0.5
+    });
+    this.objects.frontEndDtiBar = new THREE.Mesh(frontEndDtiBarGeometry, frontEndDtiBarMaterial);
+    this.objects.frontEndDtiBar.position.x = -2;
+    this.objects.frontEndDtiBar.position.y = 0.5; // Half height
+    this.objects.frontEndDtiBar.castShadow = true;
+    this.objects.frontEndDtiBar.userData = { type: 'frontEndDtiBar', value: this.currentData.frontEndDti };
+    this.dtiGroup.add(this.objects.frontEndDtiBar);
+    
+    // Total (back-end) DTI bar
     const dtiBarGeometry = new THREE.BoxGeometry(barWidth, 1, barWidth);
     const dtiBarMaterial = new THREE.MeshStandardMaterial({
       color: 0x3498db,
@@ -260,7 +281,7 @@ class MortgageVisualization {
       metalness: 0.5
     });
     this.objects.dtiBar = new THREE.Mesh(dtiBarGeometry, dtiBarMaterial);
-    this.objects.dtiBar.position.x = -1;
+    this.objects.dtiBar.position.x = 0;
     this.objects.dtiBar.position.y = 0.5; // Half height
     this.objects.dtiBar.castShadow = true;
     this.objects.dtiBar.userData = { type: 'dtiBar', value: this.currentData.dti };
@@ -274,16 +295,23 @@ class MortgageVisualization {
       metalness: 0.5
     });
     this.objects.maxDtiBar = new THREE.Mesh(maxDtiBarGeometry, maxDtiBarMaterial);
-    this.objects.maxDtiBar.position.x = 1;
+    this.objects.maxDtiBar.position.x = 2;
     this.objects.maxDtiBar.position.y = 0.5; // Half height
     this.objects.maxDtiBar.castShadow = true;
     this.objects.maxDtiBar.userData = { type: 'maxDtiBar', value: this.currentData.maxDti };
     this.dtiGroup.add(this.objects.maxDtiBar);
     
     // Create bar labels
+    const frontEndDtiLabelEl = document.createElement('div');
+    frontEndDtiLabelEl.className = 'data-label';
+    frontEndDtiLabelEl.textContent = `Housing DTI: ${this.currentData.frontEndDti}%`;
+    document.querySelector('.visualization-container').appendChild(frontEndDtiLabelEl);
+    this.frontEndDtiLabel = frontEndDtiLabelEl;
+    this.frontEndDtiLabel.style.opacity = '0';
+    
     const dtiLabelEl = document.createElement('div');
     dtiLabelEl.className = 'data-label';
-    dtiLabelEl.textContent = `Current DTI: ${this.currentData.dti}%`;
+    dtiLabelEl.textContent = `Total DTI: ${this.currentData.dti}%`;
     document.querySelector('.visualization-container').appendChild(dtiLabelEl);
     this.dtiLabel = dtiLabelEl;
     this.dtiLabel.style.opacity = '0';
@@ -1243,6 +1271,8 @@ class MortgageVisualization {
     // Check if it's part of group
     if (object === this.objects.house || object === this.objects.roof) {
       return 'house';
+    } else if (object === this.objects.frontEndDtiBar) {
+      return 'frontEndDtiBar';
     } else if (object === this.objects.dtiBar) {
       return 'dtiBar';
     } else if (object === this.objects.maxDtiBar) {
@@ -1271,6 +1301,7 @@ class MortgageVisualization {
     
     // For DTI bars - return DTI group
     if (object === this.objects.dtiBar || object === this.objects.maxDtiBar ||
+        object === this.objects.frontEndDtiBar ||
         (this.dtiGroup && this.dtiGroup.children.includes(object))) {
       return this.dtiGroup;
     }
@@ -1514,13 +1545,16 @@ class MortgageVisualization {
     
     switch (userData.type) {
       case 'house':
-        tooltipText = `House Value: $${this.formatNumber(this.currentData.targetHomePrice)}`;
+        tooltipText = `House Value: $${this.formatNumber(this.getDisplayedHomePrice())}`;
         break;
       case 'roof':
         tooltipText = `Down Payment: $${this.formatNumber(this.currentData.downPayment)} (${this.currentData.downPaymentPercent}%)`;
         break;
+      case 'frontEndDtiBar':
+        tooltipText = `Housing DTI: ${this.currentData.frontEndDti}%`;
+        break;
       case 'dtiBar':
-        tooltipText = `Current DTI: ${this.currentData.dti}%`;
+        tooltipText = `Total DTI: ${this.currentData.dti}%`;
         break;
       case 'maxDtiBar':
         tooltipText = `Maximum DTI: ${this.currentData.maxDti}%`;
@@ -1551,6 +1585,7 @@ class MortgageVisualization {
       case 'roof':
         this.setVisualizationMode('house');
         break;
+      case 'frontEndDtiBar':
       case 'dtiBar':
       case 'maxDtiBar':
         this.setVisualizationMode('dti');
@@ -1600,6 +1635,7 @@ class MortgageVisualization {
     });
     
     // Hide all labels with fade transition
+    if (this.frontEndDtiLabel) this.frontEndDtiLabel.style.opacity = '0';
     if (this.dtiLabel) this.dtiLabel.style.opacity = '0';
     if (this.maxDtiLabel) this.maxDtiLabel.style.opacity = '0';
     if (this.affordabilityLabel) this.affordabilityLabel.style.opacity = '0';
@@ -1653,6 +1689,7 @@ class MortgageVisualization {
         const startTime = Date.now();
         
         // Store original scales
+        const frontEndDtiScale = this.objects.frontEndDtiBar.scale.y;
         const dtiScale = this.objects.dtiBar.scale.y;
         const maxDtiScale = this.objects.maxDtiBar.scale.y;
         
@@ -1665,10 +1702,12 @@ class MortgageVisualization {
           const eased = 1 - Math.pow(1 - progress, 2);
           
           // Shrink bars
+          this.objects.frontEndDtiBar.scale.y = frontEndDtiScale * (1 - eased);
           this.objects.dtiBar.scale.y = dtiScale * (1 - eased);
           this.objects.maxDtiBar.scale.y = maxDtiScale * (1 - eased);
           
           // Update positions
+          this.objects.frontEndDtiBar.position.y = this.objects.frontEndDtiBar.scale.y / 2;
           this.objects.dtiBar.position.y = this.objects.dtiBar.scale.y / 2;
           this.objects.maxDtiBar.position.y = this.objects.maxDtiBar.scale.y / 2;
           
@@ -1679,6 +1718,8 @@ class MortgageVisualization {
             this.dtiGroup.visible = false;
             
             // Reset scales for next time
+            this.objects.frontEndDtiBar.scale.y = frontEndDtiScale;
+            this.objects.frontEndDtiBar.position.y = frontEndDtiScale / 2;
             this.objects.dtiBar.scale.y = dtiScale;
             this.objects.maxDtiBar.scale.y = maxDtiScale;
             this.objects.dtiBar.position.y = dtiScale / 2;
@@ -1726,7 +1767,7 @@ class MortgageVisualization {
           // Animate scale up
           const duration = 800;
           const startTime = Date.now();
-          const targetScale = Math.pow(this.currentData.targetHomePrice / 250000, 0.33) * this.currentData.houseSize;
+          const targetScale = Math.pow(this.getDisplayedHomePrice() / 250000, 0.33) * this.currentData.houseSize;
           
           const scaleUp = () => {
             const elapsed = Date.now() - startTime;
@@ -1764,6 +1805,8 @@ class MortgageVisualization {
           this.dtiGroup.visible = true;
           
           // Add entrance animation - grow from bottom
+          this.objects.frontEndDtiBar.scale.y = 0.01;
+          this.objects.frontEndDtiBar.position.y = 0.005;
           this.objects.dtiBar.scale.y = 0.01;
           this.objects.maxDtiBar.scale.y = 0.01;
           this.objects.dtiBar.position.y = 0.005;
@@ -1772,6 +1815,7 @@ class MortgageVisualization {
           // Animate bars growing up
           const dtiDuration = 1000;
           const dtiStartTime = Date.now();
+          const targetFrontEndDtiHeight = (this.currentData.frontEndDti / 50) * 5;
           const targetDtiHeight = (this.currentData.dti / 50) * 5;
           const targetMaxDtiHeight = (this.currentData.maxDti / 50) * 5;
           
@@ -1783,10 +1827,12 @@ class MortgageVisualization {
             const eased = this.bounceOut(progress);
             
             // Scale up
+            this.objects.frontEndDtiBar.scale.y = 0.01 + (targetFrontEndDtiHeight - 0.01) * eased;
             this.objects.dtiBar.scale.y = 0.01 + (targetDtiHeight - 0.01) * eased;
             this.objects.maxDtiBar.scale.y = 0.01 + (targetMaxDtiHeight - 0.01) * eased;
             
             // Update positions
+            this.objects.frontEndDtiBar.position.y = this.objects.frontEndDtiBar.scale.y / 2;
             this.objects.dtiBar.position.y = this.objects.dtiBar.scale.y / 2;
             this.objects.maxDtiBar.position.y = this.objects.maxDtiBar.scale.y / 2;
             
@@ -1797,10 +1843,12 @@ class MortgageVisualization {
               requestAnimationFrame(growBars);
             } else {
               // Show labels
+              if (this.frontEndDtiLabel) this.frontEndDtiLabel.style.opacity = '1';
               if (this.dtiLabel) this.dtiLabel.style.opacity = '1';
               if (this.maxDtiLabel) this.maxDtiLabel.style.opacity = '1';
               
               // Add particle effect at the top
+              this.addBarTopParticles(this.objects.frontEndDtiBar.position.clone(), 0x2ecc71);
               this.addBarTopParticles(this.objects.dtiBar.position.clone(), 0x3498db);
               this.addBarTopParticles(this.objects.maxDtiBar.position.clone(), 0xe74c3c);
             }
@@ -1827,6 +1875,7 @@ class MortgageVisualization {
           // Show with staggered animation
           setTimeout(() => {
             // Show labels
+            if (this.frontEndDtiLabel) this.frontEndDtiLabel.style.opacity = '1';
             if (this.dtiLabel) this.dtiLabel.style.opacity = '1';
             if (this.maxDtiLabel) this.maxDtiLabel.style.opacity = '1';
             if (this.affordabilityLabel) this.affordabilityLabel.style.opacity = '1';
@@ -2103,6 +2152,15 @@ class MortgageVisualization {
     if (!this.dtiLabel || !this.maxDtiLabel) return;
     
     // Project world positions to screen coordinates
+    if (this.objects.frontEndDtiBar && this.frontEndDtiLabel) {
+      const frontEndDtiPos = this.objects.frontEndDtiBar.position.clone();
+      // Move position to top of bar
+      frontEndDtiPos.y += this.objects.frontEndDtiBar.scale.y / 2 + 0.2;
+      const frontEndDtiScreenPos = this.worldToScreen(frontEndDtiPos, this.dtiGroup);
+      this.frontEndDtiLabel.style.left = `${frontEndDtiScreenPos.x}px`;
+      this.frontEndDtiLabel.style.top = `${frontEndDtiScreenPos.y}px`;
+    }
+    
     if (this.objects.dtiBar) {
       const dtiPos = this.objects.dtiBar.position.clone();
       // Move position to top of bar
@@ -2223,6 +2281,10 @@ class MortgageVisualization {
     
     // Add subtle bounces to bars
     if (this.dtiGroup.visible) {
+      if (this.objects.frontEndDtiBar) {
+        this.objects.frontEndDtiBar.position.y = 
+          this.objects.frontEndDtiBar.scale.y / 2 + Math.sin(Date.now() * 0.002 - 1) * 0.03;
+      }
       if (this.objects.dtiBar) {
         this.objects.dtiBar.position.y = 
           this.objects.dtiBar.scale.y / 2 + Math.sin(Date.now() * 0.002) * 0.03;
@@ -2234,6 +2296,17 @@ class MortgageVisualization {
     }
   }
   
+  /**
+   * Price the house represents: the selected budget tier's price, or the target home price
+   * @param {Object} data - Visualization data, defaults to the current values
+   * @returns {number} Home price
+   */
+  getDisplayedHomePrice(data = this.currentData) {
+    return data.affordabilityTier && data.tierHomePrice > 0
+      ? data.tierHomePrice
+      : data.targetHomePrice;
+  }
+  
   /**
    * Update house scale based on price with smooth animation
    * @param {Object} prevData - Previous data values for animation
@@ -2244,13 +2317,13 @@ class MortgageVisualization {
     // Calculate scale based on target price
     // Default is 250,000 = scale 1
     const basePrice = 250000;
-    const priceRatio = this.currentData.targetHomePrice / basePrice;
+    const priceRatio = this.getDisplayedHomePrice() / basePrice;
     
     // Apply non-linear scaling to make differences less extreme
     const targetScale = Math.pow(priceRatio, 0.33) * this.currentData.houseSize;
     
     // Get previous scale for animation
-    const prevPriceRatio = (prevData.targetHomePrice || basePrice) / basePrice;
+    const prevPriceRatio = (this.getDisplayedHomePrice(prevData) || basePrice) / basePrice;
     const prevScale = Math.pow(prevPriceRatio, 0.33) * (prevData.houseSize || 1);
     
     // If scale is very different, animate the transition
@@ -2350,17 +2423,21 @@ class MortgageVisualization {
     // Calculate bar heights based on DTI values
     // Maximum is 50% DTI = height 5
     const maxHeight = 5;
+    const targetFrontEndDtiHeight = (this.currentData.frontEndDti / 50) * maxHeight;
     const targetDtiHeight = (this.currentData.dti / 50) * maxHeight;
     const targetMaxDtiHeight = (this.currentData.maxDti / 50) * maxHeight;
     
     // Get previous heights for animation
+    const prevFrontEndDti = prevData.frontEndDti || this.currentData.frontEndDti;
+    const prevFrontEndDtiHeight = (prevFrontEndDti / 50) * maxHeight;
     const prevDti = prevData.dti || this.currentData.dti;
     const prevMaxDti = prevData.maxDti || this.currentData.maxDti;
     const prevDtiHeight = (prevDti / 50) * maxHeight;
     const prevMaxDtiHeight = (prevMaxDti / 50) * maxHeight;
     
     // If heights are very different, animate the transition
-    if (Math.abs(targetDtiHeight - prevDtiHeight) > 0.1 || 
+    if (Math.abs(targetFrontEndDtiHeight - prevFrontEndDtiHeight) > 0.1 ||
+        Math.abs(targetDtiHeight - prevDtiHeight) > 0.1 || 
         Math.abs(targetMaxDtiHeight - prevMaxDtiHeight) > 0.1) {
       
       // Create height animation
@@ -2376,10 +2453,15 @@ class MortgageVisualization {
         const eased = 1 - Math.pow(1 - progress, 3); // cubic ease out
         
         // Calculate current heights
+        const currentFrontEndDtiHeight = prevFrontEndDtiHeight + (targetFrontEndDtiHeight - prevFrontEndDtiHeight) * eased;
         const currentDtiHeight = prevDtiHeight + (targetDtiHeight - prevDtiHeight) * eased;
         const currentMaxDtiHeight = prevMaxDtiHeight + (targetMaxDtiHeight - prevMaxDtiHeight) * eased;
         
         // Update bar scales
+        if (this.objects.frontEndDtiBar) {
+          this.objects.frontEndDtiBar.scale.y = currentFrontEndDtiHeight;
+          this.objects.frontEndDtiBar.position.y = currentFrontEndDtiHeight / 2;
+        }
         this.objects.dtiBar.scale.y = currentDtiHeight;
         this.objects.maxDtiBar.scale.y = currentMaxDtiHeight;
         
@@ -2404,6 +2486,10 @@ class MortgageVisualization {
       animateHeight();
     } else {
       // Small change, just apply immediately
+      if (this.objects.frontEndDtiBar) {
+        this.objects.frontEndDtiBar.scale.y = targetFrontEndDtiHeight;
+        this.objects.frontEndDtiBar.position.y = targetFrontEndDtiHeight / 2;
+      }
       this.objects.dtiBar.scale.y = targetDtiHeight;
       this.objects.maxDtiBar.scale.y = targetMaxDtiHeight;
       
@@ -2412,12 +2498,23 @@ class MortgageVisualization {
     }
     
     // Update bar user data
+    if (this.objects.frontEndDtiBar) {
+      this.objects.frontEndDtiBar.userData.value = this.currentData.frontEndDti;
+    }
     this.objects.dtiBar.userData.value = this.currentData.dti;
     this.objects.maxDtiBar.userData.value = this.currentData.maxDti;
     
     // Update labels
+    if (this.frontEndDtiLabel) {
+      this.frontEndDtiLabel.textContent = `Housing DTI: ${this.currentData.frontEndDti.toFixed(1)}%`;
+      
+      // Add subtle animation to highlight changes
+      this.frontEndDtiLabel.classList.remove('pulse-highlight');
+      void this.frontEndDtiLabel.offsetWidth; // Force reflow
+      this.frontEndDtiLabel.classList.add('pulse-highlight');
+    }
     if (this.dtiLabel) {
-      this.dtiLabel.textContent = `Current DTI: ${this.currentData.dti.toFixed(1)}%`;
+      this.dtiLabel.textContent = `Total DTI: ${this.currentData.dti.toFixed(1)}%`;
       
       // Add subtle animation to highlight changes
       this.dtiLabel.classList.remove('pulse-highlight');
@@ -2516,7 +2613,7 @@ class MortgageVisualization {
     
     // Update basic info
     document.getElementById('info-house-price').textContent = 
-      `$${this.formatNumber(this.currentData.targetHomePrice)}`;
+      `$${this.formatNumber(this.getDisplayedHomePrice())}`;
     document.getElementById('info-down-payment').textContent = 
       `$${this.formatNumber(this.currentData.downPayment)} (${this.currentData.downPaymentPercent}%)`;
     document.getElementById('info-monthly-income').textContent = 
@@ -2590,6 +2687,7 @@ class MortgageVisualization {
           downPayment: parseFloat(this.dataSource.data.downPayment) || 50000,
           downPaymentPercent: parseFloat(this.dataSource.data.downPaymentPercent) || 20,
           monthlyIncome: parseFloat(this.dataSource.data.monthlyIncome) || 5000,
+          frontEndDti: this.dataSource.calculatedFrontEndDti || 28,
           dti: this.dataSource.calculatedDti || 36,
           maxDti: this.dataSource.calculatedMaxDti || 43
         };
@@ -2909,6 +3007,9 @@ class MortgageVisualization {
     this.dtiGroup.visible = true;
     
     // Hide existing bars
+    if (this.objects.frontEndDtiBar) {
+      this.objects.frontEndDtiBar.visible = false;
+    }
     if (this.objects.dtiBar) {
       this.objects.dtiBar.visible = false;
     }
@@ -2918,19 +3019,30 @@ class MortgageVisualization {
     
     // Calculate target heights
     const maxHeight = 5;
+    const frontEndDtiHeight = (this.currentData.frontEndDti / 50) * maxHeight;
     const dtiHeight = (this.currentData.dti / 50) * maxHeight;
     const maxDtiHeight = (this.currentData.maxDti / 50) * maxHeight;
     
     // Create ground ripple effect
-    this.addGroundRippleEffect(new THREE.Vector3(-1, 0, 0), 0x3498db);
+    this.addGroundRippleEffect(new THREE.Vector3(-2, 0, 0), 0x2ecc71);
+    this.addGroundRippleEffect(new THREE.Vector3(0, 0, 0), 0x3498db);
     
-    // Add delay for second ripple
+    // Add delay for last ripple
     setTimeout(() => {
-      this.addGroundRippleEffect(new THREE.Vector3(1, 0, 0), 0xe74c3c);
+      this.addGroundRippleEffect(new THREE.Vector3(2, 0, 0), 0xe74c3c);
     }, 200);
     
     // Create growing bars with delay
     setTimeout(() => {
+      // Show the housing DTI bar first
+      if (this.objects.frontEndDtiBar) {
+        this.objects.frontEndDtiBar.visible = true;
+        this.objects.frontEndDtiBar.scale.y = 0.01;
+        this.objects.frontEndDtiBar.position.y = 0.005;
+      }
+      
+      this.animateBarGrowth(this.objects.frontEndDtiBar, frontEndDtiHeight, 1000, 0x2ecc71);
+      
       // Show the bars
       if (this.objects.dtiBar) {
         this.objects.dtiBar.visible = true;
@@ -2954,6 +3066,7 @@ class MortgageVisualization {
       
       // Show labels after bars grow
       setTimeout(() => {
+        if (this.frontEndDtiLabel) this.frontEndDtiLabel.style.opacity = '1';
         if (this.dtiLabel) this.dtiLabel.style.opacity = '1';
         if (this.maxDtiLabel) this.maxDtiLabel.style.opacity = '1';
         this.updateLabelPositions();
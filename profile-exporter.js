@@ -0,0 +1,343 @@
+/**
+ * ProfileExporter - Converts a mortgage profile and its results to JSON or CSV and back
+ * Exports carry the schema version so imports go through the same migrations
+ * and validation as saved data (see MortgagePersistence)
+ */
+class ProfileExporter {
+  /**
+   * Initialize the exporter
+   * @param {Object} options - Configuration options
+   */
+  constructor(options = {}) {
+    // Schema migrations and coercion for imported data
+    this.persistence = options.persistence || this.createDefaultPersistence();
+
+    // Marks files written by this exporter
+    this.format = 'mortgage-profile';
+
+    // Separator for list values such as income sources in CSV
+    this.listSeparator = ';';
+
+    // CSV text a spreadsheet would read as a formula, after any apostrophes
+    // already at the start (so text that really starts with one still round-trips)
+    this.formulaPattern = /^'*[=+\-@]/;
+  }
+
+  /**
+   * Create the MortgagePersistence used to validate imports
+   * @returns {MortgagePersistence} Persistence instance
+   */
+  createDefaultPersistence() {
+    const Persistence = typeof MortgagePersistence !== 'undefined'
+      ? MortgagePersistence
+      : require('./mortgage-persistence.js');
+    return new Persistence();
+  }
+
+  /**
+   * Collect everything included in an export
+   * @param {Object} data - Mortgage data
+   * @param {Object} [results] - Result from UnderwritingEngine.calculate()
+   * @param {Object} [affordability] - Result from UnderwritingEngine.calculateAffordability()
+   * @returns {Object} Export document
+   */
+  buildExport(data, results = null, affordability = null) {
+    return {
+      format: this.format,
+      schemaVersion: this.persistence.version,
+      exportedAt: new Date().toISOString(),
+      data: this.persistence.coerce(data),
+      results: results ? {
+        monthlyIncome: results.monthlyIncome,
+        housingPayment: results.housingPayment,
+        nonHousingDebt: results.nonHousingDebt,
+        frontEndRatio: results.frontEndRatio,
+        backEndRatio: results.backEndRatio,
+        dti: results.dti,
+        maxDti: results.maxDti,
+        maxFrontEndDti: results.maxFrontEndDti,
+        maxMonthlyPayment: results.maxMonthlyPayment,
+        program: results.programName,
+        factors: results.factors.map(({ factor, effect }) => ({ factor, effect })),
+        debts: results.debts.map(({ label, owner, countedPayment, note }) => ({ label, owner, countedPayment, note })),
+        borrowers: results.borrowers.map(({ label, monthlyIncome, nonHousingDebt, creditScoreRange }) => ({
+          label, monthlyIncome, nonHousingDebt, creditScoreRange
+        }))
+      } : null,
+      affordability: affordability ? {
+        maxMonthlyPayment: affordability.maxMonthlyPayment,
+        estimatedPrice: affordability.estimatedPrice,
+        loanAmount: affordability.loanAmount,
+        principalAndInterest: affordability.breakdown.principalAndInterest,
+        propertyTax: affordability.breakdown.propertyTax,
+        homeInsurance: affordability.breakdown.homeInsurance,
+        mortgageInsurance: affordability.breakdown.mortgageInsurance,
+        hoaDues: affordability.breakdown.hoaDues
+      } : null
+    };
+  }
+
+  /**
+   * Export a profile as formatted JSON
+   * @param {Object} data - Mortgage data
+   * @param {Object} [results] - Calculated DTI results
+   * @param {Object} [affordability] - Calculated affordability
+   * @returns {string} JSON text
+   */
+  toJson(data, results = null, affordability = null) {
+    return JSON.stringify(this.buildExport(data, results, affordability), null, 2);
+  }
+
+  /**
+   * Export a profile as CSV with one section,field,value row per value
+   * Nested values use dotted paths, e.g. debts.0.balance
+   * @param {Object} data - Mortgage data
+   * @param {Object} [results] - Calculated DTI results
+   * @param {Object} [affordability] - Calculated affordability
+   * @returns {string} CSV text
+   */
+  toCsv(data, results = null, affordability = null) {
+    const exported = this.buildExport(data, results, affordability);
+    const rows = [
+      ['section', 'field', 'value'],
+      ['meta', 'format', exported.format],
+      ['meta', 'schemaVersion', exported.schemaVersion],
+      ['meta', 'exportedAt', exported.exportedAt]
+    ];
+
+    ['data', 'results', 'affordability'].forEach(section => {
+      if (exported[section]) {
+        this.flatten(exported[section]).forEach(([field, value]) => rows.push([section, field, value]));
+      }
+    });
+
+    return rows.map(row => row.map(value => this.escapeCsv(value)).join(',')).join('\r\n');
+  }
+
+  /**
+   * Read an exported file back into mortgage data
+   * @param {string} text - File contents
+   * @returns {Object} Migrated and validated mortgage data
+   * @throws {Error} When the file isn't a recognizable profile export
+   */
+  parse(text) {
+    const trimmed = typeof text === 'string' ? text.trim() : '';
+    if (trimmed === '') {
+      throw new Error('The file is empty');
+    }
+
+    return trimmed.startsWith('{') ? this.parseJson(trimmed) : this.parseCsv(trimmed);
+  }
+
+  /**
+   * Read a JSON export
+   * @param {string} text - JSON text
+   * @returns {Object} Mortgage data
+   */
+  parseJson(text) {
+    let exported;
+    try {
+      exported = JSON.parse(text);
+    } catch (e) {
+      throw new Error('The file is not valid JSON');
+    }
+
+    if (!exported || exported.format !== this.format || !exported.data || typeof exported.data !== 'object') {
+      throw new Error('The file is not a mortgage profile export');
+    }
+
+    return this.normalizeImport(exported.data, exported.schemaVersion);
+  }
+
+  /**
+   * Read a CSV export, ignoring everything but the data section
+   * @param {string} text - CSV text
+   * @returns {Object} Mortgage data
+   */
+  parseCsv(text) {
+    const rows = this.parseCsvRows(text);
+    const header = rows.shift() || [];
+    if (header.join(',') !== 'section,field,value') {
+      throw new Error('The file is not a mortgage profile export');
+    }
+
+    const meta = {};
+    const data = {};
+    rows.forEach(([section, field, cell]) => {
+      const value = this.unescapeCsv(cell);
+      if (section === 'meta') {
+        meta[field] = value;
+      } else if (section === 'data' && field && this.isDataPath(field)) {
+        this.setPath(data, field, value);
+      }
+    });
+
+    if (meta.format !== this.format) {
+      throw new Error('The file is not a mortgage profile export');
+    }
+
+    // Lists of plain values are joined into a single cell
+    Object.keys(this.persistence.schema.fields).forEach(name => {
+      const field = this.persistence.schema.fields[name];
+      if (field.type === 'array' && field.items.type !== 'object' && typeof data[name] === 'string') {
+        data[name] = data[name] === '' ? [] : data[name].split(this.listSeparator);
+      }
+    });
+
+    return this.normalizeImport(data, parseInt(meta.schemaVersion, 10));
+  }
+
+  /**
+   * Migrate and validate imported data
+   * @param {Object} data - Imported mortgage data
+   * @param {number} schemaVersion - Version the export was written with
+   * @returns {Object} Mortgage data
+   */
+  normalizeImport(data, schemaVersion) {
+    const version = schemaVersion || 1;
+    if (version > this.persistence.version) {
+      throw new Error('The file was exported by a newer version of this app');
+    }
+
+    return this.persistence.normalize(data, version);
+  }
+
+  /**
+   * Flatten nested values into dotted paths
+   * @param {Object} value - Value to flatten
+   * @param {string} [prefix] - Path so far
+   * @returns {Array} [path, value] pairs
+   */
+  flatten(value, prefix = '') {
+    if (Array.isArray(value) && value.every(item => item === null || typeof item !== 'object')) {
+      return [[prefix, value.join(this.listSeparator)]];
+    }
+
+    if (value !== null && typeof value === 'object') {
+      return Object.keys(value).reduce((pairs, key) => (
+        pairs.concat(this.flatten(value[key], prefix ? `${prefix}.${key}` : key))
+      ), []);
+    }
+
+    return [[prefix, value]];
+  }
+
+  /**
+   * Check that a dotted path from an imported file names a field in the data schema
+   * Anything else, such as __proto__ or constructor, is skipped rather than written
+   * @param {string} path - Dotted path, e.g. debts.0.balance
+   * @returns {boolean} True for a schema field or a field of an item in a schema list
+   */
+  isDataPath(path) {
+    const segments = path.split('.');
+    const fields = this.persistence.schema.fields;
+    const hasOwn = (object, key) => Object.prototype.hasOwnProperty.call(object, key);
+
+    if (!hasOwn(fields, segments[0])) return false;
+    if (segments.length === 1) return true;
+
+    // Lists of objects are written one item field per row; keep indexes small so
+    // a file can't make a huge sparse list
+    const field = fields[segments[0]];
+    return segments.length === 3 &&
+      field.type === 'array' &&
+      field.items.type === 'object' &&
+      /^\d{1,3}$/.test(segments[1]) &&
+      hasOwn(field.items.fields, segments[2]);
+  }
+
+  /**
+   * Set a dotted path on an object, creating arrays for numeric segments
+   * Objects are created without a prototype so no path can reach Object.prototype
+   * @param {Object} target - Object to write into
+   * @param {string} path - Dotted path, e.g. debts.0.balance
+   * @param {*} value - Value to set
+   */
+  setPath(target, path, value) {
+    const segments = path.split('.');
+    let current = target;
+
+    segments.slice(0, -1).forEach((segment, index) => {
+      if (current[segment] === undefined) {
+        current[segment] = /^\d+$/.test(segments[index + 1]) ? [] : Object.create(null);
+      }
+      current = current[segment];
+    });
+
+    current[segments[segments.length - 1]] = value;
+  }
+
+  /**
+   * Quote a CSV cell when needed
+   * Text that a spreadsheet would run as a formula (=, +, - or @ first) gets a
+   * leading apostrophe, which unescapeCsv() takes off again on import; numbers,
+   * including negative ones, are left as they are
+   * @param {*} value - Cell value
+   * @returns {string} CSV-safe cell
+   */
+  escapeCsv(value) {
+    let text = value === null || value === undefined ? '' : String(value);
+    if (typeof value !== 'number' && this.formulaPattern.test(text)) {
+      text = `'${text}`;
+    }
+    return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+  }
+
+  /**
+   * Remove the apostrophe escapeCsv() puts in front of formula-like text
+   * @param {string} [text] - Cell text, missing for short rows
+   * @returns {string} Original cell text
+   */
+  unescapeCsv(text) {
+    return typeof text === 'string' && text.startsWith("'") && this.formulaPattern.test(text) ? text.slice(1) : text;
+  }
+
+  /**
+   * Split CSV text into rows of cells, honoring quoted cells
+   * @param {string} text - CSV text
+   * @returns {Array} Rows of cell strings
+   */
+  parseCsvRows(text) {
+    const rows = [];
+    let row = [];
+    let cell = '';
+    let quoted = false;
+
+    for (let i = 0; i < text.length; i++) {
+      const char = text[i];
+
+      if (quoted) {
+        if (char === '"' && text[i + 1] === '"') {
+          cell += '"';
+          i++;
+        } else if (char === '"') {
+          quoted = false;
+        } else {
+          cell += char;
+        }
+      } else if (char === '"') {
+        quoted = true;
+      } else if (char === ',') {
+        row.push(cell);
+        cell = '';
+      } else if (char === '\n' || char === '\r') {
+        if (char === '\r' && text[i + 1] === '\n') i++;
+        row.push(cell);
+        rows.push(row);
+        row = [];
+        cell = '';
+      } else {
+        cell += char;
+      }
+    }
+
+    row.push(cell);
+    rows.push(row);
+
+    return rows.filter(cells => cells.some(value => value !== ''));
+  }
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = ProfileExporter;
+}
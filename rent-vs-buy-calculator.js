@@ -0,0 +1,122 @@
+/**
+ * RentVsBuyCalculator - Compares renting at the current housing expense with
+ * buying the target home, year by year
+ * Buying counts every payment, closing costs and what the upfront cash would
+ * have earned invested, less the equity recovered on a sale
+ */
+class RentVsBuyCalculator {
+  /**
+   * Initialize the rent vs buy calculator
+   * @param {Object} options - Configuration options
+   */
+  constructor(options = {}) {
+    // Underwriting rules for the payment and closing costs of the target home
+    this.engine = options.engine || this.createDefaultEngine();
+
+    // Yearly growth assumptions, as percentages
+    this.rentIncreaseRate = options.rentIncreaseRate || 3;
+    this.appreciationRate = options.appreciationRate || 3;
+    this.investmentReturnRate = options.investmentReturnRate || 5;
+
+    // Upkeep per year and the cost of selling, as a % of the home's value
+    this.maintenanceRate = options.maintenanceRate || 1;
+    this.sellingCostRate = options.sellingCostRate || 6;
+
+    // Years highlighted in the comparison; the longest also sets how far the break-even search runs
+    this.horizons = options.horizons || [5, 10, 30];
+  }
+
+  /**
+   * Create the UnderwritingEngine used for payments and closing costs
+   * @returns {UnderwritingEngine} Engine instance
+   */
+  createDefaultEngine() {
+    const Engine = typeof UnderwritingEngine !== 'undefined'
+      ? UnderwritingEngine
+      : require('./underwriting-engine.js');
+    return new Engine();
+  }
+
+  /**
+   * Compare renting and buying the target home
+   * @param {Object} data - Mortgage data
+   * @returns {Object|null} Yearly totals, the highlighted horizons and the break-even
+   *   year, null without a target price or current housing expense
+   */
+  calculate(data) {
+    const engine = this.engine;
+    const monthlyRent = engine.parseAmount(data.currentHousingExpense);
+    const program = engine.getProgram(data.loanProgram);
+    const housing = engine.calculateProjectedHousingPayment(data, program);
+    const cashToClose = engine.calculateCashToClose(data, program);
+    if (!housing || !cashToClose || monthlyRent <= 0) return null;
+
+    const loanTerms = engine.calculator.getLoanTerms(data);
+    const schedule = engine.calculator.buildAmortizationSchedule(housing.loanAmount, loanTerms.effectiveRate, loanTerms.termYears);
+    const cancelAtLtv = program && program.mortgageInsurance ? program.mortgageInsurance.cancelAtLtv : null;
+
+    // Closing costs are spent; the down payment comes back as equity
+    const closingCosts = cashToClose.closingCosts + cashToClose.pointsCost;
+    const upfrontCash = cashToClose.downPayment + closingCosts;
+    const ownershipCosts = housing.propertyTax + housing.homeInsurance + housing.hoaDues;
+
+    const years = [];
+    let rentPaid = 0;
+    let ownerPaid = upfrontCash;
+    let rent = monthlyRent;
+    let balance = housing.loanAmount;
+
+    for (let year = 1; year <= Math.max(...this.horizons); year++) {
+      const startValue = housing.homePrice * Math.pow(1 + this.appreciationRate / 100, year - 1);
+
+      for (let month = (year - 1) * 12 + 1; month <= year * 12; month++) {
+        const payment = schedule.payments[month - 1];
+        const mortgageInsurance = cancelAtLtv === null || (balance / housing.homePrice) * 100 > cancelAtLtv
+          ? housing.mortgageInsurance
+          : 0;
+
+        ownerPaid += (payment ? payment.payment : 0) + mortgageInsurance + ownershipCosts +
+          (startValue * (this.maintenanceRate / 100)) / 12;
+        balance = payment ? payment.balance : 0;
+        rentPaid += rent;
+      }
+      rent *= 1 + this.rentIncreaseRate / 100;
+
+      const homeValue = housing.homePrice * Math.pow(1 + this.appreciationRate / 100, year);
+      const saleProceeds = homeValue * (1 - this.sellingCostRate / 100) - balance;
+      const opportunityCost = upfrontCash * (Math.pow(1 + this.investmentReturnRate / 100, year) - 1);
+      const buyCost = ownerPaid + opportunityCost - saleProceeds;
+
+      years.push({
+        year,
+        rentCost: rentPaid,
+        buyCost,
+        totalPaid: ownerPaid,
+        homeValue,
+        loanBalance: balance,
+        equity: homeValue - balance,
+        saleProceeds,
+        opportunityCost,
+        // Positive when buying comes out ahead
+        advantage: rentPaid - buyCost
+      });
+    }
+
+    const breakEven = years.find(row => row.advantage >= 0);
+
+    return {
+      monthlyRent,
+      homePrice: housing.homePrice,
+      monthlyPayment: housing.total,
+      upfrontCash,
+      closingCosts,
+      years,
+      horizons: this.horizons.map(horizon => years[horizon - 1]),
+      breakEvenYear: breakEven ? breakEven.year : null
+    };
+  }
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = RentVsBuyCalculator;
+}
@@ -0,0 +1,420 @@
+/**
+ * ReportBuilder - Self-contained, printable pre-qualification report
+ * Produces a single HTML document with inline styles and no scripts, so it can be
+ * saved, emailed or printed to PDF without the app
+ */
+class ReportBuilder {
+  /**
+   * Initialize the report builder
+   * @param {Object} options - Configuration options
+   */
+  constructor(options = {}) {
+    // Underwriting rules and payment math for the report figures
+    this.engine = options.engine || this.createDefaultEngine();
+
+    this.title = options.title || 'Mortgage Pre-Qualification Report';
+
+    // Form pages and fields that the report's inputs are listed from
+    this.formModel = options.formModel || this.createDefaultFormModel();
+
+    this.disclaimer = options.disclaimer ||
+      'This report is an estimate based on the information you entered and is not a loan approval, ' +
+      'commitment to lend or Loan Estimate. Actual rates, terms, taxes, insurance and eligibility are ' +
+      'determined by a lender after verifying your income, assets, credit and the property.';
+  }
+
+  /**
+   * Create the UnderwritingEngine used for report figures
+   * @returns {UnderwritingEngine} Engine instance
+   */
+  createDefaultEngine() {
+    const Engine = typeof UnderwritingEngine !== 'undefined'
+      ? UnderwritingEngine
+      : require('./underwriting-engine.js');
+    return new Engine();
+  }
+
+  /**
+   * Create the FormModel the report's inputs are listed from
+   * @returns {FormModel} Form model instance
+   */
+  createDefaultFormModel() {
+    const Model = typeof FormModel !== 'undefined'
+      ? FormModel
+      : require('./form-model.js');
+    return new Model();
+  }
+
+  /**
+   * Build the full report document
+   * @param {Object} data - Mortgage data
+   * @param {Object} [options] - Scenario name and generation date
+   * @returns {string} Complete HTML document
+   */
+  build(data, options = {}) {
+    const generatedAt = options.generatedAt || new Date();
+    const results = this.engine.calculate(data);
+    const affordability = this.engine.calculateAffordability(data, results.maxDti);
+    const calculator = this.engine.calculator;
+    const loanTerms = calculator.getLoanTerms(data);
+    const housingCosts = calculator.getHousingCosts(data);
+
+    return `<!DOCTYPE html>
+<html lang="en">
+<head>
+<meta charset="UTF-8">
+<title>${this.escape(this.title)}</title>
+<style>${this.getStyles()}</style>
+</head>
+<body>
+<header>
+  <h1>${this.escape(this.title)}</h1>
+  <p class="meta">${options.scenarioName ? `${this.escape(options.scenarioName)} &middot; ` : ''}Prepared ${generatedAt.toLocaleDateString('en-US', { year: 'numeric', month: 'long', day: 'numeric' })}</p>
+</header>
+${this.renderRatios(results)}
+${this.renderIncome(results.income)}
+${this.renderFactors(results)}
+${this.renderAffordability(affordability)}
+${this.renderAssumptions(results, loanTerms, housingCosts, affordability)}
+<section>
+  <h2>Your Information</h2>
+  ${this.getInputSections(data).map(section => this.renderInputSection(section, data)).join('\n')}
+</section>
+<footer>
+  <h2>Disclaimer</h2>
+  <p>${this.escape(this.disclaimer)}</p>
+</footer>
+</body>
+</html>`;
+  }
+
+  /**
+   * Render the front-end and back-end DTI ratios against their limits
+   * @param {Object} results - Result from UnderwritingEngine.calculate()
+   * @returns {string} HTML section
+   */
+  renderRatios(results) {
+    const frontEndLimit = results.maxFrontEndDti === null
+      ? 'No limit for this program'
+      : `Limit ${results.maxFrontEndDti}%`;
+
+    return `<section>
+  <h2>Debt-to-Income Ratios</h2>
+  <div class="cards">
+    <div class="card ${results.frontEndWithinLimit ? 'ok' : 'over'}">
+      <h3>Housing Ratio (Front-End)</h3>
+      <p class="value">${this.formatPercent(results.frontEndRatio)}</p>
+      <p>${frontEndLimit}</p>
+    </div>
+    <div class="card ${results.backEndWithinLimit ? 'ok' : 'over'}">
+      <h3>Total Ratio (Back-End)</h3>
+      <p class="value">${this.formatPercent(results.backEndRatio)}</p>
+      <p>Maximum ${this.formatPercent(results.maxDti)}</p>
+    </div>
+  </div>
+  <p>Housing payment of ${this.formatCurrency(results.housingPayment)}/mo plus ${this.formatCurrency(results.nonHousingDebt)}/mo in other debts on ${this.formatCurrency(results.monthlyIncome)}/mo of income.</p>
+</section>`;
+  }
+
+  /**
+   * Render the income worksheet lines behind the qualifying income
+   * @param {Object} income - Result from IncomeCalculator.calculate()
+   * @returns {string} HTML section, empty when the worksheet wasn't filled in
+   */
+  renderIncome(income) {
+    if (!income || !income.fromWorksheet) return '';
+
+    const rows = income.items.map(item => `
+    <tr>
+      <td>${this.escape(item.label)}</td>
+      <td>${this.escape([item.calculation, item.note].filter(Boolean).join('; '))}</td>
+      <td class="number">${this.formatCurrency(item.monthlyIncome)}</td>
+    </tr>`).join('');
+
+    return `<section>
+  <h2>Qualifying Income</h2>
+  <p>Lenders would count ${this.formatCurrency(income.monthlyIncome)}/mo of the ${this.formatCurrency(income.statedIncome)}/mo you reported:</p>
+  <table>
+    <thead><tr><th>Source</th><th>Calculation</th><th class="number">Monthly</th></tr></thead>
+    <tbody>${rows}
+    </tbody>
+  </table>
+</section>`;
+  }
+
+  /**
+   * Render the factors that adjusted the maximum DTI
+   * @param {Object} results - Result from UnderwritingEngine.calculate()
+   * @returns {string} HTML section
+   */
+  renderFactors(results) {
+    const rows = results.factors.length > 0
+      ? results.factors.map(factor => `
+    <tr>
+      <td>${this.escape(factor.factor)}</td>
+      <td class="number">${this.escape(factor.effect)}</td>
+      <td>${this.escape(factor.explanation || '')}</td>
+    </tr>`).join('')
+      : '\n    <tr><td colspan="3">No adjustments were applied to the standard limit.</td></tr>';
+
+    return `<section>
+  <h2>Maximum DTI Factors</h2>
+  <p>Your maximum DTI under the ${this.escape(results.programName || 'standard')} guidelines is ${this.formatPercent(results.maxDti)}, based on:</p>
+  <table>
+    <thead><tr><th>Factor</th><th class="number">Effect</th><th>Why it matters</th></tr></thead>
+    <tbody>${rows}
+    </tbody>
+  </table>
+</section>`;
+  }
+
+  /**
+   * Render the maximum price and its monthly payment breakdown
+   * @param {Object} affordability - Result from UnderwritingEngine.calculateAffordability()
+   * @returns {string} HTML section
+   */
+  renderAffordability(affordability) {
+    const breakdown = affordability.breakdown;
+    const lines = [
+      ['Principal & Interest', breakdown.principalAndInterest],
+      ['Property Tax', breakdown.propertyTax],
+      ['Homeowners Insurance', breakdown.homeInsurance],
+      ['Mortgage Insurance', breakdown.mortgageInsurance],
+      ['HOA Dues', breakdown.hoaDues]
+    ].filter(([, amount]) => amount > 0);
+
+    return `<section>
+  <h2>Affordability</h2>
+  <div class="cards">
+    <div class="card">
+      <h3>Estimated Home Price</h3>
+      <p class="value">${this.formatCurrency(affordability.estimatedPrice)}</p>
+      <p>Loan amount ${this.formatCurrency(affordability.loanAmount)}</p>
+    </div>
+    <div class="card">
+      <h3>Maximum Monthly Payment</h3>
+      <p class="value">${this.formatCurrency(Math.max(0, affordability.maxMonthlyPayment))}</p>
+      <p>Principal, interest, taxes and insurance</p>
+    </div>
+  </div>
+  <table>
+    <tbody>${lines.map(([label, amount]) => `
+      <tr><td>${label}</td><td class="number">${this.formatCurrency(amount)}/mo</td></tr>`).join('')}
+      <tr class="total"><td>Total</td><td class="number">${this.formatCurrency(breakdown.total)}/mo</td></tr>
+    </tbody>
+  </table>
+</section>`;
+  }
+
+  /**
+   * Render the loan terms and cost assumptions behind the figures
+   * @param {Object} results - Result from UnderwritingEngine.calculate()
+   * @param {Object} loanTerms - Result from MortgageCalculator.getLoanTerms()
+   * @param {Object} housingCosts - Result from MortgageCalculator.getHousingCosts()
+   * @param {Object} affordability - Result from UnderwritingEngine.calculateAffordability()
+   * @returns {string} HTML section
+   */
+  renderAssumptions(results, loanTerms, housingCosts, affordability) {
+    const program = affordability.program;
+    const insurance = program && program.mortgageInsurance;
+    const calculator = this.engine.calculator;
+
+    const rows = [
+      ['Loan program', results.programName || 'Standard'],
+      ['Interest rate', `${loanTerms.interestRate}%${loanTerms.points > 0 ? ` (${loanTerms.effectiveRate}% after ${loanTerms.points} points)` : ''}`],
+      ['Loan term', `${loanTerms.termYears} years`],
+      ['Property tax', `${housingCosts.propertyTaxRate}% of the price per year`],
+      ['Homeowners insurance', housingCosts.homeInsuranceAnnual !== null
+        ? `${this.formatCurrency(housingCosts.homeInsuranceAnnual)} per year`
+        : `Estimated at ${calculator.defaultInsuranceRate}% of the price per year`],
+      ['Mortgage insurance', insurance
+        ? `${insurance.type}${affordability.breakdown.mortgageInsuranceRate > 0 ? ` at ${affordability.breakdown.mortgageInsuranceRate}% per year` : ''}${insurance.upfrontRate > 0 ? `, ${insurance.upfrontRate}% upfront` : ''}`
+        : 'None'],
+      ['Housing ratio limit', results.maxFrontEndDti === null ? 'None' : `${results.maxFrontEndDti}%`],
+      ['Total ratio limit', this.formatPercent(results.maxDti)]
+    ];
+
+    return `<section>
+  <h2>Assumptions</h2>
+  <table>
+    <tbody>${rows.map(([label, value]) => `
+      <tr><th>${label}</th><td>${this.escape(value)}</td></tr>`).join('')}
+    </tbody>
+  </table>
+</section>`;
+  }
+
+  /**
+   * List the answered questions to show, one block per visible form page
+   * Follows the form's showWhen rules so follow-up answers only appear when the
+   * question was asked; tips and pages left with no fields are skipped
+   * @param {Object} data - Mortgage data
+   * @returns {Array} Blocks with a title and fields of name, label and format
+   */
+  getInputSections(data) {
+    return this.formModel.getSections().reduce((blocks, section) => blocks.concat(
+      section.pages
+        .filter(page => this.formModel.isVisible(page, data))
+        .map(page => ({
+          title: page.title,
+          fields: this.formModel.getVisibleFields(page, data)
+            .filter(field => field.type !== 'tip')
+            .reduce((fields, field) => {
+              // Debt lists have no label of their own, only one for their entries
+              const label = field.label || `${field.itemLabel}s`;
+              fields.push({ name: field.name, label, format: this.getFieldFormat(field) });
+              // The percent is kept alongside the amount it was entered as
+              if (field.percentField) {
+                fields.push({ name: field.percentField, label: `${field.label} Percent`, format: 'percent' });
+              }
+              return fields;
+            }, [])
+        }))
+        .filter(block => block.fields.length > 0)
+    ), []);
+  }
+
+  /**
+   * Pick the report format for a form field type
+   * @param {Object} field - Field definition from the form schema
+   * @returns {string} Format for formatValue()
+   */
+  getFieldFormat(field) {
+    if (field.optionsSource === 'loanPrograms') return 'program';
+
+    const formats = {
+      currency: 'currency',
+      checkboxes: 'list',
+      yesNo: 'boolean',
+      checkbox: 'boolean',
+      debtList: 'debts'
+    };
+    return formats[field.type] || 'text';
+  }
+
+  /**
+   * Render one form page's answers
+   * @param {Object} section - Block from getInputSections()
+   * @param {Object} data - Mortgage data
+   * @returns {string} HTML block
+   */
+  renderInputSection(section, data) {
+    return `<div class="inputs">
+    <h3>${this.escape(section.title)}</h3>
+    <table>
+      <tbody>${section.fields.map(field => `
+        <tr><th>${this.escape(field.label)}</th><td>${this.formatValue(data[field.name], field.format)}</td></tr>`).join('')}
+      </tbody>
+    </table>
+  </div>`;
+  }
+
+  /**
+   * Format an input value for the report
+   * @param {*} value - Stored value
+   * @param {string} format - currency, percent, boolean, list, program, debts or text
+   * @returns {string} Escaped HTML
+   */
+  formatValue(value, format) {
+    const empty = '<span class="empty">Not provided</span>';
+
+    if (format === 'debts') {
+      if (!Array.isArray(value) || value.length === 0) return 'None listed';
+
+      return value.map(debt => {
+        const type = this.engine.debtTypes[debt.type] || this.engine.debtTypes.other;
+        const details = [
+          debt.monthlyPayment !== null ? `${this.formatCurrency(debt.monthlyPayment)}/mo` : null,
+          debt.balance !== null ? `${this.formatCurrency(debt.balance)} balance` : null,
+          debt.monthsRemaining !== null ? `${debt.monthsRemaining} months left` : null,
+          debt.payingOff ? 'paid off before closing' : null
+        ].filter(Boolean);
+        return `${this.escape(type.label)}${details.length > 0 ? `: ${this.escape(details.join(', '))}` : ''}`;
+      }).join('<br>');
+    }
+
+    if (format === 'boolean') return value ? 'Yes' : 'No';
+    if (format === 'list') return Array.isArray(value) && value.length > 0 ? this.escape(value.join(', ')) : empty;
+    if (value === null || value === undefined || value === '') return empty;
+    if (format === 'currency') return this.formatCurrency(value);
+    if (format === 'percent') return this.formatPercent(value);
+    if (format === 'program') {
+      const program = this.engine.getProgram(value);
+      return this.escape(program ? program.name : value);
+    }
+
+    return this.escape(value);
+  }
+
+  /**
+   * Format a dollar amount
+   * @param {number} value - Amount
+   * @returns {string} Formatted currency
+   */
+  formatCurrency(value) {
+    return new Intl.NumberFormat('en-US', {
+      style: 'currency',
+      currency: 'USD',
+      minimumFractionDigits: 0,
+      maximumFractionDigits: 0
+    }).format(value || 0);
+  }
+
+  /**
+   * Format a percentage with one decimal place
+   * @param {number} value - Percentage
+   * @returns {string} Formatted percentage
+   */
+  formatPercent(value) {
+    return `${(value || 0).toFixed(1)}%`;
+  }
+
+  /**
+   * Escape text for use in markup
+   * @param {*} text - Raw text
+   * @returns {string} Escaped text
+   */
+  escape(text) {
+    return String(text)
+      .replace(/&/g, '&amp;')
+      .replace(/</g, '&lt;')
+      .replace(/>/g, '&gt;')
+      .replace(/"/g, '&quot;');
+  }
+
+  /**
+   * Inline styles for screen and print
+   * @returns {string} CSS
+   */
+  getStyles() {
+    return `
+body { font-family: Inter, -apple-system, "Segoe UI", sans-serif; color: #1F2937; max-width: 800px; margin: 0 auto; padding: 32px 24px; line-height: 1.5; }
+h1 { font-size: 26px; margin: 0 0 4px; }
+h2 { font-size: 18px; margin: 32px 0 12px; padding-bottom: 6px; border-bottom: 2px solid #5465FF; }
+h3 { font-size: 14px; margin: 0 0 6px; color: #4B5563; }
+.meta { color: #4B5563; margin: 0; }
+.cards { display: flex; gap: 16px; margin-bottom: 12px; }
+.card { flex: 1; padding: 16px; border: 1px solid #E5E7EB; border-radius: 8px; }
+.card p { margin: 0; font-size: 13px; color: #4B5563; }
+.card .value { font-size: 24px; font-weight: 700; color: #1F2937; }
+.card.ok { border-left: 4px solid #10B981; }
+.card.over { border-left: 4px solid #EF4444; }
+table { width: 100%; border-collapse: collapse; font-size: 14px; }
+th, td { padding: 6px 8px; text-align: left; border-bottom: 1px solid #E5E7EB; vertical-align: top; }
+tbody th { width: 40%; font-weight: 500; color: #4B5563; }
+.number { text-align: right; white-space: nowrap; }
+.total td { font-weight: 700; }
+.inputs { margin-bottom: 16px; break-inside: avoid; }
+.empty { color: #9CA3AF; }
+footer p { font-size: 12px; color: #4B5563; }
+@media print {
+  body { padding: 0; }
+  section, .cards { break-inside: avoid; }
+  @page { margin: 18mm; }
+}`;
+  }
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = ReportBuilder;
+}
@@ -0,0 +1,245 @@
+/**
+ * ScenarioStore - Named mortgage profiles stored side by side
+ * Lets the user explore "what if" variations without overwriting their real profile
+ * Scenarios are read and written through MortgagePersistence, so every profile is
+ * migrated and validated against the data schema
+ */
+class ScenarioStore {
+  /**
+   * Initialize the scenario store
+   * @param {Object} options - Configuration options
+   */
+  constructor(options = {}) {
+    // Versioned, schema-validated storage
+    this.persistence = options.persistence || this.createDefaultPersistence();
+    this.storageKey = options.storageKey || 'mortgageScenarios';
+
+    // Single-profile key used before scenarios existed
+    this.legacyKey = options.legacyKey || 'mortgageData';
+
+    this.defaultName = options.defaultName || 'My Profile';
+
+    this.scenarios = [];
+    this.activeId = null;
+  }
+
+  /**
+   * Create the MortgagePersistence used for storage
+   * @returns {MortgagePersistence} Persistence instance
+   */
+  createDefaultPersistence() {
+    const Persistence = typeof MortgagePersistence !== 'undefined'
+      ? MortgagePersistence
+      : require('./mortgage-persistence.js');
+    return new Persistence();
+  }
+
+  /**
+   * Load scenarios from storage, importing the older single profile if needed
+   * @returns {Promise<Object|null>} Active scenario, null when nothing is saved
+   */
+  load() {
+    const persistence = this.persistence;
+
+    return persistence.readRecord(this.storageKey).then(saved => {
+      if (saved) {
+        // Scenarios saved before versioning hold version 1 data
+        const version = saved.schemaVersion || 1;
+        this.scenarios = (Array.isArray(saved.scenarios) ? saved.scenarios : [])
+          .filter(scenario => scenario && scenario.id)
+          .map(scenario => ({
+            id: String(scenario.id),
+            name: String(scenario.name || this.defaultName),
+            data: persistence.normalize(scenario.data, version),
+            updatedAt: scenario.updatedAt || null
+          }));
+        this.activeId = saved.activeId;
+        return null;
+      }
+
+      return persistence.load(this.legacyKey).then(legacyData => {
+        if (legacyData) {
+          this.create(this.defaultName, legacyData);
+        }
+      });
+    }).then(() => {
+      // Fall back to the first scenario if the active one went missing
+      if (!this.get(this.activeId) && this.scenarios.length > 0) {
+        this.activeId = this.scenarios[0].id;
+      }
+
+      return this.getActive();
+    });
+  }
+
+  /**
+   * Write all scenarios to storage
+   * @returns {Promise<void>}
+   */
+  save() {
+    return this.persistence.writeRecord(this.storageKey, {
+      schemaVersion: this.persistence.version,
+      activeId: this.activeId,
+      scenarios: this.scenarios
+    }).catch(e => {
+      console.error('Error saving scenarios:', e);
+    });
+  }
+
+  /**
+   * List every scenario in creation order
+   * @returns {Array} Scenarios
+   */
+  list() {
+    return this.scenarios;
+  }
+
+  /**
+   * Look up a scenario by id
+   * @param {string} id - Scenario id
+   * @returns {Object|null} Scenario
+   */
+  get(id) {
+    return this.scenarios.find(scenario => scenario.id === id) || null;
+  }
+
+  /**
+   * Get the scenario currently being edited
+   * @returns {Object|null} Active scenario
+   */
+  getActive() {
+    return this.get(this.activeId);
+  }
+
+  /**
+   * Make a scenario the one being edited
+   * @param {string} id - Scenario id
+   * @returns {Object|null} Newly active scenario
+   */
+  setActive(id) {
+    if (!this.get(id)) return null;
+
+    this.activeId = id;
+    this.save();
+    return this.getActive();
+  }
+
+  /**
+   * Add a new scenario and make it active
+   * @param {string} name - Display name
+   * @param {Object} data - Mortgage data for the scenario
+   * @returns {Object} Created scenario
+   */
+  create(name, data) {
+    const scenario = {
+      id: this.generateId(),
+      name: this.getUniqueName(name || this.defaultName),
+      data: this.cloneData(data),
+      updatedAt: new Date().toISOString()
+    };
+
+    this.scenarios.push(scenario);
+    this.activeId = scenario.id;
+    this.save();
+
+    return scenario;
+  }
+
+  /**
+   * Copy a scenario and make the copy active
+   * @param {string} id - Scenario to copy
+   * @returns {Object|null} Created scenario
+   */
+  duplicate(id) {
+    const source = this.get(id);
+    if (!source) return null;
+
+    return this.create(`${source.name} (copy)`, source.data);
+  }
+
+  /**
+   * Change a scenario's display name
+   * @param {string} id - Scenario id
+   * @param {string} name - New name
+   * @returns {Object|null} Renamed scenario
+   */
+  rename(id, name) {
+    const scenario = this.get(id);
+    const trimmed = typeof name === 'string' ? name.trim() : '';
+    if (!scenario || trimmed === '' || trimmed === scenario.name) return scenario;
+
+    scenario.name = this.getUniqueName(trimmed);
+    scenario.updatedAt = new Date().toISOString();
+    this.save();
+
+    return scenario;
+  }
+
+  /**
+   * Delete a scenario, keeping at least one
+   * @param {string} id - Scenario id
+   * @returns {boolean} True if the scenario was deleted
+   */
+  remove(id) {
+    if (this.scenarios.length <= 1 || !this.get(id)) return false;
+
+    this.scenarios = this.scenarios.filter(scenario => scenario.id !== id);
+    if (this.activeId === id) {
+      this.activeId = this.scenarios[0].id;
+    }
+    this.save();
+
+    return true;
+  }
+
+  /**
+   * Replace a scenario's mortgage data
+   * @param {string} id - Scenario id
+   * @param {Object} data - Mortgage data
+   */
+  updateData(id, data) {
+    const scenario = this.get(id);
+    if (!scenario) return;
+
+    scenario.data = this.cloneData(data);
+    scenario.updatedAt = new Date().toISOString();
+    this.save();
+  }
+
+  /**
+   * Add a number to a name that is already taken
+   * @param {string} name - Requested name
+   * @returns {string} Name not used by any other scenario
+   */
+  getUniqueName(name) {
+    const taken = new Set(this.scenarios.map(scenario => scenario.name));
+    if (!taken.has(name)) return name;
+
+    let suffix = 2;
+    while (taken.has(`${name} ${suffix}`)) {
+      suffix++;
+    }
+    return `${name} ${suffix}`;
+  }
+
+  /**
+   * Validate and copy mortgage data so scenarios never share nested arrays
+   * @param {Object} data - Mortgage data
+   * @returns {Object} Coerced copy of the data
+   */
+  cloneData(data) {
+    return this.persistence.coerce(data);
+  }
+
+  /**
+   * Generate a scenario id
+   * @returns {string} Unique id
+   */
+  generateId() {
+    return `scenario-${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 7)}`;
+  }
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = ScenarioStore;
+}
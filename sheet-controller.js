@@ -1,6 +1,7 @@
 /**
  * SheetController - Manages the sheet UI and integrates with the physics system
  * Creates a native-like sheet experience with gesture handling
+ * Secondary sheets can be stacked on top with push(), pop() and popToRoot()
  * Based on Bruno Stasse's Silk design principles for fluid interactions
  */
 class SheetController {
@@ -29,27 +30,43 @@ class SheetController {
     this.sheetElement.appendChild(this.contentElement);
     this.container.appendChild(this.sheetElement);
     
+    // Get initial viewport height
+    this.viewportHeight = window.visualViewport ? window.visualViewport.height : window.innerHeight;
+
+    // Snap point definitions by name, in the order Alt+Arrow steps through them
+    // Each is a fraction of the viewport (0.5), a pixel height ('320px') or 'fit-content'
+    this.defaultSnapPoints = options.snapPoints || {
+      closed: 0,
+      docked: 0.15,
+      half: 0.5,
+      full: 0.85
+    };
+    this.snapPointDefinitions = { ...this.defaultSnapPoints };
+
+    // Set while a view passed its own snap points to setContent
+    this.hasViewSnapPoints = false;
+
+    // Highest resolved position for pixel and content-sized snap points
+    this.maxSnapPosition = options.maxSnapPosition || 0.95;
+    
     // Initialize physics with improved config for natural feel
     const physicsOptions = {
-      snapPoints: options.snapPoints || {
-        closed: 0,
-        docked: 0.15,
-        half: 0.5,
-        full: 0.85
-      },
+      snapPoints: this.resolveSnapPoints(),
       mass: options.mass || 1,
       stiffness: options.stiffness || 350,
       damping: options.damping || 35,
+      response: options.response,
+      dampingRatio: options.dampingRatio,
       allowOvershoot: options.allowOvershoot !== undefined ? options.allowOvershoot : true,
-      overshootMultiplier: options.overshootMultiplier || 0.2
+      decelerationRate: options.decelerationRate,
+      snapPolicy: options.snapPolicy,
+      scheduler: options.scheduler
     };
     
-    this.physics = new SheetPhysics(physicsOptions);
+    const Physics = typeof SheetPhysics !== 'undefined' ? SheetPhysics : require('./sheet-physics.js');
+    this.physics = new Physics(physicsOptions);
     this.physics.onUpdate = this.updateSheetPosition.bind(this);
     this.physics.onComplete = this.handleAnimationComplete.bind(this);
-    
-    // Get initial viewport height
-    this.viewportHeight = window.visualViewport ? window.visualViewport.height : window.innerHeight;
 
     // Set initial position
     this.currentPosition = options.initialPosition || 'closed';
@@ -57,12 +74,19 @@ class SheetController {
     // Track dragging state for UI feedback
     this.isDragging = false;
     
+    // Stacking: the root sheet owns the stack of sheets pushed on top of it
+    this.rootSheet = options.rootSheet || null;
+    this.stack = [];
+    this.isClosing = false;
+    
     // Callbacks
     this.onPositionChangeCallbacks = [];
     this.onTransitionStartCallbacks = [];
     this.onTransitionEndCallbacks = [];
     this.onDragStartCallbacks = [];
     this.onDragEndCallbacks = [];
+    this.onPushCallbacks = [];
+    this.onPopCallbacks = [];
     
     // Track touch points for multi-touch handling
     this.activeTouches = new Map();
@@ -70,11 +94,15 @@ class SheetController {
     // Set up event listeners
     this.setupEventListeners();
     
-    // Set initial position with a longer delay to ensure rendering
-    setTimeout(() => {
-      console.log("Setting initial sheet position to:", this.currentPosition);
+    if (this.rootSheet) {
+      // Pushed sheets start in place and are animated open by push()
       this.setPosition(this.currentPosition, false);
-    }, 200);
+    } else {
+      // Set initial position with a longer delay to ensure rendering
+      this.physics.scheduler.setTimer(() => {
+        this.setPosition(this.currentPosition, false);
+      }, 200);
+    }
   }
   
   /**
@@ -108,7 +136,7 @@ class SheetController {
       isDragging = true;
       this.isDragging = true;
       pointerId = e.pointerId;
-      startTimestamp = performance.now();
+      startTimestamp = this.physics.scheduler.now();
       
       // Add class for visual feedback
       this.sheetElement.classList.add('dragging');
@@ -134,20 +162,10 @@ class SheetController {
       // Use visualViewport height for accuracy on mobile
       const currentViewportHeight = window.visualViewport ? window.visualViewport.height : window.innerHeight;
       const deltaPosition = deltaY / currentViewportHeight;
-      let newPosition = startPosition - deltaPosition;
-
-      // Apply resistance when dragging beyond limits
-      if (newPosition < 0) {
-        // Resistance when dragging below minimum
-        newPosition = newPosition * 0.3;
-      } else if (newPosition > 0.95) {
-        // Resistance when dragging above maximum
-        const overshoot = newPosition - 0.95;
-        newPosition = 0.95 + overshoot * 0.3;
-      }
+      const newPosition = startPosition - deltaPosition;
       
-      // Update sheet position
-      this.physics.updatePositionFromDrag(newPosition);
+      // Update sheet position, with resistance when dragging beyond limits
+      this.physics.updatePositionFromDrag(this.physics.applyDragResistance(newPosition));
       
       e.preventDefault();
     };
@@ -253,11 +271,18 @@ class SheetController {
     }, { passive: false });
     
     // Add keyboard navigation for accessibility
-    document.addEventListener('keydown', e => {
+    const onKeyDown = e => {
+      // Only the top sheet of a stack responds
+      if (this.getTopSheet() !== this) return;
+      
       if (this.currentPosition !== 'closed') {
         if (e.key === 'Escape') {
-          // Close sheet on escape
-          this.setPosition('closed');
+          // Close sheet on escape; a pushed sheet is popped instead
+          if (this.rootSheet) {
+            this.pop();
+          } else {
+            this.setPosition('closed');
+          }
           e.preventDefault();
         } else if (e.key === 'ArrowDown' && e.altKey) {
           // Move sheet down on Alt+ArrowDown
@@ -279,15 +304,26 @@ class SheetController {
           }
         }
       }
-    });
+    };
+    document.addEventListener('keydown', onKeyDown);
     
     // Handle window resize
-    window.addEventListener('resize', this.handleResize.bind(this));
+    const onResize = this.handleResize.bind(this);
+    window.addEventListener('resize', onResize);
 
     // Listen for visual viewport resize events (e.g., keyboard)
     if (window.visualViewport) {
-      window.visualViewport.addEventListener('resize', this.handleResize.bind(this));
+      window.visualViewport.addEventListener('resize', onResize);
     }
+    
+    // Document and window listeners outlive the sheet element, so keep a way to detach them
+    this.removeGlobalListeners = () => {
+      document.removeEventListener('keydown', onKeyDown);
+      window.removeEventListener('resize', onResize);
+      if (window.visualViewport) {
+        window.visualViewport.removeEventListener('resize', onResize);
+      }
+    };
   }
 
   /**
@@ -295,6 +331,8 @@ class SheetController {
    */
   handleResize() {
     this.viewportHeight = window.visualViewport ? window.visualViewport.height : window.innerHeight;
+    // Pixel and content-sized snap points depend on the viewport height
+    this.applySnapPoints(false);
     // Update sheet position based on the new viewport height
     this.updateSheetPosition(this.physics.position);
   }
@@ -306,7 +344,6 @@ class SheetController {
   updateSheetPosition(position) {
     // Calculate translation based on position using potentially updated viewport height
     const translateY = this.viewportHeight * (1 - position);
-    console.log("Position:", position, "TranslateY:", translateY, "Viewport:", this.viewportHeight); // Added log
 
     // Apply transform with will-change for performance
     const isDesktop = window.innerWidth >= 992;
@@ -338,11 +375,16 @@ class SheetController {
    */
   setPosition(positionName, animated = true) {
     const position = this.getPositionValue(positionName);
+    if (position === null) {
+      console.warn("Unknown sheet position:", positionName);
+      return;
+    }
     
     if (animated) {
       this.notifyTransitionStart();
       this.physics.animateTo(position);
     } else {
+      this.physics.stop();
       this.physics.position = position;
       this.updateSheetPosition(position);
     }
@@ -354,10 +396,158 @@ class SheetController {
   /**
    * Get position value from name
    * @param {string} positionName - Position name
-   * @returns {number} Position value
+   * @returns {number|null} Position value, or null if there's no such snap point
    */
   getPositionValue(positionName) {
-    return this.physics.snapPoints[positionName] || 0;
+    return positionName in this.physics.snapPoints ? this.physics.snapPoints[positionName] : null;
+  }
+  
+  /**
+   * Get the current snap point definitions
+   * @returns {Object} Definitions keyed by name, in navigation order
+   */
+  getSnapPoints() {
+    return { ...this.snapPointDefinitions };
+  }
+  
+  /**
+   * Replace all snap points
+   * @param {Object} definitions - Definitions keyed by name, in navigation order
+   * @param {boolean} animated - Whether to animate if the sheet has to move
+   */
+  setSnapPoints(definitions, animated = true) {
+    this.snapPointDefinitions = { ...definitions };
+
+    // Edits made outside a view's own snap points carry over to later views
+    if (!this.hasViewSnapPoints) {
+      this.defaultSnapPoints = { ...definitions };
+    }
+    this.applySnapPoints(animated);
+  }
+  
+  /**
+   * Add a snap point, or redefine an existing one
+   * @param {string} name - Position name
+   * @param {number|string} definition - Fraction, pixel height ('320px') or 'fit-content'
+   * @param {number} [index] - Place in the navigation order, defaults to the end
+   */
+  addSnapPoint(name, definition, index) {
+    const entries = Object.entries(this.snapPointDefinitions).filter(([key]) => key !== name);
+    entries.splice(index === undefined ? entries.length : index, 0, [name, definition]);
+    this.setSnapPoints(Object.fromEntries(entries));
+  }
+  
+  /**
+   * Remove a snap point; the sheet moves to the nearest remaining one if it was there
+   * @param {string} name - Position name
+   */
+  removeSnapPoint(name) {
+    if (!(name in this.snapPointDefinitions)) return;
+    
+    // The physics always needs somewhere to settle
+    if (Object.keys(this.snapPointDefinitions).length === 1) {
+      console.warn("Can't remove the last snap point:", name);
+      return;
+    }
+    
+    const definitions = { ...this.snapPointDefinitions };
+    delete definitions[name];
+    this.setSnapPoints(definitions);
+  }
+  
+  /**
+   * Change the navigation order of the snap points
+   * @param {string[]} names - Position names in the new order; unlisted ones follow in their current order
+   */
+  reorderSnapPoints(names) {
+    const definitions = {};
+    names
+      .filter(name => name in this.snapPointDefinitions)
+      .forEach(name => {
+        definitions[name] = this.snapPointDefinitions[name];
+      });
+    
+    this.setSnapPoints({ ...definitions, ...this.snapPointDefinitions });
+  }
+  
+  /**
+   * Resolve a snap point definition to a position value
+   * @param {number|string} definition - Fraction, pixel height ('320px') or 'fit-content'
+   * @returns {number} Position value (0-1)
+   */
+  resolveSnapPoint(definition) {
+    if (typeof definition === 'number') {
+      return definition;
+    }
+    
+    let height = 0;
+    if (definition === 'fit-content') {
+      // Handle with its margins plus the full height of the content
+      const handleStyle = window.getComputedStyle(this.handleElement);
+      height = this.handleElement.offsetHeight +
+        parseFloat(handleStyle.marginTop) + parseFloat(handleStyle.marginBottom) +
+        this.contentElement.scrollHeight;
+    } else if (/^\d+(\.\d+)?px$/.test(definition)) {
+      height = parseFloat(definition);
+    } else {
+      console.warn("Unknown snap point definition:", definition);
+    }
+    
+    return Math.min(this.maxSnapPosition, height / this.viewportHeight);
+  }
+  
+  /**
+   * Resolve every snap point definition to a position value
+   * @returns {Object} Position values keyed by name
+   */
+  resolveSnapPoints() {
+    const snapPoints = {};
+    for (const [name, definition] of Object.entries(this.snapPointDefinitions)) {
+      snapPoints[name] = this.resolveSnapPoint(definition);
+    }
+    return snapPoints;
+  }
+  
+  /**
+   * Recompute the snap points and keep the sheet on one of them
+   * Call after changing content outside setContent when using 'fit-content'
+   * @param {boolean} animated - Whether to animate if the sheet has to move
+   */
+  applySnapPoints(animated = true) {
+    const previous = this.physics.snapPoints;
+    this.physics.setSnapPoints(this.resolveSnapPoints());
+    
+    // Leave the sheet under the user's finger until they let go
+    if (this.isDragging) return;
+    
+    const snapPoints = this.physics.snapPoints;
+    if (!(this.currentPosition in snapPoints)) {
+      // The sheet's position went away, so settle on the closest one left
+      this.setPosition(this.physics.findNearestSnapPointName(this.physics.position), animated);
+    } else if (this.currentPosition in previous && Math.abs(previous[this.currentPosition] - snapPoints[this.currentPosition]) > 0.001) {
+      // The sheet's position moved, e.g. content-sized after new content
+      this.setPosition(this.currentPosition, animated);
+    }
+  }
+  
+  /**
+   * Set the hook that can veto or redirect where a drag snaps to
+   * @param {Function|null} policy - Snap policy, see SheetPhysics.setSnapPolicy()
+   * @returns {SheetController} This controller, for chaining
+   */
+  setSnapPolicy(policy) {
+    this.physics.setSnapPolicy(policy);
+    return this; // Enable chaining
+  }
+  
+  /**
+   * Replay a recorded drag against this sheet's physics and snap points without moving it
+   * @param {Object[]} samples - Pointer samples in order as {time (ms), y (px)}; the first is the pointer down
+   * @param {Object} [options] - Replay options, see SheetPhysics.replayGesture()
+   * @returns {Object} Snap point chosen on release, final position and a trace of {time, position}
+   */
+  replayGesture(samples, options = {}) {
+    return this.physics.replayGesture(samples, { viewportHeight: this.viewportHeight, ...options });
   }
   
   /**
@@ -379,8 +569,17 @@ class SheetController {
   /**
    * Set content of the sheet with improved state preservation
    * @param {string|HTMLElement} content - Content to set
+   * @param {Object} [options] - View options
+   * @param {Object} [options.snapPoints] - Snap points the view needs, defaults to the sheet's own,
+   *   including any added or changed at runtime
    */
-  setContent(content) {
+  setContent(content, options = {}) {
+    // Switch to the view's snap points now so positions set right after this call resolve;
+    // the sheet only moves once the new content is in (see applySnapPoints below)
+    this.hasViewSnapPoints = Boolean(options.snapPoints);
+    this.snapPointDefinitions = { ...(options.snapPoints || this.defaultSnapPoints) };
+    this.physics.setSnapPoints(this.resolveSnapPoints());
+    
     // First, save scroll position if there is one
     const scrollTop = this.contentElement.scrollTop;
     
@@ -389,7 +588,7 @@ class SheetController {
     this.contentElement.style.transition = 'opacity 0.15s ease-out';
     
     // Set new content after brief transition
-    setTimeout(() => {
+    this.physics.scheduler.setTimer(() => {
       // Set content
       if (typeof content === 'string') {
         this.contentElement.innerHTML = content;
@@ -404,11 +603,14 @@ class SheetController {
       // Fade in new content
       this.contentElement.style.opacity = '1';
       
+      // Content-sized snap points follow the new content
+      this.applySnapPoints();
+      
       // Set up focus management for forms
       const firstInput = this.contentElement.querySelector('input, button, select, textarea');
-      if (firstInput && this.currentPosition === 'half' || this.currentPosition === 'full') {
+      if (firstInput && (this.currentPosition === 'half' || this.currentPosition === 'full')) {
         // Allow a brief delay for rendering
-        setTimeout(() => {
+        this.physics.scheduler.setTimer(() => {
           firstInput.focus();
         }, 300);
       }
@@ -420,6 +622,155 @@ class SheetController {
    */
   handleAnimationComplete() {
     this.notifyTransitionEnd();
+    
+    // A popped sheet is removed once it has finished closing
+    if (this.isClosing) {
+      this.getRootSheet().finishPop(this);
+    }
+  }
+  
+  /**
+   * Push a secondary sheet on top of the stack
+   * Sheets underneath are dimmed and scaled back until it's popped
+   * @param {string|HTMLElement} content - Content for the new sheet
+   * @param {Object} [options] - SheetController options for the new sheet; physics defaults to the root's
+   * @param {string} [options.position] - Position to open to, defaults to 'full'
+   * @returns {SheetController} The pushed sheet
+   */
+  push(content, options = {}) {
+    const root = this.getRootSheet();
+    const { position = 'full', ...sheetOptions } = options;
+    
+    const sheet = new SheetController(root.container, {
+      // Stops short of the root's full height so the sheet underneath stays in view
+      snapPoints: {
+        closed: 0,
+        half: 0.5,
+        full: 0.88
+      },
+      mass: root.physics.mass,
+      stiffness: root.physics.stiffness,
+      damping: root.physics.damping,
+      allowOvershoot: root.physics.allowOvershoot,
+      decelerationRate: root.physics.decelerationRate,
+      scheduler: root.physics.scheduler,
+      ...sheetOptions,
+      initialPosition: 'closed',
+      rootSheet: root
+    });
+    sheet.getElement().classList.add('stacked-sheet');
+    
+    // Swiping the sheet closed pops it
+    sheet.onDragEnd(targetPosition => {
+      if (targetPosition === 'closed' && root.getTopSheet() === sheet) {
+        root.pop();
+      }
+    });
+    
+    root.stack.push(sheet);
+    root.updateStackAppearance();
+    
+    sheet.setContent(content);
+    sheet.setPosition(position);
+    root.notifyPush(sheet);
+    
+    return sheet;
+  }
+  
+  /**
+   * Pop the top sheet off the stack
+   * @param {boolean} animated - Whether to animate the sheet closed before removing it
+   * @returns {SheetController|null} The popped sheet, or null if only the root is left
+   */
+  pop(animated = true) {
+    const root = this.getRootSheet();
+    const sheet = root.stack.pop();
+    if (!sheet) return null;
+    
+    root.updateStackAppearance();
+    sheet.isClosing = true;
+    
+    if (!animated) {
+      root.finishPop(sheet);
+    } else if (!sheet.physics.animating || sheet.physics.targetPosition !== 0) {
+      // A swipe may already be carrying the sheet closed
+      sheet.notifyTransitionStart();
+      sheet.physics.animateTo(0);
+    }
+    
+    return sheet;
+  }
+  
+  /**
+   * Pop every pushed sheet, leaving the root
+   * @param {boolean} animated - Whether to animate the sheets closed
+   * @returns {SheetController[]} The popped sheets, top first
+   */
+  popToRoot(animated = true) {
+    const root = this.getRootSheet();
+    const popped = [];
+    while (root.stack.length > 0) {
+      popped.push(root.pop(animated));
+    }
+    return popped;
+  }
+  
+  /**
+   * Remove a popped sheet and let listeners know
+   * @param {SheetController} sheet - Sheet taken off the stack by pop()
+   */
+  finishPop(sheet) {
+    // Animated pops finish from the sheet's own animation callback; only finish once
+    if (!sheet.isClosing) return;
+    sheet.isClosing = false;
+    
+    sheet.destroy();
+    this.notifyPop(sheet);
+  }
+  
+  /**
+   * Dim and scale back every sheet that has another on top of it
+   */
+  updateStackAppearance() {
+    const sheets = [this, ...this.stack];
+    sheets.forEach((sheet, index) => {
+      sheet.getElement().classList.toggle('stacked', index < sheets.length - 1);
+    });
+  }
+  
+  /**
+   * Remove the sheet and its listeners
+   */
+  destroy() {
+    this.removeGlobalListeners();
+    this.physics.onUpdate = null;
+    this.physics.onComplete = null;
+    this.sheetElement.remove();
+  }
+  
+  /**
+   * Get the sheet that owns the stack
+   * @returns {SheetController} Root sheet
+   */
+  getRootSheet() {
+    return this.rootSheet || this;
+  }
+  
+  /**
+   * Get the sheet at the top of the stack
+   * @returns {SheetController} Top sheet, the root if nothing is pushed
+   */
+  getTopSheet() {
+    const root = this.getRootSheet();
+    return root.stack.length > 0 ? root.stack[root.stack.length - 1] : root;
+  }
+  
+  /**
+   * Get the number of sheets pushed on top of the root
+   * @returns {number} Stack depth
+   */
+  getStackDepth() {
+    return this.getRootSheet().stack.length;
   }
   
   /**
@@ -467,6 +818,24 @@ class SheetController {
     return this; // Enable chaining
   }
   
+  /**
+   * Add push callback
+   * @param {Function} callback - Callback function, given the pushed sheet
+   */
+  onPush(callback) {
+    this.onPushCallbacks.push(callback);
+    return this; // Enable chaining
+  }
+  
+  /**
+   * Add pop callback
+   * @param {Function} callback - Callback function, given the popped sheet once it's removed
+   */
+  onPop(callback) {
+    this.onPopCallbacks.push(callback);
+    return this; // Enable chaining
+  }
+  
   /**
    * Notify all position change callbacks
    */
@@ -513,6 +882,26 @@ class SheetController {
     });
   }
   
+  /**
+   * Notify all push callbacks
+   * @param {SheetController} sheet - Pushed sheet
+   */
+  notifyPush(sheet) {
+    this.onPushCallbacks.forEach(callback => {
+      callback(sheet);
+    });
+  }
+  
+  /**
+   * Notify all pop callbacks
+   * @param {SheetController} sheet - Popped sheet
+   */
+  notifyPop(sheet) {
+    this.onPopCallbacks.forEach(callback => {
+      callback(sheet);
+    });
+  }
+  
   /**
    * Get the sheet element
    * @returns {HTMLElement} Sheet element
@@ -553,3 +942,7 @@ class SheetController {
     return this.isDragging;
   }
 }
+
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = SheetController;
+}
@@ -1,6 +1,8 @@
 /**
  * SheetPhysics - A spring physics system for sheet animations
  * Implements realistic, native-like spring animations for UI elements
+ * Motion is the closed-form solution of a damped harmonic oscillator, so it's the
+ * same at any frame rate and can be sampled at any time
  * Based on Bruno Stasse's Silk principles for natural-feeling interactions
  */
 class SheetPhysics {
@@ -16,6 +18,20 @@ class SheetPhysics {
     this.damping = options.damping || 45;       // Increased from 35
     this.initialVelocity = options.initialVelocity || 0;
 
+    // Alternatively describe the spring by its period (seconds) and damping ratio
+    if (options.response !== undefined || options.dampingRatio !== undefined) {
+      this.setResponse(
+        options.response !== undefined ? options.response : this.getResponse(),
+        options.dampingRatio !== undefined ? options.dampingRatio : this.getDampingRatio()
+      );
+    }
+
+    // The animation is settled once its remaining motion is within this distance
+    this.restThreshold = options.restThreshold || 0.001;
+
+    // Clock, frame and timer scheduling; inject a ManualScheduler to step animations by hand
+    this.scheduler = options.scheduler || this.createDefaultScheduler();
+
     // Snap points for sheet positions
     this.snapPoints = options.snapPoints || {
       closed: 0,
@@ -29,120 +45,286 @@ class SheetPhysics {
     this.targetPosition = 0;
     this.velocity = this.initialVelocity;
     this.animating = false;
+
+    // Starting state of the running animation, and when it settles (seconds)
+    this.spring = null;
+    this.settleTime = 0;
+    this.frameId = null;
     
     // History for velocity calculation with improved accuracy
     this.positionHistory = [];
     this.timeHistory = [];
     this.maxHistoryLength = 8; // Increased for smoother velocity calculation
+    this.dragStartPosition = null;
     
-    // Overshoot behavior for more natural feel
+    // Let the release velocity carry the sheet past its target before the spring pulls it back;
+    // when off, the animation ends as soon as it reaches the target
     this.allowOvershoot = options.allowOvershoot !== undefined ? options.allowOvershoot : true;
-    this.overshootMultiplier = options.overshootMultiplier || 0.2; // How much overshoot is allowed
-    this.distanceThreshold = options.distanceThreshold || 0.1; // When to start applying overshoot
+    
+    // Rubber-band resistance when dragged past the ends
+    this.maxDragPosition = options.maxDragPosition || 0.95;
+    this.dragResistance = options.dragResistance || 0.3; // Share of the finger's movement applied
+    
+    // Snap selection: release velocity decays by this factor per millisecond
+    this.decelerationRate = options.decelerationRate || 0.995;
+    // Optional hook to veto or redirect a snap (see setSnapPolicy)
+    this.snapPolicy = options.snapPolicy || null;
     
     // Callbacks
     this.onUpdate = null;
     this.onComplete = null;
   }
   
+  /**
+   * Create the browser's clock, frame and timer scheduler
+   * @returns {Object} Scheduler with now(), requestFrame(), cancelFrame(), setTimer() and clearTimer()
+   */
+  createDefaultScheduler() {
+    return {
+      now: () => performance.now(),
+      requestFrame: callback => requestAnimationFrame(callback),
+      cancelFrame: id => cancelAnimationFrame(id),
+      setTimer: (callback, delay) => setTimeout(callback, delay),
+      clearTimer: id => clearTimeout(id)
+    };
+  }
+  
   /**
    * Animate to a specific position with physics
    * @param {number} targetPosition - Target position to animate to
    * @param {number|null} initialVelocity - Initial velocity for the animation
    */
   animateTo(targetPosition, initialVelocity = null) {
+    const now = this.scheduler.now();
+    
+    // Retargeting mid-flight carries on from where the running spring is now
+    if (this.animating) {
+      const state = this.sample((now - this.spring.startTime) / 1000);
+      this.position = state.position;
+      this.velocity = state.velocity;
+    }
+    
     if (initialVelocity !== null) {
       this.velocity = initialVelocity;
     }
     
+    // The spring always aims at the target itself; any overshoot comes from the velocity
     this.targetPosition = targetPosition;
     
-    // Apply overshoot based on the distance and velocity
-    if (this.allowOvershoot && Math.abs(this.velocity) > 2) {
-      // Only apply overshoot when the velocity is significant
-      const distance = Math.abs(this.targetPosition - this.position);
-      if (distance > this.distanceThreshold) {
-        // Calculate overshoot effect
-        const overshootAmount = Math.min(0.1, Math.abs(this.velocity) * this.overshootMultiplier);
-        const direction = Math.sign(this.velocity);
-        
-        // Apply overshoot in the direction of movement
-        this.targetPosition += overshootAmount * direction;
-        
-        // Clamp to valid range (0-1)
-        this.targetPosition = Math.max(0, Math.min(1, this.targetPosition));
-      }
-    }
+    this.spring = {
+      startTime: now,
+      displacement: this.position - this.targetPosition,
+      velocity: this.velocity
+    };
+    this.settleTime = this.calculateSettleTime(this.spring.displacement, this.spring.velocity);
     
     if (!this.animating) {
       this.animating = true;
-      this.lastFrameTime = performance.now();
-      requestAnimationFrame(this.animationFrame.bind(this));
+      this.frameId = this.scheduler.requestFrame(this.animationFrame.bind(this));
     }
   }
   
   /**
-   * Animation loop using requestAnimationFrame with improved timing
+   * Animation loop driven by the scheduler's frames
+   * Samples the spring at the frame's time rather than stepping it, so dropped
+   * frames and refresh rate don't change the motion
+   * @param {number} timestamp - Frame time in milliseconds
    */
   animationFrame(timestamp) {
-    // Calculate delta time (clamped to avoid large jumps)
-    const deltaTime = Math.min(0.064, (timestamp - this.lastFrameTime) / 1000);
-    console.log("Delta Time:", deltaTime); // Added for debugging
-    this.lastFrameTime = timestamp;
-
-    // Calculate spring force
-    const displacement = this.targetPosition - this.position;
-    const springForce = displacement * this.stiffness;
-    
-    // Calculate damping force with improved non-linear damping for more natural feel
-    const velocitySquared = this.velocity * Math.abs(this.velocity);
-    const dampingForce = velocitySquared > 0 
-      ? this.velocity * (this.damping + Math.abs(this.velocity) * 0.05) 
-      : this.velocity * this.damping;
-    
-    // Calculate acceleration (F = ma)
-    const acceleration = (springForce - dampingForce) / this.mass;
+    const elapsed = Math.max(0, (timestamp - this.spring.startTime) / 1000);
+    const state = this.sample(elapsed);
     
-    // Update velocity with improved accuracy at low values
-    this.velocity += acceleration * deltaTime;
-    
-    // Apply velocity threshold to prevent tiny movements
-    if (Math.abs(this.velocity) < 0.001 && Math.abs(displacement) < 0.001) {
+    // Settle at the precomputed time so completion doesn't depend on frame timing,
+    // or on reaching the target when overshoot is off
+    if (elapsed >= this.settleTime || (!this.allowOvershoot && this.hasPassedTarget(state.position))) {
+      this.position = this.targetPosition;
       this.velocity = 0;
+      this.animating = false;
+      this.frameId = null;
+      
+      if (this.onUpdate) {
+        this.onUpdate(this.position);
+      }
+      
+      if (this.onComplete) {
+        this.onComplete();
+      }
+      return;
     }
     
-    // Update position
-    this.position += this.velocity * deltaTime;
+    this.position = state.position;
+    this.velocity = state.velocity;
     
     // Notify position update
     if (this.onUpdate) {
       this.onUpdate(this.position);
     }
     
-    // Continue animation until settled with improved completion criteria
-    if (Math.abs(this.velocity) > 0.01 || Math.abs(displacement) > 0.001) {
-      requestAnimationFrame(this.animationFrame.bind(this));
-    } else {
-      // Snap precisely to a snap point if very close
-      const nearestSnapPoint = this.findNearestSnapPoint(this.position);
-      if (Math.abs(this.position - nearestSnapPoint) < 0.01) {
-        this.position = nearestSnapPoint;
+    this.frameId = this.scheduler.requestFrame(this.animationFrame.bind(this));
+  }
+  
+  /**
+   * Check whether the running spring has reached or crossed its target
+   * @param {number} position - Sampled position
+   * @returns {boolean} True once the position is on the far side of the target from the start
+   */
+  hasPassedTarget(position) {
+    return (position - this.targetPosition) * this.spring.displacement <= 0;
+  }
+  
+  /**
+   * Stop the running animation where it is, without completing it
+   */
+  stop() {
+    if (this.frameId !== null) {
+      this.scheduler.cancelFrame(this.frameId);
+      this.frameId = null;
+    }
+    this.animating = false;
+  }
+  
+  /**
+   * Sample the running animation
+   * @param {number} elapsed - Seconds since the animation started
+   * @returns {Object} Position and velocity at that time
+   */
+  sample(elapsed) {
+    if (!this.spring) {
+      return { position: this.position, velocity: this.velocity };
+    }
+    
+    const state = this.solveSpring(this.spring.displacement, this.spring.velocity, elapsed);
+    return {
+      position: this.targetPosition + state.displacement,
+      velocity: state.velocity
+    };
+  }
+  
+  /**
+   * Closed-form damped harmonic oscillator
+   * @param {number} displacement - Starting distance from the target
+   * @param {number} velocity - Starting velocity
+   * @param {number} t - Seconds since the start
+   * @returns {Object} Displacement from the target and velocity at time t
+   */
+  solveSpring(displacement, velocity, t) {
+    const omega = Math.sqrt(this.stiffness / this.mass);
+    const zeta = this.getDampingRatio();
+    const x0 = displacement;
+    const v0 = velocity;
+    
+    if (Math.abs(zeta - 1) < 1e-6) {
+      // Critically damped: fastest return without oscillating
+      const b = v0 + omega * x0;
+      const decay = Math.exp(-omega * t);
+      return {
+        displacement: (x0 + b * t) * decay,
+        velocity: (b - omega * (x0 + b * t)) * decay
+      };
+    }
+    
+    if (zeta < 1) {
+      // Underdamped: decaying oscillation around the target
+      const omegaD = omega * Math.sqrt(1 - zeta * zeta);
+      const b = (v0 + zeta * omega * x0) / omegaD;
+      const decay = Math.exp(-zeta * omega * t);
+      const cos = Math.cos(omegaD * t);
+      const sin = Math.sin(omegaD * t);
+      return {
+        displacement: decay * (x0 * cos + b * sin),
+        velocity: decay * ((b * omegaD - zeta * omega * x0) * cos - (x0 * omegaD + zeta * omega * b) * sin)
+      };
+    }
+    
+    // Overdamped: two decaying exponentials, no oscillation
+    const root = omega * Math.sqrt(zeta * zeta - 1);
+    const r1 = -zeta * omega + root;
+    const r2 = -zeta * omega - root;
+    const c2 = (v0 - r1 * x0) / (r2 - r1);
+    const c1 = x0 - c2;
+    return {
+      displacement: c1 * Math.exp(r1 * t) + c2 * Math.exp(r2 * t),
+      velocity: c1 * r1 * Math.exp(r1 * t) + c2 * r2 * Math.exp(r2 * t)
+    };
+  }
+  
+  /**
+   * Work out when an animation comes to rest
+   * Uses the spring's energy, which only ever falls, so the answer is exact to
+   * the bisection tolerance and the same however the animation is sampled
+   * @param {number} displacement - Starting distance from the target
+   * @param {number} velocity - Starting velocity
+   * @returns {number} Seconds until the remaining motion is within restThreshold
+   */
+  calculateSettleTime(displacement, velocity) {
+    const omega = Math.sqrt(this.stiffness / this.mass);
+    // Distance the spring could still travel: sqrt(2 * energy / stiffness)
+    const reach = state => Math.sqrt(state.displacement * state.displacement +
+      (state.velocity / omega) * (state.velocity / omega));
+    
+    if (reach({ displacement, velocity }) <= this.restThreshold) return 0;
+    
+    // Double until settled, then bisect
+    let high = 0.1;
+    while (reach(this.solveSpring(displacement, velocity, high)) > this.restThreshold && high < 60) {
+      high *= 2;
+    }
+    
+    let low = 0;
+    for (let i = 0; i < 30; i++) {
+      const mid = (low + high) / 2;
+      if (reach(this.solveSpring(displacement, velocity, mid)) > this.restThreshold) {
+        low = mid;
       } else {
-        // Otherwise snap to target (might be an overshoot value)
-        this.position = this.targetPosition;
-      }
-      
-      this.velocity = 0;
-      this.animating = false;
-      
-      if (this.onUpdate) {
-        this.onUpdate(this.position);
-      }
-      
-      if (this.onComplete) {
-        this.onComplete();
+        high = mid;
       }
     }
+    return high;
+  }
+  
+  /**
+   * Describe the spring by response and damping ratio instead of stiffness and damping
+   * @param {number} response - Period of the undamped spring in seconds; lower is snappier
+   * @param {number} dampingRatio - 1 is critically damped, lower bounces, higher is sluggish
+   */
+  setResponse(response, dampingRatio) {
+    this.stiffness = Math.pow((2 * Math.PI) / response, 2) * this.mass;
+    this.damping = (4 * Math.PI * dampingRatio * this.mass) / response;
+  }
+  
+  /**
+   * Get the spring's period if it were undamped
+   * @returns {number} Response in seconds
+   */
+  getResponse() {
+    return 2 * Math.PI * Math.sqrt(this.mass / this.stiffness);
+  }
+  
+  /**
+   * Get the spring's damping ratio
+   * @returns {number} Damping ratio; 1 is critically damped
+   */
+  getDampingRatio() {
+    return this.damping / (2 * Math.sqrt(this.stiffness * this.mass));
+  }
+  
+  /**
+   * Replace the snap points
+   * @param {Object} snapPoints - Snap point values (0-1) keyed by name, in navigation order
+   */
+  setSnapPoints(snapPoints) {
+    this.snapPoints = { ...snapPoints };
+  }
+  
+  /**
+   * Find the nearest snap point name
+   * @param {number} position - Current position
+   * @returns {string} - Name of the nearest snap point
+   */
+  findNearestSnapPointName(position) {
+    return Object.keys(this.snapPoints).reduce((prev, curr) => 
+      Math.abs(this.snapPoints[curr] - position) < Math.abs(this.snapPoints[prev] - position) ? curr : prev
+    );
   }
   
   /**
@@ -162,8 +344,16 @@ class SheetPhysics {
    * @param {number} dragPosition - New position from drag
    */
   updatePositionFromDrag(dragPosition) {
+    // The finger takes over from any running animation
+    this.stop();
+    
+    // Remember where the drag began
+    if (this.positionHistory.length === 0) {
+      this.dragStartPosition = this.position;
+    }
+    
     // Add to position history for velocity calculation
-    const now = performance.now();
+    const now = this.scheduler.now();
     this.positionHistory.push(dragPosition);
     this.timeHistory.push(now);
     
@@ -181,6 +371,25 @@ class SheetPhysics {
     }
   }
   
+  /**
+   * Apply rubber-band resistance to a drag position past either end
+   * @param {number} position - Position the finger would put the sheet at
+   * @returns {number} Position to show
+   */
+  applyDragResistance(position) {
+    if (position < 0) {
+      // Resistance when dragging below minimum
+      return position * this.dragResistance;
+    }
+    
+    if (position > this.maxDragPosition) {
+      // Resistance when dragging above maximum
+      return this.maxDragPosition + (position - this.maxDragPosition) * this.dragResistance;
+    }
+    
+    return position;
+  }
+  
   /**
    * Calculate velocity from position history with improved algorithm
    * @returns {number} Calculated velocity
@@ -228,7 +437,10 @@ class SheetPhysics {
   
   /**
    * Complete position change based on velocity with more intelligent snap behavior
+   * Snaps to the point nearest where the sheet would coast to rest, so a hard
+   * flick can pass several snap points, then lets the snap policy have its say
    * @param {number} [velocityOverride] - Optional velocity override
+   * @returns {string} Name of the snap point the sheet is heading to
    */
   completePositionChange(velocityOverride) {
     // Calculate velocity from history
@@ -242,69 +454,64 @@ class SheetPhysics {
     const velocityMultiplier = 1.2;
     this.velocity *= velocityMultiplier;
     
+    // Snap point the gesture started from, for a vetoed snap to return to
+    const startPosition = this.dragStartPosition !== null ? this.dragStartPosition : this.position;
+    const fromName = this.findNearestSnapPointName(startPosition);
+    
     // Clear history
     this.positionHistory = [];
     this.timeHistory = [];
-    
-    // Get available snap points
-    const snapValues = Object.values(this.snapPoints);
-    const snapEntries = Object.entries(this.snapPoints);
-    
-    // Sort by distance to current position
-    const sortedByDistance = [...snapEntries].sort((a, b) => 
-      Math.abs(a[1] - this.position) - Math.abs(b[1] - this.position)
-    );
-    
-    // Get closest snap point
-    const closest = sortedByDistance[0][1];
-    const closestName = sortedByDistance[0][0];
-    
-    // Determine target based on velocity, position, and distance
-    let targetPosition = closest;
-    let targetName = closestName;
-    
-    // Only consider velocity if it's significant
-    const velocityThreshold = 0.5;
-    const moveThreshold = 0.1; // Minimum distance to consider a move to next snap point
-    
-    if (Math.abs(this.velocity) > velocityThreshold) {
-      // Sort snap points by position for direction-based logic
-      const sortedByPosition = [...snapEntries].sort((a, b) => a[1] - b[1]);
-      
-      // Find current index
-      const currentIndex = sortedByPosition.findIndex(entry => entry[0] === closestName);
+    this.dragStartPosition = null;
+    
+    const projectedPosition = this.projectRestingPosition(this.position, this.velocity);
+    let targetName = this.findNearestSnapPointName(projectedPosition);
+    
+    if (this.snapPolicy) {
+      const decision = this.snapPolicy({
+        from: fromName,
+        to: targetName,
+        position: this.position,
+        projectedPosition,
+        velocity: this.velocity
+      });
       
-      // Determine direction based on velocity
-      const direction = Math.sign(this.velocity);
-      
-      if (direction > 0 && currentIndex < sortedByPosition.length - 1) {
-        // Moving up, check if velocity is enough to go to next snap point
-        const nextPosition = sortedByPosition[currentIndex + 1][1];
-        const distance = nextPosition - this.position;
-        
-        if (distance > 0 && (Math.abs(this.velocity) > velocityThreshold * (1 + distance * 2) || distance < moveThreshold)) {
-          targetPosition = nextPosition;
-          targetName = sortedByPosition[currentIndex + 1][0];
-        }
-      } else if (direction < 0 && currentIndex > 0) {
-        // Moving down, check if velocity is enough to go to previous snap point
-        const prevPosition = sortedByPosition[currentIndex - 1][1];
-        const distance = this.position - prevPosition;
-        
-        if (distance > 0 && (Math.abs(this.velocity) > velocityThreshold * (1 + distance * 2) || distance < moveThreshold)) {
-          targetPosition = prevPosition;
-          targetName = sortedByPosition[currentIndex - 1][0];
-        }
+      if (decision === false) {
+        targetName = fromName;
+      } else if (typeof decision === 'string' && decision in this.snapPoints) {
+        targetName = decision;
       }
     }
     
     // Animate to target position
-    this.animateTo(targetPosition, this.velocity);
+    this.animateTo(this.snapPoints[targetName], this.velocity);
     
     // Return the name of the target position for event handling
     return targetName;
   }
   
+  /**
+   * Project where a released sheet would come to rest if it coasted to a stop
+   * Velocity decays by decelerationRate every millisecond, as in native scroll views
+   * @param {number} position - Release position
+   * @param {number} velocity - Release velocity in positions per second
+   * @returns {number} Projected resting position
+   */
+  projectRestingPosition(position, velocity) {
+    const rate = this.decelerationRate;
+    return position + ((velocity / 1000) * rate) / (1 - rate);
+  }
+  
+  /**
+   * Set the hook that can veto or redirect a snap at the end of a drag
+   * Called with {from, to, position, projectedPosition, velocity}; return false to go
+   * back to the starting snap point, another snap point name to go there instead,
+   * or anything else to accept
+   * @param {Function|null} policy - Snap policy, null to remove it
+   */
+  setSnapPolicy(policy) {
+    this.snapPolicy = policy;
+  }
+  
   /**
    * Get position name from value with improved tolerance
    * @param {number} position - Position value
@@ -321,4 +528,57 @@ class SheetPhysics {
     }
     return null;
   }
+  
+  /**
+   * Replay a recorded drag on a copy of this physics and let it settle
+   * The live sheet isn't touched, so this can run at any time, including headless
+   * @param {Object[]} samples - Pointer samples in order as {time (ms), y (px)}; the first is the pointer down
+   * @param {Object} options - Replay options
+   * @param {number} options.viewportHeight - Height pointer movement is measured against
+   * @param {number} [options.startPosition] - Position at pointer down, defaults to the current position
+   * @param {number} [options.frameInterval] - Milliseconds between animation frames, defaults to 60Hz
+   * @returns {Object} Snap point chosen on release, final position and a trace of {time, position}
+   */
+  replayGesture(samples, options) {
+    const Scheduler = typeof ManualScheduler !== 'undefined'
+      ? ManualScheduler
+      : require('./manual-scheduler.js');
+    const scheduler = new Scheduler(samples[0].time);
+    
+    const physics = new SheetPhysics({
+      mass: this.mass,
+      stiffness: this.stiffness,
+      damping: this.damping,
+      snapPoints: this.snapPoints,
+      allowOvershoot: this.allowOvershoot,
+      restThreshold: this.restThreshold,
+      maxDragPosition: this.maxDragPosition,
+      dragResistance: this.dragResistance,
+      decelerationRate: this.decelerationRate,
+      snapPolicy: this.snapPolicy,
+      scheduler
+    });
+    physics.position = options.startPosition !== undefined ? options.startPosition : this.position;
+    
+    const trace = [];
+    physics.onUpdate = position => trace.push({ time: scheduler.now(), position });
+    
+    // Pointer down only records where the drag started; each move positions the sheet
+    const startPosition = physics.position;
+    samples.slice(1).forEach(sample => {
+      scheduler.setTime(sample.time);
+      const deltaPosition = (sample.y - samples[0].y) / options.viewportHeight;
+      physics.updatePositionFromDrag(physics.applyDragResistance(startPosition - deltaPosition));
+    });
+    
+    // Release the same way the sheet controller does
+    const snapPoint = physics.completePositionChange(physics.calculateVelocity());
+    scheduler.runUntilIdle(options.frameInterval);
+    
+    return { snapPoint, position: physics.position, trace };
+  }
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = SheetPhysics;
 }
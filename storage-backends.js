@@ -0,0 +1,195 @@
+/**
+ * Storage backends for MortgagePersistence
+ * Every backend stores strings by key behind the same Promise-based interface
+ * (getItem, setItem, removeItem) so IndexedDB can be swapped in for localStorage
+ */
+
+/**
+ * In-memory storage, used in Node and in tests
+ */
+class MemoryStorageBackend {
+  /**
+   * Initialize the in-memory backend
+   * @param {Object} [initialItems] - Items to start with, keyed by storage key
+   */
+  constructor(initialItems = {}) {
+    this.items = new Map(Object.entries(initialItems));
+  }
+
+  /**
+   * Read a stored value
+   * @param {string} key - Storage key
+   * @returns {Promise<string|null>} Stored value, null when missing
+   */
+  getItem(key) {
+    return Promise.resolve(this.items.has(key) ? this.items.get(key) : null);
+  }
+
+  /**
+   * Write a value
+   * @param {string} key - Storage key
+   * @param {string} value - Value to store
+   * @returns {Promise<void>}
+   */
+  setItem(key, value) {
+    this.items.set(key, String(value));
+    return Promise.resolve();
+  }
+
+  /**
+   * Delete a value
+   * @param {string} key - Storage key
+   * @returns {Promise<void>}
+   */
+  removeItem(key) {
+    this.items.delete(key);
+    return Promise.resolve();
+  }
+}
+
+/**
+ * Wraps window.localStorage (or any Web Storage object)
+ */
+class LocalStorageBackend {
+  /**
+   * Initialize the localStorage backend
+   * @param {Storage} [storage] - Web Storage object, defaults to localStorage
+   */
+  constructor(storage = null) {
+    this.storage = storage || localStorage;
+  }
+
+  /**
+   * Read a stored value
+   * @param {string} key - Storage key
+   * @returns {Promise<string|null>} Stored value, null when missing
+   */
+  getItem(key) {
+    try {
+      return Promise.resolve(this.storage.getItem(key));
+    } catch (e) {
+      return Promise.reject(e);
+    }
+  }
+
+  /**
+   * Write a value
+   * @param {string} key - Storage key
+   * @param {string} value - Value to store
+   * @returns {Promise<void>}
+   */
+  setItem(key, value) {
+    try {
+      this.storage.setItem(key, value);
+      return Promise.resolve();
+    } catch (e) {
+      // Quota errors surface to the caller instead of being thrown synchronously
+      return Promise.reject(e);
+    }
+  }
+
+  /**
+   * Delete a value
+   * @param {string} key - Storage key
+   * @returns {Promise<void>}
+   */
+  removeItem(key) {
+    try {
+      this.storage.removeItem(key);
+      return Promise.resolve();
+    } catch (e) {
+      return Promise.reject(e);
+    }
+  }
+}
+
+/**
+ * Stores values in an IndexedDB object store, for profiles too large for localStorage
+ */
+class IndexedDbStorageBackend {
+  /**
+   * Initialize the IndexedDB backend
+   * @param {Object} options - Configuration options
+   */
+  constructor(options = {}) {
+    this.databaseName = options.databaseName || 'mortgage-data';
+    this.storeName = options.storeName || 'records';
+    this.indexedDB = options.indexedDB || (typeof indexedDB !== 'undefined' ? indexedDB : null);
+
+    // The database is opened once, on first use
+    this.databasePromise = null;
+  }
+
+  /**
+   * Open the database, creating the object store on first run
+   * @returns {Promise<IDBDatabase>} Open database
+   */
+  open() {
+    if (!this.databasePromise) {
+      this.databasePromise = new Promise((resolve, reject) => {
+        if (!this.indexedDB) {
+          reject(new Error('IndexedDB is not available'));
+          return;
+        }
+
+        const request = this.indexedDB.open(this.databaseName, 1);
+        request.onupgradeneeded = () => {
+          request.result.createObjectStore(this.storeName);
+        };
+        request.onsuccess = () => resolve(request.result);
+        request.onerror = () => reject(request.error);
+      });
+    }
+
+    return this.databasePromise;
+  }
+
+  /**
+   * Run a single request against the object store
+   * @param {string} mode - 'readonly' or 'readwrite'
+   * @param {Function} operation - Receives the object store and returns an IDBRequest
+   * @returns {Promise<*>} Request result
+   */
+  request(mode, operation) {
+    return this.open().then(database => new Promise((resolve, reject) => {
+      const transaction = database.transaction(this.storeName, mode);
+      const request = operation(transaction.objectStore(this.storeName));
+      transaction.oncomplete = () => resolve(request.result);
+      transaction.onerror = () => reject(transaction.error);
+      transaction.onabort = () => reject(transaction.error);
+    }));
+  }
+
+  /**
+   * Read a stored value
+   * @param {string} key - Storage key
+   * @returns {Promise<string|null>} Stored value, null when missing
+   */
+  getItem(key) {
+    return this.request('readonly', store => store.get(key))
+      .then(value => (value === undefined ? null : value));
+  }
+
+  /**
+   * Write a value
+   * @param {string} key - Storage key
+   * @param {string} value - Value to store
+   * @returns {Promise<void>}
+   */
+  setItem(key, value) {
+    return this.request('readwrite', store => store.put(String(value), key)).then(() => undefined);
+  }
+
+  /**
+   * Delete a value
+   * @param {string} key - Storage key
+   * @returns {Promise<void>}
+   */
+  removeItem(key) {
+    return this.request('readwrite', store => store.delete(key)).then(() => undefined);
+  }
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = { MemoryStorageBackend, LocalStorageBackend, IndexedDbStorageBackend };
+}
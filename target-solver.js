@@ -0,0 +1,320 @@
+/**
+ * TargetSolver - Works backwards from the target home price to the changes
+ * that would make its full PITI payment fit under the maximum DTI
+ * Each solution is returned as a patch that can be merged into the data model
+ */
+class TargetSolver {
+  /**
+   * Initialize the target solver
+   * @param {Object} options - Configuration options
+   */
+  constructor(options = {}) {
+    // Underwriting rules used to judge whether the target fits
+    this.engine = options.engine || this.createDefaultEngine();
+
+    // Solutions are rounded up to these increments so they read cleanly
+    this.incomeStep = options.incomeStep || 10;
+    this.downPaymentStep = options.downPaymentStep || 100;
+    this.rateStep = options.rateStep || 0.001;
+  }
+
+  /**
+   * Create the UnderwritingEngine used for DTI rules
+   * @returns {UnderwritingEngine} Engine instance
+   */
+  createDefaultEngine() {
+    const Engine = typeof UnderwritingEngine !== 'undefined'
+      ? UnderwritingEngine
+      : require('./underwriting-engine.js');
+    return new Engine();
+  }
+
+  /**
+   * Find every way to reach the target home price
+   * @param {Object} data - Mortgage data
+   * @returns {Object|null} Target summary and solutions, null without a target price
+   */
+  solve(data) {
+    const target = this.evaluateTarget(data);
+    if (!target) return null;
+
+    return {
+      ...target,
+      solutions: target.fits ? [] : [
+        this.solveIncome(target),
+        this.solveDebtPaydown(data, target),
+        this.solveDownPayment(data, target),
+        this.solveRate(data, target)
+      ]
+    };
+  }
+
+  /**
+   * Compare the projected payment for the target home with the payment limit
+   * @param {Object} data - Mortgage data
+   * @returns {Object|null} Payment, limit and shortfall, null without a target price
+   */
+  evaluateTarget(data) {
+    const engine = this.engine;
+    const program = engine.getProgram(data.loanProgram);
+    const housing = engine.calculateProjectedHousingPayment(data, program);
+    if (!housing) return null;
+
+    const monthlyIncome = engine.calculateMonthlyIncome(data);
+    const nonHousingDebt = engine.calculateNonHousingDebt(data, program);
+    const { maxDti } = engine.calculateMaxDti(data, program);
+    const maxFrontEndDti = program ? program.maxFrontEndDti : null;
+    const maxMonthlyPayment = engine.calculateMaxMonthlyPayment(monthlyIncome, maxDti, nonHousingDebt, maxFrontEndDti);
+
+    return {
+      program,
+      targetHomePrice: housing.homePrice,
+      housing,
+      monthlyIncome,
+      borrowerIncome: engine.parseAmount(data.monthlyIncome),
+      incomeFromWorksheet: engine.incomeCalculator.calculate(data).fromWorksheet,
+      nonHousingDebt,
+      maxDti,
+      maxFrontEndDti,
+      maxMonthlyPayment,
+      shortfall: Math.max(0, housing.total - maxMonthlyPayment),
+      fits: monthlyIncome > 0 && housing.total <= maxMonthlyPayment
+    };
+  }
+
+  /**
+   * Income needed for the target payment to meet both DTI limits
+   * @param {Object} target - Result from evaluateTarget()
+   * @returns {Object} Income solution
+   */
+  solveIncome(target) {
+    const backEndIncome = (target.housing.total + target.nonHousingDebt) / (target.maxDti / 100);
+    const frontEndIncome = target.maxFrontEndDti
+      ? target.housing.total / (target.maxFrontEndDti / 100)
+      : 0;
+    const requiredIncome = this.roundUp(Math.max(backEndIncome, frontEndIncome), this.incomeStep);
+
+    return {
+      id: 'income',
+      title: 'Increase your income',
+      achievable: true,
+      current: target.monthlyIncome,
+      required: requiredIncome,
+      change: requiredIncome - target.monthlyIncome,
+      // The extra income is applied to the primary borrower; worksheet income has
+      // no single number to change, so that scenario can't be applied
+      changes: target.incomeFromWorksheet
+        ? null
+        : { monthlyIncome: target.borrowerIncome + requiredIncome - target.monthlyIncome }
+    };
+  }
+
+  /**
+   * Debts to pay off before closing so the target payment fits
+   * Debts that free up the most monthly payment per dollar of balance go first
+   * @param {Object} data - Mortgage data
+   * @param {Object} target - Result from evaluateTarget()
+   * @returns {Object} Debt paydown solution
+   */
+  solveDebtPaydown(data, target) {
+    const reduction = target.housing.total - target.maxMonthlyPayment;
+    const solution = {
+      id: 'debtPaydown',
+      title: 'Pay off debts before closing',
+      achievable: false,
+      current: target.nonHousingDebt,
+      required: target.nonHousingDebt - reduction,
+      change: 0,
+      paymentReduction: reduction,
+      paidOff: [],
+      changes: null
+    };
+
+    // Paying off debts can't fix a housing ratio that is already over its limit
+    const frontEndLimit = target.maxFrontEndDti
+      ? target.monthlyIncome * (target.maxFrontEndDti / 100)
+      : Infinity;
+    if (target.monthlyIncome <= 0 || target.housing.total > frontEndLimit) {
+      solution.reason = 'Your housing payment alone is over the limit';
+      return solution;
+    }
+
+    const debts = this.engine.calculateDebts(data, target.program).items;
+    const payable = debts
+      .filter(debt => debt.counted)
+      .sort((a, b) => this.payoffEfficiency(b) - this.payoffEfficiency(a));
+
+    let freed = 0;
+    for (const debt of payable) {
+      if (freed >= reduction) break;
+      freed += debt.countedPayment;
+      solution.paidOff.push(debt);
+    }
+
+    if (freed < reduction) {
+      solution.reason = 'Paying off every listed debt would not free up enough';
+      return solution;
+    }
+
+    solution.achievable = true;
+    solution.change = solution.paidOff.reduce((sum, debt) => sum + this.engine.parseAmount(debt.balance), 0);
+
+    // Each borrower's debt list is updated separately
+    solution.changes = {};
+    solution.paidOff.forEach(paid => {
+      const listField = paid.listField;
+      const list = solution.changes[listField] || data[listField];
+      solution.changes[listField] = list.map(debt => (debt.id === paid.id ? { ...debt, payingOff: true } : debt));
+    });
+
+    return solution;
+  }
+
+  /**
+   * Down payment needed for the target payment to fit
+   * A larger down payment shrinks the loan and can remove mortgage insurance, but
+   * is only achievable when the cash to close it needs is on hand
+   * @param {Object} data - Mortgage data
+   * @param {Object} target - Result from evaluateTarget()
+   * @returns {Object} Down payment solution
+   */
+  solveDownPayment(data, target) {
+    const price = target.targetHomePrice;
+    const currentDown = this.engine.parseAmount(data.downPayment);
+    const solution = {
+      id: 'downPayment',
+      title: 'Put more money down',
+      achievable: false,
+      current: currentDown,
+      required: price,
+      change: 0,
+      cashShortfall: 0,
+      changes: null
+    };
+
+    const fitsWithDown = downPayment => this.evaluateTarget({ ...data, downPayment }).fits;
+
+    if (!fitsWithDown(price)) {
+      solution.reason = 'Taxes and insurance alone are over the limit';
+      return solution;
+    }
+
+    // A bigger down payment leaves less in reserve, which can lower the max DTI, so
+    // rounding up can lose the fit; fall back to whole dollars, then the exact amount
+    const exactDown = this.bisect(fitsWithDown, currentDown, price);
+    const requiredDown = [this.roundUp(exactDown, this.downPaymentStep), this.roundUp(exactDown, 1), exactDown]
+      .map(downPayment => Math.min(price, downPayment))
+      .find(fitsWithDown);
+
+    solution.required = requiredDown;
+    solution.change = requiredDown - currentDown;
+
+    const cashToClose = this.engine.calculateCashToClose({ ...data, downPayment: requiredDown }, target.program);
+    if (cashToClose.shortfall > 0) {
+      solution.cashShortfall = cashToClose.shortfall;
+      solution.reason = "You don't have enough cash to close with that down payment";
+      return solution;
+    }
+
+    solution.achievable = true;
+    solution.changes = {
+      downPayment: requiredDown,
+      downPaymentPercent: parseFloat(((requiredDown / price) * 100).toFixed(1))
+    };
+
+    return solution;
+  }
+
+  /**
+   * Interest rate needed for the target payment to fit
+   * @param {Object} data - Mortgage data
+   * @param {Object} target - Result from evaluateTarget()
+   * @returns {Object} Rate solution
+   */
+  solveRate(data, target) {
+    const calculator = this.engine.calculator;
+    const loanTerms = calculator.getLoanTerms(data);
+    const solution = {
+      id: 'rate',
+      title: 'Find a lower interest rate',
+      achievable: false,
+      current: loanTerms.interestRate,
+      required: 0,
+      change: 0,
+      changes: null
+    };
+
+    // Search the note rate; any points already purchased still buy it down
+    const fitsWithRate = rate => this.evaluateTarget({ ...data, interestRate: rate }).fits;
+
+    if (!fitsWithRate(0)) {
+      solution.reason = 'Even a 0% rate would not fit';
+      return solution;
+    }
+
+    // Like the down payment, the rounded rate only stands if it still fits
+    const exactRate = this.bisect(fitsWithRate, loanTerms.interestRate, 0);
+    const requiredRate = [this.roundDown(exactRate, this.rateStep), exactRate].find(fitsWithRate);
+
+    solution.achievable = true;
+    solution.required = requiredRate;
+    solution.change = requiredRate - loanTerms.interestRate;
+    solution.changes = { interestRate: requiredRate };
+
+    return solution;
+  }
+
+  /**
+   * Monthly payment freed per dollar paid off
+   * @param {Object} debt - Counted debt item from UnderwritingEngine.calculateDebts()
+   * @returns {number} Payment to balance ratio, Infinity when there is no balance
+   */
+  payoffEfficiency(debt) {
+    const balance = this.engine.parseAmount(debt.balance);
+    return balance > 0 ? debt.countedPayment / balance : Infinity;
+  }
+
+  /**
+   * Bisect between a failing and a passing value
+   * @param {Function} passes - Test for a candidate value
+   * @param {number} failing - Value known to fail
+   * @param {number} passing - Value known to pass
+   * @returns {number} Passing value closest to the boundary
+   */
+  bisect(passes, failing, passing) {
+    for (let i = 0; i < 50 && Math.abs(passing - failing) > 0.0001; i++) {
+      const mid = (failing + passing) / 2;
+      if (passes(mid)) {
+        passing = mid;
+      } else {
+        failing = mid;
+      }
+    }
+
+    return passing;
+  }
+
+  /**
+   * Round a value up to the next increment
+   * @param {number} value - Value to round
+   * @param {number} step - Increment
+   * @returns {number} Rounded value
+   */
+  roundUp(value, step) {
+    return Math.ceil(value / step) * step;
+  }
+
+  /**
+   * Round a value down to the previous increment
+   * @param {number} value - Value to round
+   * @param {number} step - Increment
+   * @returns {number} Rounded value
+   */
+  roundDown(value, step) {
+    return Math.floor(value / step) * step;
+  }
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = TargetSolver;
+}
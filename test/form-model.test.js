@@ -0,0 +1,85 @@
+/**
+ * FormModel tests - run with `node --test test/`
+ */
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const FormModel = require('../form-model.js');
+const MortgagePersistence = require('../mortgage-persistence.js');
+
+/**
+ * Build a profile on top of the stored defaults
+ * @param {Object} [answers] - Answers that replace the defaults
+ * @returns {Object} Mortgage data
+ */
+function createProfile(answers = {}) {
+  return { ...new MortgagePersistence().createDefaults(), ...answers };
+}
+
+test('pages only join the sequence when their showWhen matches', () => {
+  const model = new FormModel();
+
+  assert.deepEqual(model.getVisiblePages('goals-income', createProfile()), [1, 2]);
+  assert.deepEqual(model.getVisiblePages('goals-income', createProfile({ incomeSources: ['Hourly', 'Tips'] })), [1, 2, 3, 4]);
+  assert.deepEqual(model.getVisiblePages('goals-income', createProfile({ incomeSources: ['Self-employed'], hasCoBorrower: true })), [1, 2, 5, 6]);
+});
+
+test('navigation skips hidden pages and crosses into the next section', () => {
+  const model = new FormModel();
+  const data = createProfile({ incomeSources: ['Salary'] });
+
+  assert.deepEqual(model.getNextStep('goals-income', 2, data), { sectionId: 'goals-income', pageNumber: 3 });
+  assert.deepEqual(model.getNextStep('goals-income', 3, data), { sectionId: 'debt-housing', pageNumber: 1 });
+  assert.deepEqual(model.getPreviousStep('debt-housing', 1, data), { sectionId: 'goals-income', pageNumber: 3 });
+  assert.equal(model.getPreviousStep('goals-income', 1, data), null);
+});
+
+test('completion counts only visible pages', () => {
+  const model = new FormModel();
+  const data = createProfile({ targetHomePrice: 400000, downPayment: 40000 });
+
+  assert.deepEqual(model.getCompletionStatus(data)['goals-income'], [true, false]);
+
+  data.hasCoBorrower = true;
+  assert.deepEqual(model.getCompletionStatus(data)['goals-income'], [true, false, false]);
+});
+
+test('an empty debt list is complete once the user confirms they have none', () => {
+  const model = new FormModel();
+  const field = model.getField('debts');
+
+  assert.equal(model.hasValue(field, createProfile()), false);
+  assert.equal(model.hasValue(field, createProfile({ hasNoDebts: true })), true);
+});
+
+test('validation rules produce their messages', () => {
+  const model = new FormModel({ now: () => new Date(2024, 5, 15) });
+
+  assert.equal(model.validate(model.getField('targetHomePrice'), 0), 'Target Home Price must be more than $0');
+  assert.equal(model.validate(model.getField('targetHomePrice'), null), 'Target Home Price is required');
+  assert.equal(model.validate(model.getField('downPayment'), 500000, { targetHomePrice: 400000 }),
+    "Down payment can't be more than the target home price");
+  assert.equal(model.validate(model.getField('downPayment'), 40000, { targetHomePrice: 400000 }), null);
+  assert.equal(model.validate(model.getField('latePaymentCount'), 2.5), 'Number of Late Payments must be a whole number');
+
+  const discharged = model.getField('bankruptcyDischargeDate');
+  assert.equal(model.validate(discharged, '2024-06-15'), null);
+  assert.equal(model.validate(discharged, '2024-06-16'), "Discharge Date can't be in the future");
+});
+
+test('invalid answers block calculating but blank ones only do when required to calculate', () => {
+  const model = new FormModel();
+  const issuesFor = answers => model.getIssues(createProfile(answers));
+
+  const blank = issuesFor({});
+  assert.ok(blank.some(issue => issue.field === 'targetHomePrice' && !issue.blocking));
+  assert.ok(blank.some(issue => issue.field === 'monthlyIncome' && issue.blocking));
+
+  const invalid = issuesFor({
+    targetHomePrice: -1,
+    monthlyIncome: 5000,
+    debts: [{ id: 'car', type: 'auto', balance: -5, monthlyPayment: 300, monthsRemaining: 12, payingOff: false, description: '' }]
+  });
+  assert.deepEqual(invalid.filter(issue => issue.blocking).map(issue => issue.itemField || issue.field), ['targetHomePrice', 'balance']);
+  assert.equal(invalid.find(issue => issue.itemField === 'balance').message, "Debt 1 balance can't be negative");
+});
@@ -0,0 +1,47 @@
+/**
+ * IncomeCalculator tests - run with `node --test test/`
+ */
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const IncomeCalculator = require('../income-calculator.js');
+
+test('the stated income is used until a worksheet amount is entered', () => {
+  const calculator = new IncomeCalculator();
+
+  const stated = calculator.calculate({ monthlyIncome: 5000, incomeSources: ['Salary'] });
+  assert.equal(stated.fromWorksheet, false);
+  assert.equal(stated.monthlyIncome, 5000);
+
+  const worksheet = calculator.calculate({ monthlyIncome: 5000, incomeSources: ['Salary'], annualSalary: 72000 });
+  assert.equal(worksheet.fromWorksheet, true);
+  assert.equal(worksheet.monthlyIncome, 6000);
+});
+
+test('wages are annualized and variable pay is averaged over two years', () => {
+  const result = new IncomeCalculator().calculate({
+    incomeSources: ['Hourly', 'Bonus', 'Tips'],
+    hourlyRate: 25,
+    hoursPerWeek: 40,
+    bonusIncomeRecentYear: 14000,
+    bonusIncomePriorYear: 10000,
+    tipIncomeRecentYear: 6000,
+    tipIncomePriorYear: 9000
+  });
+
+  // 25 × 40 × 52 ÷ 12; the declining tips only count the most recent year
+  assert.deepEqual(result.items.map(item => item.monthlyIncome), [52000 / 12, 1000, 500]);
+  assert.equal(result.items[2].note, 'Declining, so only the most recent year is used');
+});
+
+test('self-employment income needs two years and can\'t fall too far', () => {
+  const calculator = new IncomeCalculator();
+  const selfEmployed = answers => calculator.calculate({ incomeSources: ['Self-employed'], ...answers }).items[0];
+
+  assert.equal(selfEmployed({ businessIncomeRecentYear: 60000 }).monthlyIncome, 0);
+  assert.equal(selfEmployed({ businessIncomeRecentYear: 54000, businessIncomePriorYear: 60000 }).monthlyIncome, 4500);
+
+  const declined = selfEmployed({ businessIncomeRecentYear: 40000, businessIncomePriorYear: 60000 });
+  assert.equal(declined.monthlyIncome, 0);
+  assert.equal(declined.note, "Declined 33%; lenders usually won't count it until it stabilizes");
+});
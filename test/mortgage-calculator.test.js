@@ -0,0 +1,91 @@
+/**
+ * MortgageCalculator tests - run with `node --test test/`
+ */
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const MortgageCalculator = require('../mortgage-calculator.js');
+
+test('loan terms fall back to the defaults and points buy the rate down', () => {
+  const calculator = new MortgageCalculator();
+
+  assert.deepEqual(calculator.getLoanTerms({}), { interestRate: 6.5, effectiveRate: 6.5, termYears: 30, points: 0 });
+  assert.deepEqual(calculator.getLoanTerms({ interestRate: '7', loanTermYears: '15', discountPoints: '2' }),
+    { interestRate: 7, effectiveRate: 6.5, termYears: 15, points: 2 });
+
+  // Unsupported terms and negative points are ignored
+  assert.equal(calculator.getLoanTerms({ loanTermYears: 25 }).termYears, 30);
+  assert.equal(calculator.getLoanTerms({ discountPoints: -1 }).points, 0);
+  assert.equal(calculator.getEffectiveRate(0.25, 2), 0);
+});
+
+test('the monthly payment and the loan amount formulas invert each other', () => {
+  const calculator = new MortgageCalculator();
+
+  const payment = calculator.calculateMonthlyPayment(200000, 6, 30);
+  assert.ok(Math.abs(payment - 1199.1) < 0.01);
+  assert.ok(Math.abs(calculator.calculateLoanAmount(payment, 6, 30) - 200000) < 1e-6);
+
+  // A 0% loan is repaid in equal parts
+  assert.equal(calculator.calculateMonthlyPayment(120000, 0, 10), 1000);
+  assert.equal(calculator.calculateLoanAmount(1000, 0, 10), 120000);
+  assert.equal(calculator.calculateMonthlyPayment(0, 6, 30), 0);
+});
+
+test('the amortization schedule pays the loan off on the last payment', () => {
+  const calculator = new MortgageCalculator();
+  const schedule = calculator.buildAmortizationSchedule(200000, 6, 30, new Date(2025, 0, 1));
+  const { payments } = schedule;
+
+  assert.equal(payments.length, 360);
+  assert.equal(payments[payments.length - 1].balance, 0);
+  assert.ok(Math.abs(payments.reduce((sum, row) => sum + row.principal, 0) - 200000) < 1e-6);
+  assert.ok(Math.abs(schedule.totalPaid - schedule.monthlyPayment * 360) < 0.01);
+  assert.equal(schedule.payoffDate.getFullYear(), 2054);
+  assert.equal(schedule.payoffDate.getMonth(), 11);
+
+  const years = calculator.summarizeByYear(payments);
+  assert.equal(years.length, 30);
+  assert.equal(years[0].payments.length, 12);
+  assert.ok(years[0].interest > years[0].principal);
+  assert.ok(years[29].principal > years[29].interest);
+});
+
+test('the housing payment adds taxes, insurance, mortgage insurance and HOA dues', () => {
+  const calculator = new MortgageCalculator();
+  const options = {
+    annualRate: 6,
+    termYears: 30,
+    propertyTaxRate: 1.2,
+    homeInsuranceAnnual: null,
+    hoaDues: 50,
+    creditScoreRange: 'Above 620',
+    mortgageInsurance: { annualRate: 0.5, requiredAboveLtv: 80, rateTable: [{ maxLtv: 90, rates: { 'Above 620': 0.4 } }] }
+  };
+
+  const payment = calculator.calculateHousingPayment(250000, 25000, options);
+  assert.equal(payment.loanAmount, 225000);
+  assert.equal(payment.ltv, 90);
+  assert.equal(payment.propertyTax, 250);
+  // Insurance is estimated from the price when no premium is given
+  assert.ok(Math.abs(payment.homeInsurance - (250000 * 0.0035) / 12) < 1e-9);
+  assert.equal(payment.mortgageInsuranceRate, 0.4);
+  assert.equal(payment.mortgageInsurance, 75);
+  assert.ok(Math.abs(payment.total - (payment.principalAndInterest + 250 + payment.homeInsurance + 75 + 50)) < 1e-9);
+
+  // 20% down needs no mortgage insurance, and unknown scores use the flat rate
+  assert.equal(calculator.calculateHousingPayment(250000, 50000, options).mortgageInsurance, 0);
+  assert.equal(calculator.calculateHousingPayment(250000, 25000, { ...options, creditScoreRange: '' }).mortgageInsuranceRate, 0.5);
+});
+
+test('the max home price is the highest whose full payment fits the budget', () => {
+  const calculator = new MortgageCalculator();
+  const options = { annualRate: 6, termYears: 30, propertyTaxRate: 1.2, homeInsuranceAnnual: 1200, hoaDues: 0, mortgageInsurance: null };
+
+  const result = calculator.solveMaxHomePrice(2500, 50000, options);
+  assert.ok(result.total <= 2500);
+  assert.ok(calculator.calculateHousingPayment(result.homePrice + 2, 50000, options).total > 2500);
+
+  // A budget that can't cover the fixed costs buys nothing
+  assert.equal(calculator.solveMaxHomePrice(50, 50000, { ...options, hoaDues: 100 }).homePrice, 0);
+});
@@ -0,0 +1,71 @@
+/**
+ * MortgagePersistence tests - run with `node --test test/`
+ */
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const MortgagePersistence = require('../mortgage-persistence.js');
+const { MemoryStorageBackend } = require('../storage-backends.js');
+
+test('saved data loads back coerced to the schema', async () => {
+  const persistence = new MortgagePersistence({ storage: new MemoryStorageBackend() });
+
+  await persistence.save('profile', { targetHomePrice: '$450,000', bankruptcy: 'true', unknownField: 1 });
+  const data = await persistence.load('profile');
+
+  assert.equal(data.targetHomePrice, 450000);
+  assert.equal(data.bankruptcy, true);
+  assert.equal('unknownField' in data, false);
+  assert.equal(data.loanProgram, 'conventional');
+  assert.deepEqual(Object.keys(data), Object.keys(persistence.createDefaults()));
+});
+
+test('nothing saved loads as null and unreadable records are ignored', async t => {
+  const storage = new MemoryStorageBackend({ broken: '{not json' });
+  const persistence = new MortgagePersistence({ storage });
+  const error = t.mock.method(console, 'error', () => {});
+
+  assert.equal(await persistence.load('missing'), null);
+  assert.equal(await persistence.load('broken'), null);
+  assert.equal(error.mock.callCount(), 1);
+});
+
+test('values outside a field\'s allowed list fall back to the default', () => {
+  const persistence = new MortgagePersistence({ storage: new MemoryStorageBackend() });
+  const data = persistence.normalize({ loanProgram: 'subprime', loanTermYears: '15', creditScoreRange: 'Perfect' });
+
+  assert.equal(data.loanProgram, 'conventional');
+  assert.equal(data.loanTermYears, 15);
+  assert.equal(data.creditScoreRange, '');
+});
+
+test('defaults are copied so profiles never share lists', () => {
+  const persistence = new MortgagePersistence({ storage: new MemoryStorageBackend() });
+  const first = persistence.createDefaults();
+  first.debts.push({ id: 'car' });
+
+  assert.deepEqual(persistence.createDefaults().debts, []);
+});
+
+test('unversioned records are migrated to the itemized debt list', async () => {
+  const storage = new MemoryStorageBackend({
+    legacy: JSON.stringify({
+      monthlyIncome: '6000',
+      carPayment: '350',
+      creditCardMinimums: '',
+      medicalDebt: '1200',
+      otherDebts: 'Student loan $150 and phone 40'
+    })
+  });
+  const data = await new MortgagePersistence({ storage }).load('legacy');
+
+  assert.equal(data.monthlyIncome, 6000);
+  assert.deepEqual(data.debts.map(debt => [debt.type, debt.monthlyPayment, debt.balance]), [
+    ['auto', 350, null],
+    ['medical', null, 1200],
+    ['other', 190, null]
+  ]);
+  assert.equal(data.debts[2].description, 'Student loan $150 and phone 40');
+  assert.equal(data.hasNoDebts, false);
+  assert.equal('carPayment' in data, false);
+});
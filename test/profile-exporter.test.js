@@ -0,0 +1,65 @@
+/**
+ * ProfileExporter tests - run with `node --test test/`
+ */
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const ProfileExporter = require('../profile-exporter.js');
+
+/**
+ * Build a small profile with a debt and a list of plain values
+ * @param {ProfileExporter} exporter - Exporter whose schema supplies the defaults
+ * @returns {Object} Mortgage data
+ */
+function createProfile(exporter) {
+  return {
+    ...exporter.persistence.createDefaults(),
+    monthlyIncome: 5000,
+    incomeSources: ['Salary', 'Bonus'],
+    debts: [
+      { id: 'car', type: 'auto', balance: 12000, monthlyPayment: 350, monthsRemaining: 30, payingOff: false, description: 'Car' }
+    ]
+  };
+}
+
+test('a CSV export reads back to the same data', () => {
+  const exporter = new ProfileExporter();
+  const data = createProfile(exporter);
+
+  assert.deepEqual(exporter.parse(exporter.toCsv(data)), exporter.persistence.normalize(data, exporter.persistence.version));
+});
+
+test('CSV cells that start like a formula are escaped and read back unchanged', () => {
+  const exporter = new ProfileExporter();
+  const data = createProfile(exporter);
+  data.debts[0].description = '=HYPERLINK("http://example.com","Car")';
+  data.debts[0].monthlyPayment = -5;
+  data.incomeSources = ["'@Tips", '+Bonus'];
+
+  const csv = exporter.toCsv(data);
+  assert.ok(csv.includes('data,debts.0.description,"\'=HYPERLINK(""http://example.com"",""Car"")"'));
+  assert.ok(csv.includes("data,incomeSources,''@Tips;+Bonus"));
+  assert.ok(csv.includes('data,debts.0.monthlyPayment,-5'));
+
+  const imported = exporter.parse(csv);
+  assert.equal(imported.debts[0].description, data.debts[0].description);
+  assert.deepEqual(imported.incomeSources, ["'@Tips", '+Bonus']);
+});
+
+test('CSV rows outside the data schema are skipped', () => {
+  const exporter = new ProfileExporter();
+  const csv = [
+    exporter.toCsv(createProfile(exporter)),
+    'data,__proto__.polluted,yes',
+    'data,constructor.prototype.polluted,yes',
+    'data,debts.0.__proto__.polluted,yes',
+    'data,debts.99999999.balance,1',
+    'data,unknownField,1'
+  ].join('\n');
+
+  const data = exporter.parse(csv);
+  assert.equal(({}).polluted, undefined);
+  assert.equal(Object.prototype.polluted, undefined);
+  assert.equal(data.debts.length, 1);
+  assert.equal('unknownField' in data, false);
+});
@@ -0,0 +1,38 @@
+/**
+ * RentVsBuyCalculator tests - run with `node --test test/`
+ */
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const RentVsBuyCalculator = require('../rent-vs-buy-calculator.js');
+
+const profile = { targetHomePrice: 300000, downPayment: 60000, interestRate: 6, currentHousingExpense: 2000 };
+
+test('there is nothing to compare without a target price or current rent', () => {
+  const calculator = new RentVsBuyCalculator();
+
+  assert.equal(calculator.calculate({ ...profile, targetHomePrice: null }), null);
+  assert.equal(calculator.calculate({ ...profile, currentHousingExpense: null }), null);
+});
+
+test('rent grows each year and the horizons pick out their years', () => {
+  const result = new RentVsBuyCalculator().calculate(profile);
+
+  assert.equal(result.years.length, 30);
+  assert.equal(result.years[0].rentCost, 24000);
+  assert.ok(Math.abs(result.years[1].rentCost - (24000 + 24000 * 1.03)) < 1e-6);
+  assert.deepEqual(result.horizons.map(row => row.year), [5, 10, 30]);
+  assert.ok(result.years[29].loanBalance < 1);
+});
+
+test('the break-even year is the first year buying comes out ahead', () => {
+  const result = new RentVsBuyCalculator().calculate(profile);
+  const breakEven = result.years.findIndex(row => row.advantage >= 0);
+
+  assert.ok(breakEven > 0);
+  assert.equal(result.breakEvenYear, breakEven + 1);
+  assert.ok(result.years[breakEven - 1].advantage < 0);
+
+  // Much cheaper rent never loses to buying within the horizon
+  assert.equal(new RentVsBuyCalculator().calculate({ ...profile, currentHousingExpense: 300 }).breakEvenYear, null);
+});
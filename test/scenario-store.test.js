@@ -0,0 +1,66 @@
+/**
+ * ScenarioStore tests - run with `node --test test/`
+ */
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const ScenarioStore = require('../scenario-store.js');
+const MortgagePersistence = require('../mortgage-persistence.js');
+const { MemoryStorageBackend } = require('../storage-backends.js');
+
+/**
+ * Create a store backed by memory storage
+ * @param {MemoryStorageBackend} [storage] - Storage to share between stores
+ * @returns {ScenarioStore} Scenario store
+ */
+function createStore(storage = new MemoryStorageBackend()) {
+  return new ScenarioStore({ persistence: new MortgagePersistence({ storage }) });
+}
+
+test('scenarios are saved and loaded with the active one', async () => {
+  const storage = new MemoryStorageBackend();
+  const store = createStore(storage);
+  store.create('Base', { monthlyIncome: 5000 });
+  const second = store.create('Raise', { monthlyIncome: 6000 });
+  await store.save();
+
+  const reloaded = createStore(storage);
+  const active = await reloaded.load();
+  assert.equal(active.id, second.id);
+  assert.equal(active.data.monthlyIncome, 6000);
+  assert.deepEqual(reloaded.list().map(scenario => scenario.name), ['Base', 'Raise']);
+});
+
+test('the single profile saved before scenarios becomes the first scenario', async () => {
+  const store = createStore(new MemoryStorageBackend({ mortgageData: JSON.stringify({ monthlyIncome: '4000' }) }));
+  const active = await store.load();
+
+  assert.equal(active.name, 'My Profile');
+  assert.equal(active.data.monthlyIncome, 4000);
+});
+
+test('copies get unique names and their own data', () => {
+  const store = createStore();
+  const base = store.create('Base', { incomeSources: ['Salary'] });
+
+  const copy = store.duplicate(base.id);
+  assert.equal(copy.name, 'Base (copy)');
+  assert.equal(store.create('Base', {}).name, 'Base 2');
+
+  copy.data.incomeSources.push('Bonus');
+  assert.deepEqual(base.data.incomeSources, ['Salary']);
+});
+
+test('renaming and removing keep the list consistent', () => {
+  const store = createStore();
+  const base = store.create('Base', {});
+  const other = store.create('Other', {});
+
+  assert.equal(store.rename(other.id, '  Base ').name, 'Base 2');
+  assert.equal(store.rename(other.id, '').name, 'Base 2');
+
+  // Removing the active scenario activates the first one left, and the last can't go
+  assert.equal(store.remove(other.id), true);
+  assert.equal(store.getActive().id, base.id);
+  assert.equal(store.remove(base.id), false);
+});
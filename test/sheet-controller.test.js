@@ -0,0 +1,223 @@
+/**
+ * SheetController tests - run with `node --test test/`
+ * Uses a minimal stand-in for the DOM and a ManualScheduler for the physics
+ */
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const ManualScheduler = require('../manual-scheduler.js');
+
+/**
+ * Create a stand-in element with just what the controller touches
+ * @returns {Object} Fake element
+ */
+function createElement() {
+  const classes = new Set();
+  const element = {
+    children: [],
+    style: {},
+    dataset: {},
+    parentElement: null,
+    scrollTop: 0,
+    scrollHeight: 0,
+    offsetHeight: 0,
+    removed: false,
+    classList: {
+      add: name => classes.add(name),
+      remove: name => classes.delete(name),
+      contains: name => classes.has(name),
+      toggle: (name, force) => (force ? classes.add(name) : classes.delete(name))
+    },
+    appendChild(child) {
+      element.children.push(child);
+      child.parentElement = element;
+    },
+    remove() {
+      element.removed = true;
+    },
+    querySelector: () => ({ focus() {} }),
+    addEventListener() {},
+    setPointerCapture() {},
+    releasePointerCapture() {}
+  };
+  return element;
+}
+
+global.document = {
+  createElement,
+  addEventListener() {},
+  removeEventListener() {}
+};
+global.window = {
+  innerHeight: 1000,
+  innerWidth: 400,
+  addEventListener() {},
+  removeEventListener() {},
+  getComputedStyle: () => ({ marginTop: '0px', marginBottom: '0px' })
+};
+
+const SheetController = require('../sheet-controller.js');
+
+/**
+ * Create a controller on a manual clock, already at its initial position
+ * @param {Object} [options] - Extra SheetController options
+ * @returns {SheetController} Controller instance
+ */
+function createSheet(options = {}) {
+  const sheet = new SheetController(createElement(), {
+    initialPosition: 'half',
+    snapPoints: { closed: 0, docked: 0.15, half: 0.5, full: 0.95 },
+    stiffness: 320,
+    damping: 28,
+    scheduler: new ManualScheduler(),
+    ...options
+  });
+
+  // Whole-millisecond frames keep the clock on the timers' due times
+  sheet.physics.scheduler.runUntilIdle(10);
+  return sheet;
+}
+
+test('animated positions are applied as the scheduler steps', () => {
+  const sheet = createSheet();
+  sheet.setPosition('half', false);
+
+  sheet.setPosition('full');
+  assert.equal(sheet.getElement().style.transform, 'translateY(500px)');
+
+  sheet.physics.scheduler.runUntilIdle();
+  assert.ok(Math.abs(sheet.physics.position - 0.95) < 1e-9);
+  assert.equal(sheet.getElement().style.transform, `translateY(${1000 * (1 - sheet.physics.position)}px)`);
+  assert.equal(sheet.getElement().dataset.position, 'full');
+});
+
+test('gesture replay uses the sheet\'s viewport and snap points without moving it', () => {
+  const sheet = createSheet({ snapPoints: { closed: 0, peek: '200px', full: 0.95 } });
+  sheet.setPosition('peek', false);
+
+  // A quick 60px flick down from the 200px peek, measured against the 1000px viewport
+  const samples = [
+    { time: 0, y: 500 },
+    { time: 20, y: 520 },
+    { time: 40, y: 540 },
+    { time: 60, y: 560 }
+  ];
+  const result = sheet.replayGesture(samples);
+  assert.ok(Math.abs(result.trace[samples.length - 2].position - 0.14) < 1e-9);
+  assert.equal(result.snapPoint, 'closed');
+  assert.equal(result.position, 0);
+
+  assert.equal(sheet.physics.position, 0.2);
+  assert.equal(sheet.getPosition(), 'peek');
+});
+
+test('the initial position is set once the scheduler reaches the render delay', () => {
+  const sheet = new SheetController(createElement(), {
+    initialPosition: 'half',
+    scheduler: new ManualScheduler()
+  });
+  const scheduler = sheet.physics.scheduler;
+
+  scheduler.step(199);
+  assert.equal(sheet.physics.position, 0);
+
+  scheduler.step(1);
+  assert.equal(sheet.physics.position, 0.5);
+  assert.equal(scheduler.hasPendingTimers(), false);
+});
+
+test('new content and its fit-content height arrive on the scheduler\'s clock', () => {
+  const sheet = createSheet({ initialPosition: 'closed', snapPoints: { closed: 0, fit: 'fit-content', full: 0.95 } });
+  const scheduler = sheet.physics.scheduler;
+  const content = sheet.contentElement;
+  sheet.setPosition('fit', false);
+
+  sheet.setContent('<p>Details</p>');
+  assert.equal(content.style.opacity, '0');
+
+  // The old content stays until the fade-out ends
+  scheduler.step(149);
+  assert.equal(content.innerHTML, undefined);
+
+  // Then the sheet grows to the new content's height
+  content.scrollHeight = 400;
+  scheduler.step(1);
+  assert.equal(content.innerHTML, '<p>Details</p>');
+  assert.equal(content.style.opacity, '1');
+
+  scheduler.runUntilIdle(10);
+  assert.equal(sheet.getPosition(), 'fit');
+  assert.ok(Math.abs(sheet.physics.position - 0.4) < 1e-9);
+});
+
+test('snap points added at runtime survive new content, a view\'s own only last for that view', () => {
+  const sheet = createSheet();
+  const scheduler = sheet.physics.scheduler;
+  sheet.addSnapPoint('peek', '300px', 1);
+
+  sheet.setContent('<p>Summary</p>');
+  scheduler.runUntilIdle(10);
+  assert.equal(sheet.getPositionValue('peek'), 0.3);
+
+  sheet.setContent('<p>Chart</p>', { snapPoints: { closed: 0, full: 0.95 } });
+  assert.deepEqual(Object.keys(sheet.getSnapPoints()), ['closed', 'full']);
+
+  sheet.setContent('<p>Summary</p>');
+  assert.deepEqual(Object.keys(sheet.getSnapPoints()), ['closed', 'peek', 'docked', 'half', 'full']);
+});
+
+test('content without anything to focus is shown at full height', () => {
+  const sheet = createSheet();
+  sheet.setPosition('full', false);
+  sheet.contentElement.querySelector = () => null;
+
+  sheet.setContent('<p>Read only</p>');
+  sheet.physics.scheduler.runUntilIdle(10);
+  assert.equal(sheet.contentElement.innerHTML, '<p>Read only</p>');
+});
+
+test('unknown positions are ignored instead of closing the sheet', t => {
+  const sheet = createSheet();
+  sheet.setPosition('half', false);
+
+  const warn = t.mock.method(console, 'warn', () => {});
+  sheet.setPosition('missing', false);
+  assert.equal(warn.mock.callCount(), 1);
+  assert.equal(sheet.getPosition(), 'half');
+  assert.equal(sheet.physics.position, 0.5);
+});
+
+test('pushed sheets stack on top and are removed once popped', () => {
+  const root = createSheet();
+  const events = [];
+  root.onPush(() => events.push('push')).onPop(() => events.push('pop'));
+
+  const detail = root.push('Detail');
+  assert.equal(root.getStackDepth(), 1);
+  assert.equal(root.getTopSheet(), detail);
+  assert.equal(root.getElement().classList.contains('stacked'), true);
+
+  // Pushed sheets share the root's clock
+  root.physics.scheduler.runUntilIdle();
+  assert.equal(detail.getPosition(), 'full');
+
+  root.pop();
+  assert.equal(root.getStackDepth(), 0);
+  assert.equal(root.getElement().classList.contains('stacked'), false);
+  assert.equal(detail.getElement().removed, false);
+
+  root.physics.scheduler.runUntilIdle();
+  assert.equal(detail.getElement().removed, true);
+  assert.deepEqual(events, ['push', 'pop']);
+});
+
+test('popToRoot clears the whole stack', () => {
+  const root = createSheet();
+  root.push('First');
+  root.push('Second');
+
+  const popped = root.popToRoot(false);
+  assert.equal(popped.length, 2);
+  assert.equal(root.getStackDepth(), 0);
+  assert.ok(popped.every(sheet => sheet.getElement().removed));
+});
@@ -0,0 +1,245 @@
+/**
+ * SheetPhysics tests - run with `node --test test/`
+ * Animations are stepped with a ManualScheduler, so every run is identical
+ */
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const SheetPhysics = require('../sheet-physics.js');
+const ManualScheduler = require('../manual-scheduler.js');
+
+// Same detents and spring as the app's sheet
+const SNAP_POINTS = { closed: 0, docked: 0.15, half: 0.5, full: 0.95 };
+const VIEWPORT_HEIGHT = 1000;
+
+/**
+ * Create physics on a manual clock
+ * @param {Object} [options] - Extra SheetPhysics options
+ * @returns {SheetPhysics} Physics instance
+ */
+function createPhysics(options = {}) {
+  return new SheetPhysics({
+    snapPoints: SNAP_POINTS,
+    stiffness: 320,
+    damping: 28,
+    scheduler: new ManualScheduler(),
+    ...options
+  });
+}
+
+/**
+ * Build evenly spaced pointer samples for a straight drag
+ * @param {number} deltaY - Total pointer movement in px; negative is upward
+ * @param {number} duration - Gesture length in ms
+ * @param {number} [count] - Number of moves after the pointer down
+ * @returns {Object[]} Pointer samples
+ */
+function straightDrag(deltaY, duration, count = 10) {
+  const samples = [];
+  for (let i = 0; i <= count; i++) {
+    samples.push({ time: (duration * i) / count, y: 500 + (deltaY * i) / count });
+  }
+  return samples;
+}
+
+/**
+ * Replay a straight drag from a position
+ * @param {number} startPosition - Position at pointer down
+ * @param {number} deltaY - Total pointer movement in px
+ * @param {number} duration - Gesture length in ms
+ * @param {number} [count] - Number of moves
+ * @returns {Object} Replay result
+ */
+function replay(startPosition, deltaY, duration, count) {
+  return createPhysics().replayGesture(straightDrag(deltaY, duration, count), {
+    viewportHeight: VIEWPORT_HEIGHT,
+    startPosition
+  });
+}
+
+test('animations only advance when the scheduler steps', () => {
+  const physics = createPhysics();
+  let completed = false;
+  physics.onComplete = () => {
+    completed = true;
+  };
+
+  physics.animateTo(0.5);
+  assert.equal(physics.position, 0);
+  assert.equal(physics.scheduler.hasPendingFrames(), true);
+
+  physics.scheduler.step();
+  assert.ok(physics.position > 0 && physics.position < 0.5);
+
+  physics.scheduler.runUntilIdle();
+  assert.equal(completed, true);
+  assert.equal(physics.animating, false);
+  assert.equal(physics.position, 0.5);
+});
+
+test('motion is the same at any frame rate', () => {
+  const positionAfter = (frameInterval, frames) => {
+    const physics = createPhysics();
+    physics.animateTo(0.95);
+    for (let i = 0; i < frames; i++) {
+      physics.scheduler.step(frameInterval);
+    }
+    return physics.position;
+  };
+
+  // 100ms at 50, 100 and 200Hz, plus a run that drops every other 100Hz frame
+  const at100 = positionAfter(10, 10);
+  assert.ok(Math.abs(positionAfter(20, 5) - at100) < 1e-9);
+  assert.ok(Math.abs(positionAfter(5, 20) - at100) < 1e-9);
+  assert.ok(Math.abs(positionAfter(20, 4) - positionAfter(10, 8)) < 1e-9);
+});
+
+test('animations settle at the precomputed time however they are stepped', () => {
+  const settleFrames = frameInterval => {
+    const physics = createPhysics();
+    physics.animateTo(0.95);
+    const settleTime = physics.settleTime;
+    physics.scheduler.runUntilIdle(frameInterval);
+    return { settleTime, elapsed: physics.scheduler.now() / 1000 };
+  };
+
+  const slow = settleFrames(1000 / 30);
+  const fast = settleFrames(1000 / 120);
+  assert.equal(slow.settleTime, fast.settleTime);
+  assert.ok(slow.elapsed >= slow.settleTime && slow.elapsed - slow.settleTime < 1 / 30);
+  assert.ok(fast.elapsed >= fast.settleTime && fast.elapsed - fast.settleTime < 1 / 120);
+});
+
+test('closed-form spring matches a fine-step integration in every damping regime', () => {
+  [[320, 28], [100, 20], [100, 40]].forEach(([stiffness, damping]) => {
+    const physics = createPhysics({ stiffness, damping });
+
+    let displacement = -0.45;
+    let velocity = 1.5;
+    const dt = 1e-5;
+    for (let t = 0; t < 0.3; t += dt) {
+      velocity += (-stiffness * displacement - damping * velocity) * dt;
+      displacement += velocity * dt;
+    }
+
+    const state = physics.solveSpring(-0.45, 1.5, 0.3);
+    assert.ok(Math.abs(state.displacement - displacement) < 1e-3, `displacement at k=${stiffness} c=${damping}`);
+    assert.ok(Math.abs(state.velocity - velocity) < 1e-3, `velocity at k=${stiffness} c=${damping}`);
+  });
+});
+
+test('response and damping ratio round-trip to stiffness and damping', () => {
+  const physics = createPhysics({ response: 0.4, dampingRatio: 0.8 });
+  assert.ok(Math.abs(physics.getResponse() - 0.4) < 1e-9);
+  assert.ok(Math.abs(physics.getDampingRatio() - 0.8) < 1e-9);
+});
+
+test('a slow drag settles on the nearest snap point', () => {
+  assert.equal(replay(0.5, -100, 1000).snapPoint, 'half');
+  assert.equal(replay(0.5, -300, 1000).snapPoint, 'full');
+  assert.equal(replay(0.5, 250, 1000).snapPoint, 'docked');
+});
+
+test('a flick moves to the next snap point in its direction', () => {
+  const up = replay(0.5, -80, 60, 4);
+  assert.equal(up.snapPoint, 'full');
+  assert.equal(up.position, 0.95);
+
+  assert.equal(replay(0.5, 80, 60, 4).snapPoint, 'docked');
+  assert.equal(replay(0.95, 120, 80, 4).snapPoint, 'half');
+});
+
+test('a hard flick can skip snap points', () => {
+  // 150px in 40ms from docked projects past half
+  const up = replay(0.15, -150, 40, 4);
+  assert.equal(up.snapPoint, 'full');
+  assert.equal(up.position, 0.95);
+
+  const down = replay(0.95, 100, 40, 4);
+  assert.equal(down.snapPoint, 'docked');
+  assert.equal(down.position, 0.15);
+
+  const closed = replay(0.95, 150, 40, 4);
+  assert.equal(closed.snapPoint, 'closed');
+  assert.equal(closed.position, 0);
+});
+
+test('a flick swings past its snap point and springs back onto it', () => {
+  const withOvershoot = replay(0.15, -150, 40, 4);
+  assert.ok(Math.max(...withOvershoot.trace.map(frame => frame.position)) > 0.95);
+  assert.equal(withOvershoot.position, 0.95);
+
+  // Without overshoot the animation ends on reaching the snap point
+  const withoutOvershoot = createPhysics({ allowOvershoot: false }).replayGesture(straightDrag(-150, 40, 4), {
+    viewportHeight: VIEWPORT_HEIGHT,
+    startPosition: 0.15
+  });
+  assert.equal(withoutOvershoot.snapPoint, 'full');
+  assert.ok(withoutOvershoot.trace.every(frame => frame.position <= 0.95));
+  assert.equal(withoutOvershoot.position, 0.95);
+});
+
+test('the resting position is projected from the release velocity', () => {
+  const physics = createPhysics({ decelerationRate: 0.99 });
+  assert.ok(Math.abs(physics.projectRestingPosition(0.5, 1) - (0.5 + 0.99 / 1000 / 0.01)) < 1e-9);
+  assert.equal(physics.projectRestingPosition(0.5, 0), 0.5);
+});
+
+test('the snap policy can veto or redirect a snap', () => {
+  const physics = createPhysics();
+  const samples = straightDrag(300, 1000);
+  const calls = [];
+
+  // Veto: going back to where the drag started
+  physics.setSnapPolicy(decision => {
+    calls.push(decision);
+    return decision.to === 'docked' ? false : undefined;
+  });
+  const vetoed = physics.replayGesture(samples, { viewportHeight: VIEWPORT_HEIGHT, startPosition: 0.5 });
+  assert.equal(vetoed.snapPoint, 'half');
+  assert.equal(vetoed.position, 0.5);
+  assert.equal(calls[0].from, 'half');
+  assert.equal(calls[0].to, 'docked');
+
+  // Redirect: any snap point name, unknown names are ignored
+  physics.setSnapPolicy(() => 'full');
+  assert.equal(physics.replayGesture(samples, { viewportHeight: VIEWPORT_HEIGHT, startPosition: 0.5 }).snapPoint, 'full');
+
+  physics.setSnapPolicy(() => 'missing');
+  assert.equal(physics.replayGesture(samples, { viewportHeight: VIEWPORT_HEIGHT, startPosition: 0.5 }).snapPoint, 'docked');
+});
+
+test('dragging past either end meets rubber-band resistance', () => {
+  const physics = createPhysics();
+  assert.equal(physics.applyDragResistance(0.5), 0.5);
+  assert.ok(Math.abs(physics.applyDragResistance(1.15) - 1.01) < 1e-9);
+  assert.ok(Math.abs(physics.applyDragResistance(-0.1) - -0.03) < 1e-9);
+
+  // Overscroll springs back to the end it was pulled past
+  const above = replay(0.95, -200, 800);
+  assert.ok(Math.abs(Math.max(...above.trace.map(frame => frame.position)) - 1.01) < 1e-9);
+  assert.equal(above.snapPoint, 'full');
+  assert.equal(above.position, 0.95);
+
+  const below = replay(0.15, 300, 800);
+  assert.equal(below.snapPoint, 'closed');
+  assert.equal(below.position, 0);
+});
+
+test('gesture replay is reproducible and leaves the live physics alone', () => {
+  const physics = createPhysics();
+  physics.position = 0.5;
+
+  const samples = straightDrag(-80, 60, 4);
+  const first = physics.replayGesture(samples, { viewportHeight: VIEWPORT_HEIGHT });
+  const second = physics.replayGesture(samples, { viewportHeight: VIEWPORT_HEIGHT });
+
+  assert.deepEqual(first, second);
+  assert.equal(physics.position, 0.5);
+  assert.equal(physics.animating, false);
+
+  // The trace covers the drag and then the animation, in time order
+  assert.equal(first.trace[0].time, samples[1].time);
+  assert.ok(first.trace.every((frame, i) => i === 0 || frame.time >= first.trace[i - 1].time));
+  assert.equal(first.trace[first.trace.length - 1].position, first.position);
+});
@@ -0,0 +1,129 @@
+/**
+ * TargetSolver tests - run with `node --test test/`
+ */
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const TargetSolver = require('../target-solver.js');
+
+/**
+ * Build a profile whose target home is just out of reach on the total DTI
+ * @param {Object} [answers] - Answers that replace the profile's own
+ * @returns {Object} Mortgage data
+ */
+function createProfile(answers = {}) {
+  return {
+    targetHomePrice: 400000,
+    downPayment: 40000,
+    interestRate: 7,
+    monthlyIncome: 8500,
+    liquidCash: 100000,
+    creditScoreRange: 'Above 620',
+    debts: [
+      { id: 'car', type: 'auto', balance: 12000, monthlyPayment: 1000, monthsRemaining: 24, payingOff: false, description: '' },
+      { id: 'card', type: 'creditCard', balance: 2000, monthlyPayment: 100, monthsRemaining: null, payingOff: false, description: '' }
+    ],
+    ...answers
+  };
+}
+
+/**
+ * Find a solution by id
+ * @param {Object} result - Result from TargetSolver.solve()
+ * @param {string} id - Solution id
+ * @returns {Object} Solution
+ */
+function solution(result, id) {
+  return result.solutions.find(item => item.id === id);
+}
+
+test('there is nothing to solve without a target or when it already fits', () => {
+  const solver = new TargetSolver();
+
+  assert.equal(solver.solve(createProfile({ targetHomePrice: null })), null);
+
+  const fits = solver.solve(createProfile({ monthlyIncome: 20000 }));
+  assert.equal(fits.fits, true);
+  assert.deepEqual(fits.solutions, []);
+});
+
+test('every achievable solution makes the target fit once applied', () => {
+  const solver = new TargetSolver();
+  const data = createProfile();
+  const result = solver.solve(data);
+
+  assert.equal(result.fits, false);
+  assert.ok(result.shortfall > 0);
+  assert.deepEqual(result.solutions.map(item => item.id), ['income', 'debtPaydown', 'downPayment', 'rate']);
+
+  result.solutions.forEach(item => {
+    assert.equal(item.achievable, true, item.id);
+    assert.equal(solver.evaluateTarget({ ...data, ...item.changes }).fits, true, item.id);
+  });
+});
+
+test('solutions are the smallest change at their rounding step', () => {
+  const solver = new TargetSolver();
+  const data = createProfile();
+  const result = solver.solve(data);
+  const fitsWith = changes => solver.evaluateTarget({ ...data, ...changes }).fits;
+
+  const income = solution(result, 'income');
+  assert.equal(income.required % 10, 0);
+  assert.equal(fitsWith({ monthlyIncome: income.required - 10 }), false);
+
+  const downPayment = solution(result, 'downPayment');
+  assert.equal(downPayment.required % 100, 0);
+  assert.equal(fitsWith({ downPayment: downPayment.required - 100 }), false);
+
+  const rate = solution(result, 'rate');
+  assert.ok(rate.required < 7);
+  assert.equal(fitsWith({ interestRate: rate.required + 0.001 }), false);
+});
+
+test('a bigger down payment is only achievable with the cash to close it', () => {
+  const solver = new TargetSolver();
+  const data = createProfile({ liquidCash: 60000 });
+  const downPayment = solution(solver.solve(data), 'downPayment');
+
+  assert.equal(downPayment.achievable, false);
+  assert.equal(downPayment.changes, null);
+  assert.equal(downPayment.reason, "You don't have enough cash to close with that down payment");
+
+  const { shortfall } = solver.engine.calculateCashToClose({ ...data, downPayment: downPayment.required });
+  assert.ok(shortfall > 0);
+  assert.equal(downPayment.cashShortfall, shortfall);
+});
+
+test('a rounded down payment that loses the fit falls back to a smaller one', () => {
+  const solver = new TargetSolver({ downPaymentStep: 10000 });
+  const data = createProfile({ targetHomePrice: 300000, downPayment: 30000, monthlyIncome: 6400, liquidCash: 80000, debts: createProfile().debts.slice(0, 1) });
+
+  // Going up to 70000 drains the reserves enough to lower the max DTI
+  assert.equal(solver.evaluateTarget({ ...data, downPayment: 70000 }).fits, false);
+
+  const downPayment = solution(solver.solve(data), 'downPayment');
+  assert.equal(downPayment.achievable, true);
+  assert.equal(downPayment.required % 1, 0);
+  assert.ok(downPayment.required < 70000);
+  assert.equal(solver.evaluateTarget({ ...data, ...downPayment.changes }).fits, true);
+});
+
+test('debts that free the most payment per dollar are paid off first', () => {
+  const result = new TargetSolver().solve(createProfile());
+  const paydown = solution(result, 'debtPaydown');
+
+  // The car frees 1000/mo for 12000; the card only 100/mo for 2000
+  assert.deepEqual(paydown.paidOff.map(debt => debt.id), ['car']);
+  assert.equal(paydown.change, 12000);
+  assert.deepEqual(paydown.changes.debts.map(debt => debt.payingOff), [true, false]);
+});
+
+test('paying off debts can\'t fix a housing payment over the housing limit', () => {
+  const result = new TargetSolver().solve(createProfile({ monthlyIncome: 8000, debts: [] }));
+  const paydown = solution(result, 'debtPaydown');
+
+  assert.equal(paydown.achievable, false);
+  assert.equal(paydown.changes, null);
+  assert.equal(paydown.reason, 'Your housing payment alone is over the limit');
+});
@@ -0,0 +1,221 @@
+/**
+ * UnderwritingEngine tests - run with `node --test test/`
+ */
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const UnderwritingEngine = require('../underwriting-engine.js');
+
+/**
+ * List the factor names that adjusted the max DTI
+ * @param {Object} result - Result from UnderwritingEngine.calculateMaxDti()
+ * @returns {string[]} Factor names in order
+ */
+function factorNames(result) {
+  return result.factors.map(factor => factor.factor);
+}
+
+test('max DTI starts at the baseline without any factors', () => {
+  const result = new UnderwritingEngine().calculateMaxDti({});
+  assert.equal(result.maxDti, 43);
+  assert.deepEqual(result.factors, []);
+});
+
+test('max DTI is clamped between 33% and 50%', () => {
+  const engine = new UnderwritingEngine();
+
+  // 43 - 5 - 3 - 2 - 1 = 32
+  const low = engine.calculateMaxDti({
+    creditScoreRange: 'Below 580',
+    bankruptcy: true,
+    latePayments: true,
+    incomeTrend: 'Decreased'
+  });
+  assert.equal(low.maxDti, 33);
+  assert.equal(low.factors.reduce((sum, factor) => sum + factor.amount, 0), -11);
+
+  // 47 + 2 + 1 + 1 = 51
+  const high = new UnderwritingEngine({ baseMaxDti: 47 }).calculateMaxDti({
+    creditScoreRange: 'Above 620',
+    incomeTrend: 'Increased',
+    residencyDuration: '3 years'
+  });
+  assert.equal(high.maxDti, 50);
+  assert.deepEqual(factorNames(high), ['Excellent credit score', 'Increasing income', 'Stable housing history']);
+});
+
+test('credit score ranges move the max DTI', () => {
+  const engine = new UnderwritingEngine();
+  const maxDtiFor = creditScoreRange => engine.calculateMaxDti({ creditScoreRange }).maxDti;
+
+  assert.equal(maxDtiFor('Above 620'), 45);
+  assert.equal(maxDtiFor('600-620'), 44);
+  assert.equal(maxDtiFor('580-600'), 43);
+  assert.equal(maxDtiFor('Below 580'), 38);
+});
+
+test('a co-borrower\'s lower credit score range is the one that counts', () => {
+  const engine = new UnderwritingEngine();
+  const data = {
+    creditScoreRange: 'Above 620',
+    hasCoBorrower: true,
+    coBorrowerCreditScoreRange: '600-620'
+  };
+
+  assert.equal(engine.getQualifyingCreditScoreRange(data), '600-620');
+  assert.deepEqual(factorNames(engine.calculateMaxDti(data)), ['Good credit score']);
+});
+
+test('a co-borrower\'s income only counts while they are on the application', () => {
+  const engine = new UnderwritingEngine();
+  const data = { monthlyIncome: 5000, coBorrowerMonthlyIncome: 3000 };
+
+  assert.equal(engine.calculateMonthlyIncome(data), 5000);
+  assert.equal(engine.calculateMonthlyIncome({ ...data, hasCoBorrower: true }), 8000);
+});
+
+test('reserves left after closing raise the max DTI', () => {
+  const engine = new UnderwritingEngine();
+  const data = { targetHomePrice: 300000, downPayment: 30000 };
+  const { cashToClose, monthlyPayment } = engine.calculateCashToClose(data);
+
+  const withReserves = answers => engine.calculateMaxDti({ ...data, ...answers });
+
+  // A month of payments left over isn't enough to count
+  assert.deepEqual(withReserves({ liquidCash: cashToClose + monthlyPayment }).factors, []);
+
+  const moderate = withReserves({ liquidCash: cashToClose + 3 * monthlyPayment });
+  assert.deepEqual(factorNames(moderate), ['Moderate cash reserves']);
+  assert.equal(moderate.maxDti, 44);
+
+  const strong = withReserves({ liquidCash: cashToClose + 7 * monthlyPayment });
+  assert.deepEqual(factorNames(strong), ['Strong cash reserves']);
+  assert.equal(strong.maxDti, 45);
+
+  // Retirement balances count at 60% once closing is paid for
+  const retirement = withReserves({ liquidCash: cashToClose, retirementInvestments: (7 * monthlyPayment) / 0.6 });
+  assert.deepEqual(factorNames(retirement), ['Strong cash reserves']);
+});
+
+test('cash to close and reserve settings of zero are kept', () => {
+  const engine = new UnderwritingEngine({
+    closingCostRate: 0,
+    prepaidInsuranceMonths: 0,
+    escrowTaxMonths: 0,
+    prepaidInterestDays: 0,
+    retirementAssetRate: 0,
+    minReserveMonths: 0,
+    minMonthsRemaining: 0
+  });
+  const data = { targetHomePrice: 300000, downPayment: 30000, liquidCash: 30000, retirementInvestments: 100000 };
+  const cashToClose = engine.calculateCashToClose(data);
+
+  assert.equal(cashToClose.cashToClose, 30000);
+  assert.equal(cashToClose.reserves, 0);
+  assert.equal(cashToClose.minReserveMonths, 0);
+
+  // Every installment debt counts, however few payments are left
+  const debts = [{ id: 'car', type: 'auto', balance: 300, monthlyPayment: 300, monthsRemaining: 1, payingOff: false, description: '' }];
+  assert.equal(engine.calculateNonHousingDebt({ debts }), 300);
+});
+
+test('ratios use the proposed payment on the target price, not the current rent', () => {
+  const engine = new UnderwritingEngine();
+  const results = engine.calculate({
+    targetHomePrice: 300000,
+    downPayment: 60000,
+    monthlyIncome: 6000,
+    currentHousingExpense: 1500,
+    debts: [
+      { id: 'car', type: 'auto', balance: 30000, monthlyPayment: 1000, monthsRemaining: 36, payingOff: false },
+      { id: 'phone', type: 'other', balance: 300, monthlyPayment: 50, monthsRemaining: 6, payingOff: false }
+    ]
+  });
+  const housing = results.projectedHousing.total;
+
+  assert.equal(results.housingPayment, housing);
+  assert.notEqual(results.housingPayment, 1500);
+
+  // The debt with only 6 payments left doesn't count
+  assert.equal(results.nonHousingDebt, 1000);
+  assert.ok(Math.abs(results.frontEndRatio - (housing / 6000) * 100) < 1e-9);
+  assert.ok(Math.abs(results.backEndRatio - ((housing + 1000) / 6000) * 100) < 1e-9);
+
+  // The house alone fits the 36% housing limit, but not with the car payment on top
+  assert.ok(results.frontEndRatio > 30 && results.frontEndRatio < 36);
+  assert.equal(results.frontEndWithinLimit, true);
+  assert.ok(results.backEndRatio > results.maxDti);
+  assert.equal(results.backEndWithinLimit, false);
+});
+
+test('without a target price the ratios fall back to the current housing expense', () => {
+  const results = new UnderwritingEngine().calculate({
+    monthlyIncome: 5000,
+    currentHousingExpense: 1500,
+    collectionsPayments: 100,
+    debts: [
+      { id: 'car', type: 'auto', balance: 9000, monthlyPayment: 300, monthsRemaining: 30, payingOff: false },
+      { id: 'card', type: 'creditCard', balance: 2000, monthlyPayment: 100, monthsRemaining: '', payingOff: false }
+    ]
+  });
+
+  assert.equal(results.projectedHousing, null);
+  assert.equal(results.nonHousingDebt, 500);
+  assert.equal(results.frontEndRatio, 30);
+  assert.equal(results.backEndRatio, 40);
+});
+
+test('debts paid off, nearly paid off or deferred follow the counting rules', () => {
+  const engine = new UnderwritingEngine();
+  const { items, total } = engine.calculateDebts({
+    debts: [
+      { id: 'car', type: 'auto', balance: 3000, monthlyPayment: 400, monthsRemaining: 6, payingOff: false },
+      { id: 'lease', type: 'lease', balance: 3000, monthlyPayment: 300, monthsRemaining: 6, payingOff: false },
+      { id: 'card', type: 'creditCard', balance: 5000, monthlyPayment: 150, monthsRemaining: '', payingOff: true },
+      { id: 'school', type: 'student', balance: 40000, monthlyPayment: 0, monthsRemaining: '', payingOff: false }
+    ]
+  });
+
+  // Only installment debts drop off near the end; a lease keeps counting
+  assert.deepEqual(items.map(item => item.countedPayment), [0, 300, 0, 400]);
+  assert.equal(items[0].note, 'Fewer than 10 payments remaining');
+  assert.equal(items[2].note, 'Paid off before closing');
+  assert.equal(items[3].note, '1% of balance used as payment');
+  assert.equal(total, 700);
+});
+
+test('the max payment is the lower of the back-end room and the front-end cap', () => {
+  const engine = new UnderwritingEngine();
+
+  // Back-end: 43% of 10000 less 2000 of debts
+  assert.equal(engine.calculateMaxMonthlyPayment(10000, 43, 2000), 2300);
+  assert.equal(engine.calculateMaxMonthlyPayment(10000, 43, 2000, 36), 2300);
+
+  // Front-end: 36% of 10000 when debts are light
+  assert.equal(engine.calculateMaxMonthlyPayment(10000, 43, 500, 36), 3600);
+});
+
+test('a program\'s baseline and ceiling replace the standard limits', () => {
+  const engine = new UnderwritingEngine();
+  const data = { creditScoreRange: 'Above 620', incomeTrend: 'Increased', residencyDuration: '2 years' };
+
+  // 41 + 2 + 1 + 1 = 45, over USDA's 44 ceiling
+  assert.equal(engine.calculateMaxDti(data, engine.getProgram('usda')).maxDti, 44);
+  assert.equal(engine.calculateMaxDti(data, engine.getProgram('va')).maxDti, 45);
+  assert.equal(engine.getProgram('unknown').id, 'conventional');
+});
+
+test('programs are checked against credit, down payment and loan size', () => {
+  const engine = new UnderwritingEngine();
+  const data = { targetHomePrice: 300000, downPayment: 15000, creditScoreRange: '600-620', monthlyIncome: 8000 };
+  const status = programId => engine.evaluateProgram(data, engine.getProgram(programId)).status;
+
+  assert.equal(status('fha'), 'eligible');
+  // 600-620 straddles the 620 minimum
+  assert.equal(status('conventional'), 'review');
+  assert.equal(status('usda'), 'ineligible');
+
+  const jumbo = engine.evaluateProgram(data, engine.getProgram('jumbo'));
+  assert.equal(jumbo.eligible, false);
+  assert.deepEqual(jumbo.reasons.slice(-2), ['Requires at least 10% down', 'Only for loan amounts above $766,550']);
+});
@@ -0,0 +1,748 @@
+/**
+ * UnderwritingEngine - Pure DTI and maximum DTI calculations for mortgage profiles
+ * Takes the MortgageDataCollection data shape and returns a structured result
+ */
+class UnderwritingEngine {
+  /**
+   * Initialize the underwriting engine
+   * @param {Object} options - Configuration options
+   */
+  constructor(options = {}) {
+    // Baseline maximum DTI before profile adjustments
+    this.baseMaxDti = options.baseMaxDti || 43;
+
+    // Bounds applied after all adjustments
+    this.minMaxDti = options.minMaxDti || 33;
+    this.maxMaxDti = options.maxMaxDti || 50;
+
+    // Loan program rule sets keyed by id
+    this.programs = options.programs || this.getDefaultPrograms();
+
+    // Shared payment and mortgage insurance math
+    this.calculator = options.calculator || this.createDefaultCalculator();
+
+    // Qualifying income from the per-source income worksheet
+    this.incomeCalculator = options.incomeCalculator || this.createDefaultIncomeCalculator();
+    this.defaultProgramId = options.defaultProgramId || 'conventional';
+
+    // Debt types offered in the itemized debt list
+    // Installment debts with only a few payments left don't count toward DTI
+    this.debtTypes = options.debtTypes || {
+      auto: { label: 'Auto loan', installment: true },
+      creditCard: { label: 'Credit card', installment: false },
+      student: { label: 'Student loan', installment: true },
+      personal: { label: 'Personal loan', installment: true },
+      medical: { label: 'Medical bill', installment: true },
+      support: { label: 'Child support / alimony', installment: false },
+      lease: { label: 'Lease', installment: false },
+      other: { label: 'Other', installment: true }
+    };
+
+    // Installment debts with fewer months left than this are excluded
+    this.minMonthsRemaining = options.minMonthsRemaining !== undefined ? options.minMonthsRemaining : 10;
+
+    // Share of the balance used as the payment for deferred student loans
+    this.studentLoanPaymentRate = options.studentLoanPaymentRate || 1;
+
+    // Cash to close estimates: lender and title fees as a % of the loan, plus
+    // prepaid homeowners insurance, property tax escrow and interest; 0 leaves one out
+    this.closingCostRate = options.closingCostRate !== undefined ? options.closingCostRate : 3;
+    this.prepaidInsuranceMonths = options.prepaidInsuranceMonths !== undefined ? options.prepaidInsuranceMonths : 12;
+    this.escrowTaxMonths = options.escrowTaxMonths !== undefined ? options.escrowTaxMonths : 3;
+    this.prepaidInterestDays = options.prepaidInterestDays !== undefined ? options.prepaidInterestDays : 15;
+
+    // Share of retirement and investment balances (%) counted toward reserves,
+    // allowing for taxes and penalties on withdrawal
+    this.retirementAssetRate = options.retirementAssetRate !== undefined ? options.retirementAssetRate : 60;
+
+    // Months of PITI left after closing that lenders look for
+    this.minReserveMonths = options.minReserveMonths !== undefined ? options.minReserveMonths : 2;
+    this.strongReserveMonths = options.strongReserveMonths || 6;
+
+    // Budget tiers for the affordability range; null limits use the profile's maximums
+    this.affordabilityTiers = options.affordabilityTiers || [
+      { id: 'conservative', label: 'Conservative', frontEndDti: 28, backEndDti: 36, description: 'The classic 28/36 rule' },
+      { id: 'moderate', label: 'Comfortable', frontEndDti: 31, backEndDti: 40, description: 'Room in the budget for savings' },
+      { id: 'aggressive', label: 'Maximum', frontEndDti: null, backEndDti: null, description: 'The most a lender may allow' }
+    ];
+
+    // Representative score bounds for each credit score range answer
+    this.creditScoreRanges = options.creditScoreRanges || {
+      'Below 580': { min: 300, max: 579 },
+      '580-600': { min: 580, max: 600 },
+      '600-620': { min: 600, max: 620 },
+      'Above 620': { min: 621, max: 850 }
+    };
+  }
+
+  /**
+   * Resolve the bundled loan program definitions
+   * @returns {Object} Loan programs keyed by id
+   */
+  getDefaultPrograms() {
+    if (typeof LOAN_PROGRAMS !== 'undefined') {
+      return LOAN_PROGRAMS;
+    }
+    if (typeof require === 'function') {
+      return require('./loan-programs.js');
+    }
+    return {};
+  }
+
+  /**
+   * Create the MortgageCalculator used for payment math
+   * @returns {MortgageCalculator} Calculator instance
+   */
+  createDefaultCalculator() {
+    const Calculator = typeof MortgageCalculator !== 'undefined'
+      ? MortgageCalculator
+      : require('./mortgage-calculator.js');
+    return new Calculator();
+  }
+
+  /**
+   * Create the IncomeCalculator used for qualifying income
+   * @returns {IncomeCalculator} Calculator instance
+   */
+  createDefaultIncomeCalculator() {
+    const Calculator = typeof IncomeCalculator !== 'undefined'
+      ? IncomeCalculator
+      : require('./income-calculator.js');
+    return new Calculator();
+  }
+
+  /**
+   * Look up a loan program, falling back to the default program
+   * @param {string} programId - Program id from the data model
+   * @returns {Object|null} Loan program rule set
+   */
+  getProgram(programId) {
+    return this.programs[programId] || this.programs[this.defaultProgramId] || null;
+  }
+
+  /**
+   * Run the full DTI calculation for a profile
+   * @param {Object} data - Mortgage data in the MortgageDataCollection shape
+   * @returns {Object} Result with ratios, max DTI, factors and max payment
+   */
+  calculate(data) {
+    const monthlyIncome = this.calculateMonthlyIncome(data);
+    const housingExpense = this.parseAmount(data.currentHousingExpense);
+    const program = this.getProgram(data.loanProgram);
+    const debts = this.calculateDebts(data, program);
+    const nonHousingDebt = debts.total;
+
+    // Ratios are measured against the proposed PITI for the target home;
+    // current rent is replaced by the new mortgage and only used without a target price
+    const projectedHousing = this.calculateProjectedHousingPayment(data, program);
+    const housingPayment = projectedHousing ? projectedHousing.total : housingExpense;
+    const totalDebt = housingPayment + nonHousingDebt;
+
+    // Front-end ratio covers housing only, back-end ratio covers all debts
+    const frontEndRatio = this.calculateRatio(housingPayment, monthlyIncome);
+    const backEndRatio = this.calculateRatio(totalDebt, monthlyIncome);
+
+    const maxFrontEndDti = program ? program.maxFrontEndDti : null;
+    const { maxDti, factors } = this.calculateMaxDti(data, program);
+    const maxMonthlyPayment = this.calculateMaxMonthlyPayment(monthlyIncome, maxDti, nonHousingDebt, maxFrontEndDti);
+
+    return {
+      monthlyIncome,
+      housingExpense,
+      projectedHousing,
+      housingPayment,
+      nonHousingDebt,
+      totalDebt,
+      debts: debts.items,
+      frontEndRatio,
+      backEndRatio,
+      frontEndWithinLimit: maxFrontEndDti === null || frontEndRatio <= maxFrontEndDti,
+      backEndWithinLimit: backEndRatio <= maxDti,
+      dti: backEndRatio,
+      maxDti,
+      maxFrontEndDti,
+      factors,
+      maxMonthlyPayment,
+      program: program ? program.id : null,
+      programName: program ? program.name : null,
+      creditScoreRange: this.getQualifyingCreditScoreRange(data),
+      income: this.incomeCalculator.calculate(data),
+      borrowers: this.calculateBorrowerContributions(data, debts.items, monthlyIncome),
+      programComparison: this.evaluatePrograms(data)
+    };
+  }
+
+  /**
+   * List the applicants on the profile
+   * The co-borrower's answers are kept in parallel coBorrower* fields; only the
+   * primary borrower's income goes through the income worksheet
+   * @param {Object} data - Mortgage data
+   * @returns {Array} Borrowers with id, label, income, credit range and debt list field
+   */
+  getBorrowers(data) {
+    const borrowers = [{
+      id: 'borrower',
+      label: 'Borrower',
+      monthlyIncome: this.incomeCalculator.calculate(data).monthlyIncome,
+      creditScoreRange: data.creditScoreRange || '',
+      debtField: 'debts'
+    }];
+
+    if (data.hasCoBorrower === true) {
+      borrowers.push({
+        id: 'coBorrower',
+        label: 'Co-borrower',
+        monthlyIncome: this.parseAmount(data.coBorrowerMonthlyIncome),
+        creditScoreRange: data.coBorrowerCreditScoreRange || '',
+        debtField: 'coBorrowerDebts'
+      });
+    }
+
+    return borrowers;
+  }
+
+  /**
+   * Combined monthly income of every borrower
+   * @param {Object} data - Mortgage data
+   * @returns {number} Monthly gross income
+   */
+  calculateMonthlyIncome(data) {
+    return this.getBorrowers(data).reduce((sum, borrower) => sum + borrower.monthlyIncome, 0);
+  }
+
+  /**
+   * Credit score range the loan is qualified on
+   * Joint applications use the lower of the borrowers' middle scores, so the
+   * lowest answered range wins
+   * @param {Object} data - Mortgage data
+   * @returns {string} Credit score range answer, empty when none was given
+   */
+  getQualifyingCreditScoreRange(data) {
+    return this.getBorrowers(data)
+      .map(borrower => borrower.creditScoreRange)
+      .filter(range => this.creditScoreRanges[range])
+      .reduce((lowest, range) => (
+        lowest === '' || this.creditScoreRanges[range].min < this.creditScoreRanges[lowest].min ? range : lowest
+      ), '');
+  }
+
+  /**
+   * Combined assets of every borrower
+   * @param {Object} data - Mortgage data
+   * @returns {Object} Liquid assets (cash plus other liquid assets) and retirement balances
+   */
+  calculateAssets(data) {
+    const assets = {
+      liquid: this.parseAmount(data.liquidCash) + this.parseAmount(data.otherLiquidAssets),
+      retirement: this.parseAmount(data.retirementInvestments)
+    };
+
+    if (data.hasCoBorrower === true) {
+      assets.liquid += this.parseAmount(data.coBorrowerLiquidCash) + this.parseAmount(data.coBorrowerOtherLiquidAssets);
+      assets.retirement += this.parseAmount(data.coBorrowerRetirementInvestments);
+    }
+
+    return assets;
+  }
+
+  /**
+   * Estimate the cash needed at closing and the reserves left afterwards
+   * Liquid assets pay for closing; what's left plus a discounted share of
+   * retirement balances counts as reserves, measured in months of PITI
+   * @param {Object} data - Mortgage data
+   * @param {Object} [program] - Loan program whose mortgage insurance rules apply
+   * @param {number} [homePrice] - Price to use instead of the target home price
+   * @returns {Object|null} Cash to close, assets, surplus or shortfall and reserves,
+   *   null without a price
+   */
+  calculateCashToClose(data, program = null, homePrice = null) {
+    const price = typeof homePrice === 'number' ? homePrice : this.parseAmount(data.targetHomePrice);
+    if (price <= 0) return null;
+
+    const downPayment = Math.min(this.parseAmount(data.downPayment), price);
+    const loanTerms = this.calculator.getLoanTerms(data);
+    const housing = this.calculator.calculateHousingPayment(price, downPayment, this.getHousingPaymentOptions(data, program));
+    const loanAmount = housing.loanAmount;
+
+    const closingCosts = loanAmount * (this.closingCostRate / 100);
+    const pointsCost = this.calculator.calculatePointsCost(loanAmount, loanTerms.points);
+    const prepaids = {
+      homeInsurance: housing.homeInsurance * this.prepaidInsuranceMonths,
+      propertyTax: housing.propertyTax * this.escrowTaxMonths,
+      interest: ((loanAmount * (loanTerms.effectiveRate / 100)) / 365) * this.prepaidInterestDays
+    };
+    prepaids.total = prepaids.homeInsurance + prepaids.propertyTax + prepaids.interest;
+
+    const cashToClose = downPayment + closingCosts + pointsCost + prepaids.total;
+    const assets = this.calculateAssets(data);
+    const countedRetirement = assets.retirement * (this.retirementAssetRate / 100);
+    const surplus = assets.liquid - cashToClose;
+    const reserves = Math.max(0, surplus) + countedRetirement;
+
+    return {
+      homePrice: price,
+      loanAmount,
+      downPayment,
+      closingCosts,
+      pointsCost,
+      prepaids,
+      cashToClose,
+      liquidAssets: assets.liquid,
+      retirementAssets: assets.retirement,
+      countedRetirement,
+      surplus,
+      shortfall: Math.max(0, -surplus),
+      reserves,
+      monthlyPayment: housing.total,
+      reserveMonths: housing.total > 0 ? reserves / housing.total : 0,
+      minReserveMonths: this.minReserveMonths
+    };
+  }
+
+  /**
+   * Each borrower's share of the income and counted debts
+   * @param {Object} data - Mortgage data
+   * @param {Array} debtItems - Debt results from calculateDebts()
+   * @param {number} monthlyIncome - Combined monthly income
+   * @returns {Array} Contribution per borrower
+   */
+  calculateBorrowerContributions(data, debtItems, monthlyIncome) {
+    const qualifyingRange = this.getQualifyingCreditScoreRange(data);
+
+    return this.getBorrowers(data).map(borrower => ({
+      id: borrower.id,
+      label: borrower.label,
+      monthlyIncome: borrower.monthlyIncome,
+      incomeShare: this.calculateRatio(borrower.monthlyIncome, monthlyIncome),
+      nonHousingDebt: debtItems
+        .filter(debt => debt.owner === borrower.id)
+        .reduce((sum, debt) => sum + debt.countedPayment, 0),
+      creditScoreRange: borrower.creditScoreRange,
+      qualifyingCredit: borrower.creditScoreRange !== '' && borrower.creditScoreRange === qualifyingRange
+    }));
+  }
+
+  /**
+   * Options for MortgageCalculator housing payment math, read from the profile
+   * @param {Object} data - Mortgage data
+   * @param {Object} [program] - Loan program whose mortgage insurance rules apply
+   * @returns {Object} Rate, term, housing costs, credit range and insurance rules
+   */
+  getHousingPaymentOptions(data, program = null) {
+    const loanTerms = this.calculator.getLoanTerms(data);
+
+    return {
+      annualRate: loanTerms.effectiveRate,
+      termYears: loanTerms.termYears,
+      ...this.calculator.getHousingCosts(data),
+      creditScoreRange: this.getQualifyingCreditScoreRange(data),
+      mortgageInsurance: program ? program.mortgageInsurance : null
+    };
+  }
+
+  /**
+   * Proposed PITI payment for the target home price
+   * @param {Object} data - Mortgage data
+   * @param {Object} [program] - Loan program whose mortgage insurance rules apply
+   * @returns {Object|null} Payment breakdown, null without a target price
+   */
+  calculateProjectedHousingPayment(data, program = null) {
+    const targetHomePrice = this.parseAmount(data.targetHomePrice);
+    if (targetHomePrice <= 0) return null;
+
+    return this.calculator.calculateHousingPayment(
+      targetHomePrice,
+      this.parseAmount(data.downPayment),
+      this.getHousingPaymentOptions(data, program)
+    );
+  }
+
+  /**
+   * Highest home price whose full PITI payment fits under the max DTI
+   * @param {Object} data - Mortgage data
+   * @param {number} [maxDti] - Maximum DTI to use instead of the profile's own
+   * @returns {Object} Max DTI, max payment and the PITI breakdown at the max price
+   */
+  calculateAffordability(data, maxDti = null) {
+    const program = this.getProgram(data.loanProgram);
+    const limit = typeof maxDti === 'number' ? maxDti : this.calculateMaxDti(data, program).maxDti;
+    const maxMonthlyPayment = this.calculateMaxMonthlyPayment(
+      this.calculateMonthlyIncome(data),
+      limit,
+      this.calculateNonHousingDebt(data, program),
+      program ? program.maxFrontEndDti : null
+    );
+
+    const breakdown = this.calculator.solveMaxHomePrice(
+      maxMonthlyPayment, this.parseAmount(data.downPayment), this.getHousingPaymentOptions(data, program)
+    );
+
+    return {
+      program,
+      maxDti: limit,
+      maxMonthlyPayment,
+      breakdown,
+      loanAmount: breakdown.loanAmount,
+      estimatedPrice: breakdown.homePrice
+    };
+  }
+
+  /**
+   * Home price, payment and leftover budget at each affordability tier
+   * Tier limits never exceed the profile's own maximum DTI or the program's housing ratio cap
+   * @param {Object} data - Mortgage data
+   * @param {number} [maxDti] - Maximum DTI to use instead of the profile's own
+   * @returns {Array} One affordability result per tier, in the same shape as calculateAffordability()
+   */
+  calculateAffordabilityTiers(data, maxDti = null) {
+    const program = this.getProgram(data.loanProgram);
+    const limit = typeof maxDti === 'number' ? maxDti : this.calculateMaxDti(data, program).maxDti;
+    const frontEndCap = program ? program.maxFrontEndDti : null;
+    const monthlyIncome = this.calculateMonthlyIncome(data);
+    const nonHousingDebt = this.calculateNonHousingDebt(data, program);
+    const options = this.getHousingPaymentOptions(data, program);
+
+    return this.affordabilityTiers.map(tier => {
+      const backEndDti = tier.backEndDti === null ? limit : Math.min(tier.backEndDti, limit);
+      const frontEndDti = [tier.frontEndDti, frontEndCap].filter(value => value !== null && value !== undefined);
+      const maxFrontEndDti = frontEndDti.length > 0 ? Math.min(...frontEndDti) : null;
+
+      const maxMonthlyPayment = this.calculateMaxMonthlyPayment(monthlyIncome, backEndDti, nonHousingDebt, maxFrontEndDti);
+      const breakdown = this.calculator.solveMaxHomePrice(maxMonthlyPayment, this.parseAmount(data.downPayment), options);
+
+      return {
+        id: tier.id,
+        label: tier.label,
+        description: tier.description,
+        program,
+        maxDti: backEndDti,
+        maxFrontEndDti,
+        maxMonthlyPayment,
+        breakdown,
+        loanAmount: breakdown.loanAmount,
+        estimatedPrice: breakdown.homePrice,
+        // Gross income left each month after the housing payment and other debts
+        remainingBudget: monthlyIncome - breakdown.total - nonHousingDebt
+      };
+    });
+  }
+
+  /**
+   * Check eligibility and limits for every loan program side by side
+   * @param {Object} data - Mortgage data
+   * @returns {Array} One evaluation per program
+   */
+  evaluatePrograms(data) {
+    return Object.values(this.programs).map(program => this.evaluateProgram(data, program));
+  }
+
+  /**
+   * Check a profile against a single loan program's rules
+   * @param {Object} data - Mortgage data
+   * @param {Object} program - Loan program rule set
+   * @returns {Object} Eligibility status, reasons and program-specific limits
+   */
+  evaluateProgram(data, program) {
+    const monthlyIncome = this.calculateMonthlyIncome(data);
+    const creditScoreRange = this.getQualifyingCreditScoreRange(data);
+    const nonHousingDebt = this.calculateNonHousingDebt(data, program);
+    const { maxDti } = this.calculateMaxDti(data, program);
+    const maxMonthlyPayment = this.calculateMaxMonthlyPayment(
+      monthlyIncome, maxDti, nonHousingDebt, program.maxFrontEndDti
+    );
+
+    const targetHomePrice = this.parseAmount(data.targetHomePrice);
+    const downPayment = this.parseAmount(data.downPayment);
+    const loanAmount = Math.max(0, targetHomePrice - downPayment);
+    const downPaymentPercent = targetHomePrice > 0 ? (downPayment / targetHomePrice) * 100 : 0;
+
+    // Ineligible outranks needs-review, which outranks eligible
+    const statusRank = { eligible: 0, review: 1, ineligible: 2 };
+    let status = 'eligible';
+    const reasons = [];
+    const flag = (newStatus, reason) => {
+      if (statusRank[newStatus] > statusRank[status]) {
+        status = newStatus;
+      }
+      reasons.push(reason);
+    };
+
+    // Credit score, qualified on the lowest borrower's range
+    this.getBorrowers(data).forEach(borrower => {
+      if (!this.creditScoreRanges[borrower.creditScoreRange]) {
+        flag('review', borrower.id === 'borrower' ? 'Credit score not provided' : `${borrower.label} credit score not provided`);
+      }
+    });
+
+    const scoreRange = this.creditScoreRanges[creditScoreRange];
+    if (scoreRange && scoreRange.max < program.minCreditScore) {
+      flag('ineligible', `Requires a credit score of ${program.minCreditScore}+`);
+    } else if (scoreRange && scoreRange.min < program.minCreditScore) {
+      flag('review', `Credit score may be below the ${program.minCreditScore} minimum`);
+    }
+
+    // Down payment
+    if (targetHomePrice > 0 && downPaymentPercent < program.minDownPaymentPercent) {
+      flag('ineligible', `Requires at least ${program.minDownPaymentPercent}% down`);
+    }
+
+    // Loan amount limits
+    if (program.maxLoanAmount && loanAmount > program.maxLoanAmount) {
+      flag('ineligible', `Loan amount exceeds the $${program.maxLoanAmount.toLocaleString('en-US')} limit`);
+    }
+    if (program.minLoanAmount && targetHomePrice > 0 && loanAmount < program.minLoanAmount) {
+      flag('ineligible', `Only for loan amounts above $${(program.minLoanAmount - 1).toLocaleString('en-US')}`);
+    }
+
+    // Existing debts alone can use up the whole DTI allowance
+    if (monthlyIncome > 0 && maxMonthlyPayment <= 0) {
+      flag('ineligible', 'Existing debts exceed the program DTI limit');
+    }
+
+    // Ratios for the target home under this program's insurance rules
+    const projectedHousing = this.calculateProjectedHousingPayment(data, program);
+    const frontEndRatio = projectedHousing ? this.calculateRatio(projectedHousing.total, monthlyIncome) : null;
+    const backEndRatio = projectedHousing
+      ? this.calculateRatio(projectedHousing.total + nonHousingDebt, monthlyIncome)
+      : null;
+
+    if (monthlyIncome > 0 && backEndRatio !== null && backEndRatio > maxDti) {
+      flag('ineligible', `Total DTI of ${backEndRatio.toFixed(1)}% exceeds the ${maxDti.toFixed(1)}% limit`);
+    } else if (monthlyIncome > 0 && frontEndRatio !== null && program.maxFrontEndDti !== null &&
+               frontEndRatio > program.maxFrontEndDti) {
+      flag('review', `Housing DTI of ${frontEndRatio.toFixed(1)}% is above the ${program.maxFrontEndDti}% guideline`);
+    }
+
+    return {
+      programId: program.id,
+      name: program.name,
+      status,
+      eligible: status !== 'ineligible',
+      reasons,
+      frontEndRatio,
+      backEndRatio,
+      maxFrontEndDti: program.maxFrontEndDti,
+      maxDti,
+      maxMonthlyPayment,
+      minCreditScore: program.minCreditScore,
+      minDownPaymentPercent: program.minDownPaymentPercent,
+      minDownPayment: targetHomePrice * (program.minDownPaymentPercent / 100),
+      mortgageInsurance: this.calculateMortgageInsurance(program, loanAmount, targetHomePrice, creditScoreRange)
+    };
+  }
+
+  /**
+   * Estimate a program's mortgage insurance or guarantee fee
+   * @param {Object} program - Loan program rule set
+   * @param {number} loanAmount - Base loan amount
+   * @param {number} homePrice - Purchase price
+   * @param {string} creditScoreRange - Credit score range answer
+   * @returns {Object|null} Upfront and monthly premiums, null when none applies
+   */
+  calculateMortgageInsurance(program, loanAmount, homePrice, creditScoreRange) {
+    const insurance = program.mortgageInsurance;
+    if (!insurance || loanAmount <= 0 || homePrice <= 0) return null;
+
+    const ltv = (loanAmount / homePrice) * 100;
+    if (ltv <= insurance.requiredAboveLtv) return null;
+
+    const annualRate = this.calculator.getMortgageInsuranceRate(insurance, ltv, creditScoreRange);
+
+    return {
+      type: insurance.type,
+      upfrontPremium: loanAmount * (insurance.upfrontRate / 100),
+      monthlyPremium: (loanAmount * (annualRate / 100)) / 12,
+      cancelAtLtv: insurance.cancelAtLtv
+    };
+  }
+
+  /**
+   * Sum the recurring monthly debts that remain after the purchase
+   * @param {Object} data - Mortgage data
+   * @param {Object} [program] - Loan program, for program-specific debt rules
+   * @returns {number} Monthly non-housing debt
+   */
+  calculateNonHousingDebt(data, program = null) {
+    return this.calculateDebts(data, program).total;
+  }
+
+  /**
+   * Apply the debt counting rules to every itemized debt
+   * @param {Object} data - Mortgage data
+   * @param {Object} [program] - Loan program, for program-specific debt rules
+   * @returns {Object} Per-debt results and the total counted monthly payment
+   */
+  calculateDebts(data, program = null) {
+    const studentLoanPaymentRate = program && program.studentLoanPaymentRate !== undefined
+      ? program.studentLoanPaymentRate
+      : this.studentLoanPaymentRate;
+
+    const items = this.getDebtItems(data).map(debt => {
+      const type = this.debtTypes[debt.type] || this.debtTypes.other;
+      const balance = this.parseAmount(debt.balance);
+      const monthlyPayment = this.parseAmount(debt.monthlyPayment);
+      const monthsRemaining = debt.monthsRemaining === '' || debt.monthsRemaining === null || debt.monthsRemaining === undefined
+        ? null
+        : parseInt(debt.monthsRemaining, 10);
+
+      let countedPayment = monthlyPayment;
+      let note = null;
+
+      if (debt.payingOff === true) {
+        countedPayment = 0;
+        note = 'Paid off before closing';
+      } else if (type.installment && monthsRemaining !== null && !isNaN(monthsRemaining) &&
+                 monthsRemaining < this.minMonthsRemaining) {
+        countedPayment = 0;
+        note = `Fewer than ${this.minMonthsRemaining} payments remaining`;
+      } else if (debt.type === 'student' && monthlyPayment === 0 && balance > 0) {
+        // Deferred or income-driven student loans still count at a share of the balance
+        countedPayment = balance * (studentLoanPaymentRate / 100);
+        note = `${studentLoanPaymentRate}% of balance used as payment`;
+      } else if (monthlyPayment === 0) {
+        note = 'No monthly payment';
+      }
+
+      return {
+        ...debt,
+        label: type.label,
+        countedPayment,
+        counted: countedPayment > 0,
+        note
+      };
+    });
+
+    // Collections payments are entered separately as a monthly total
+    const collectionsPayments = this.parseAmount(data.collectionsPayments);
+    const total = items.reduce((sum, item) => sum + item.countedPayment, 0) + collectionsPayments;
+
+    return { items, collectionsPayments, total };
+  }
+
+  /**
+   * Get every borrower's itemized debts, tagged with the borrower and list they came from
+   * Older single-field debt answers are converted by MortgagePersistence when loaded
+   * @param {Object} data - Mortgage data
+   * @returns {Array} Debt items
+   */
+  getDebtItems(data) {
+    return this.getBorrowers(data).reduce((items, borrower) => {
+      const debts = Array.isArray(data[borrower.debtField]) ? data[borrower.debtField] : [];
+      return items.concat(debts.map(debt => ({ ...debt, owner: borrower.id, listField: borrower.debtField })));
+    }, []);
+  }
+
+  /**
+   * Express a monthly amount as a percentage of monthly income
+   * @param {number} amount - Monthly amount
+   * @param {number} monthlyIncome - Monthly gross income
+   * @returns {number} Ratio as a percentage (0 when there is no income)
+   */
+  calculateRatio(amount, monthlyIncome) {
+    return monthlyIncome > 0 ? (amount / monthlyIncome) * 100 : 0;
+  }
+
+  /**
+   * Determine the maximum allowed DTI from the profile's risk factors
+   * @param {Object} data - Mortgage data
+   * @param {Object} [program] - Loan program whose caps replace the standard baseline
+   * @returns {Object} Max DTI and the list of factors that adjusted it
+   */
+  calculateMaxDti(data, program = null) {
+    let maxDti = program ? program.maxBackEndDti : this.baseMaxDti;
+    const ceiling = program ? program.dtiCeiling : this.maxMaxDti;
+    const factors = [];
+
+    const adjust = (factor, amount, explanation) => {
+      maxDti += amount;
+      factors.push({ factor, effect: `${amount > 0 ? '+' : ''}${amount}%`, amount, explanation });
+    };
+
+    // Adjust for credit score
+    const creditScoreRange = this.getQualifyingCreditScoreRange(data);
+    if (creditScoreRange === 'Above 620') {
+      adjust('Excellent credit score', 2, 'Scores above 620 show lenders a strong repayment record');
+    } else if (creditScoreRange === '600-620') {
+      adjust('Good credit score', 1, 'Scores of 600-620 qualify for a small allowance');
+    } else if (creditScoreRange === 'Below 580') {
+      adjust('Lower credit score', -5, 'Scores below 580 limit how much debt lenders will accept');
+    }
+
+    // Reserves left after closing on the target home allow a higher DTI
+    const cashToClose = this.calculateCashToClose(data, program);
+    if (cashToClose && cashToClose.reserveMonths >= this.strongReserveMonths) {
+      adjust('Strong cash reserves', 2, `Reserves after closing cover ${this.strongReserveMonths}+ months of payments`);
+    } else if (cashToClose && cashToClose.reserveMonths >= this.minReserveMonths) {
+      adjust('Moderate cash reserves', 1, `Reserves after closing cover ${this.minReserveMonths}+ months of payments`);
+    }
+
+    // Adjust for income trend; worksheet income already accounts for declines
+    const statedIncome = !this.incomeCalculator.calculate(data).fromWorksheet;
+    if (statedIncome && data.incomeTrend === 'Increased') {
+      adjust('Increasing income', 1, 'Rising income makes future payments easier to carry');
+    } else if (statedIncome && data.incomeTrend === 'Decreased') {
+      adjust('Decreasing income', -1, 'Falling income makes lenders more cautious');
+    }
+
+    // Two or more years at the same address shows stability
+    if (this.parseResidencyYears(data.residencyDuration) >= 2) {
+      adjust('Stable housing history', 1, 'Two or more years at the same address shows stability');
+    }
+
+    if (data.bankruptcy === true) {
+      adjust('Recent bankruptcy', -3, 'A bankruptcy in the past 2 years lowers the allowed DTI');
+    }
+
+    if (data.latePayments === true) {
+      adjust('Recent late payments', -2, 'Late payments in the last 24 months lower the allowed DTI');
+    }
+
+    // Ensure DTI doesn't go below minimum or above maximum
+    maxDti = Math.max(this.minMaxDti, Math.min(ceiling, maxDti));
+
+    return { maxDti, factors };
+  }
+
+  /**
+   * Calculate the largest housing payment that fits under the max DTI
+   * @param {number} monthlyIncome - Monthly gross income
+   * @param {number} maxDti - Maximum back-end DTI as a percentage
+   * @param {number} nonHousingDebt - Monthly non-housing debt
+   * @param {number|null} [maxFrontEndDti] - Housing ratio cap, if the program has one
+   * @returns {number} Maximum monthly housing payment
+   */
+  calculateMaxMonthlyPayment(monthlyIncome, maxDti, nonHousingDebt, maxFrontEndDti = null) {
+    const backEndLimit = (monthlyIncome * (maxDti / 100)) - nonHousingDebt;
+
+    if (maxFrontEndDti === null || maxFrontEndDti === undefined) {
+      return backEndLimit;
+    }
+
+    return Math.min(backEndLimit, monthlyIncome * (maxFrontEndDti / 100));
+  }
+
+  /**
+   * Extract whole years from a free-text residency duration
+   * @param {string} residencyDuration - e.g. "2 years, 6 months"
+   * @returns {number} Number of years, 0 if none could be read
+   */
+  parseResidencyYears(residencyDuration) {
+    if (typeof residencyDuration !== 'string') return 0;
+
+    const yearsMatch = residencyDuration.match(/(\d+)\s*year/);
+    return yearsMatch ? parseInt(yearsMatch[1], 10) : 0;
+  }
+
+  /**
+   * Parse a stored form value as a number
+   * @param {string|number} value - Raw value from the data model
+   * @returns {number} Parsed number, 0 when empty or invalid
+   */
+  parseAmount(value) {
+    return parseFloat(value) || 0;
+  }
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = UnderwritingEngine;
+}